@@ -3,7 +3,15 @@ import browser from 'webextension-polyfill';
 import stateManager from '../utils/stateManager.js'; // Ensure default import
 import { connection } from '../utils/connectionManager.js';
 import { tabManager } from '../utils/tabManager.js';
-import { MESSAGE_TYPES } from '../utils/constants.js';
+import { focusManager } from '../utils/focusManager.js';
+import { ruleScheduler } from '../utils/ruleScheduler.js';
+import { activityTracker } from '../utils/activityTracker.js';
+import { jobScheduler } from '../utils/jobScheduler.js';
+import { reminderManager } from '../utils/reminderManager.js';
+import { snoozeManager } from '../utils/snoozeManager.js';
+import { tabRanker } from '../utils/tabRanker.js';
+import { sessionManager } from '../utils/sessionManager.js';
+import { MESSAGE_TYPES, CONFIG, JOB_CONFIG, SNAPSHOT_CONFIG } from '../utils/constants.js';
 import { logger } from '../utils/logger.js'; // Add logger import
 
 // Polyfill requestIdleCallback if it doesn't exist
@@ -30,6 +38,26 @@ console.info('- tabManager: Tab management interface');
 console.info('- store: Redux store');
 
 let initialized = false;
+// Settles once initBackground has run; listeners are added before it starts
+let initialization = null;
+
+// Browser events do not wait for listeners; a failing async handler is logged rather than left unhandled
+const logFailures = (name, handler) => (...args) => {
+  try {
+    return Promise.resolve(handler(...args)).catch(error => {
+      logger.error(`${name} failed:`, error);
+    });
+  } catch (error) {
+    logger.error(`${name} failed:`, error);
+    return Promise.resolve();
+  }
+};
+
+// An event that wakes the service worker is delivered at once; its handler waits for initialization
+const afterInitialization = (name, handler) => logFailures(name, async (...args) => {
+  await initialization;
+  return handler(...args);
+});
 
 const background = {
   async initBackground() {
@@ -37,12 +65,35 @@ const background = {
     
     try {
       // Sequential initialization
-      await stateManager.initialize(tabManager);
+      await stateManager.initialize({
+        tabManager,
+        focusManager,
+        jobScheduler,
+        reminderManager,
+        snoozeManager,
+        tabRanker,
+        sessionManager
+      });
       await tabManager.initialize(stateManager);
+      // Tab ids change across restarts; re-register tabs still showing the placeholder page
+      await tabManager.reconcileSuspendedTabs();
       await connection.initialize(stateManager);
-      
-      this.setupMessageHandling();
+      // Installs blocklist/focus rules and drops dynamic rules left over from older versions
+      await focusManager.initialize(stateManager);
+      await ruleScheduler.initialize(stateManager);
+      await activityTracker.initialize(stateManager);
+      await reminderManager.initialize(stateManager);
+      await tabRanker.initialize(stateManager);
+      await sessionManager.initialize(stateManager);
+      // Re-arms snooze alarms and reopens tabs that came due while the browser was closed
+      await snoozeManager.initialize(stateManager);
+      this.registerJobs();
+      await jobScheduler.initialize(stateManager);
       initialized = true;
+      // Catching up can take a while; messages are answered in the meantime
+      jobScheduler.runOverdueJobs().catch(error => {
+        logger.error('Catching up on background jobs failed:', error);
+      });
       
       await this.broadcastInitialized();
       return true;
@@ -52,6 +103,17 @@ const background = {
     }
   },
 
+  // Periodic work runs on alarms; intervals die with the service worker
+  registerJobs() {
+    const periodMinutes = CONFIG.TIMEOUTS.CLEANUP / 60000;
+    jobScheduler.register(JOB_CONFIG.JOBS.INACTIVITY, () => tabManager.cleanupInactiveTabs(), { periodMinutes });
+    jobScheduler.register(JOB_CONFIG.JOBS.TAB_LIMITS, () => tabManager.enforceTabLimits(), { periodMinutes });
+    jobScheduler.register(JOB_CONFIG.JOBS.REMINDERS, () => reminderManager.checkReminders(), { periodMinutes });
+    jobScheduler.register(JOB_CONFIG.JOBS.SNAPSHOTS, () => sessionManager.takeSnapshot(), {
+      periodMinutes: SNAPSHOT_CONFIG.PERIOD_MINUTES
+    });
+  },
+
   setupMessageHandling() {
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // 1. Init check handling
@@ -132,6 +194,67 @@ const background = {
     });
   },
 
+  setupEventListeners() {
+    browser.tabs.onCreated.addListener(afterInitialization('Tab created handler', (tab) => tabManager.handleTabCreated(tab)));
+
+    browser.tabs.onUpdated.addListener(afterInitialization('Tab updated handler', (tabId, changeInfo, tab) => Promise.all([
+      tabManager.handleTabUpdate(tabId, changeInfo, tab),
+      sessionManager.handleTabUpdated(tabId, changeInfo)
+    ])));
+
+    // Activity comes from what the user brings to the front, not from API reads
+    browser.tabs.onActivated.addListener(afterInitialization('Tab activated handler', (activeInfo) =>
+      activityTracker.handleActivated(activeInfo)));
+
+    if (browser.windows) {
+      browser.windows.onFocusChanged.addListener(afterInitialization('Window focus handler', (windowId) =>
+        activityTracker.handleFocusChanged(windowId)));
+      browser.windows.onCreated.addListener(afterInitialization('Window created handler', (window) =>
+        snoozeManager.handleWindowCreated(window)));
+      browser.windows.onRemoved.addListener(afterInitialization('Window removed handler', () =>
+        sessionManager.handleWindowRemoved()));
+    }
+
+    if (browser.idle) {
+      browser.idle.onStateChanged.addListener(afterInitialization('Idle state handler', (state) =>
+        activityTracker.handleIdleStateChanged(state)));
+    }
+
+    if (browser.notifications) {
+      browser.notifications.onButtonClicked.addListener(afterInitialization('Notification button handler', (notificationId, buttonIndex) =>
+        reminderManager.handleButtonClicked(notificationId, buttonIndex)));
+      browser.notifications.onClicked.addListener(afterInitialization('Notification click handler', (notificationId) =>
+        reminderManager.handleClicked(notificationId)));
+    }
+
+    browser.tabs.onRemoved.addListener(afterInitialization('Tab removed handler', (tabId) => {
+      tabManager.cancelRuleEvaluation(tabId);
+      stateManager.dispatch(stateManager.actions.tabManagement.removeTab(tabId));
+    }));
+
+    if (browser.alarms) {
+      // Every manager sees every alarm and ignores the ones it does not own; one failing does not stop the rest
+      const alarmHandlers = { focusManager, ruleScheduler, activityTracker, jobScheduler, snoozeManager };
+      connection.onAlarm(afterInitialization('Alarm handler', (alarm) => Promise.all(Object.entries(alarmHandlers).map(([name, handler]) =>
+        logFailures(`${name} alarm ${alarm.name}`, () => handler.handleAlarm(alarm))()))));
+
+      // Options and rule pack imports write rules straight to sync storage
+      browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes.rules) {
+          afterInitialization('Rule alarm sync', () => ruleScheduler.syncAlarms())();
+        }
+      });
+    }
+
+    // SPA route changes only surface through onHistoryStateUpdated
+    if (browser.webNavigation) {
+      browser.webNavigation.onCommitted.addListener(afterInitialization('Navigation handler', (details) =>
+        tabManager.handleNavigation(details)));
+      browser.webNavigation.onHistoryStateUpdated.addListener(afterInitialization('Navigation handler', (details) =>
+        tabManager.handleNavigation(details)));
+    }
+  },
+
   async broadcastInitialized() {
     try {
       await browser.runtime.sendMessage({
@@ -144,8 +267,21 @@ const background = {
   }
 };
 
+// Registered up front: browser start is announced once, before initialization completes
+if (browser.runtime.onStartup) {
+  browser.runtime.onStartup.addListener(logFailures('Startup handler', () => Promise.all([
+    snoozeManager.handleStartup(),
+    sessionManager.handleStartup()
+  ])));
+}
+
+// Listeners go in synchronously, so events that woke the worker are not lost
+background.setupMessageHandling();
+background.setupEventListeners();
+
 // Initialize and export for testing
-background.initBackground().catch(error => {
+initialization = background.initBackground();
+initialization.catch(error => {
   logger.error('Failed to initialize background:', error);
 });
 
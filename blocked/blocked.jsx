@@ -0,0 +1,61 @@
+// blocked/blocked.jsx
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import browser from 'webextension-polyfill';
+import './blocked.css';
+
+import { FOCUS_CONFIG, MESSAGE_TYPES, TAB_OPERATIONS } from '../utils/constants';
+
+// The redirect rule appends the blocked URL unencoded as the last parameter
+const parseLocation = (search) => {
+  const urlIndex = search.indexOf('&url=');
+  const params = new URLSearchParams(urlIndex === -1 ? search : search.slice(0, urlIndex));
+  return {
+    reason: params.get('reason'),
+    until: Number(params.get('until')) || null,
+    url: urlIndex === -1 ? '' : search.slice(urlIndex + '&url='.length)
+  };
+};
+
+export default function Blocked() {
+  const [{ reason, until, url }] = useState(() => parseLocation(window.location.search));
+  const [errorMsg, setErrorMsg] = useState('');
+  const isFocus = reason === FOCUS_CONFIG.REASONS.FOCUS;
+
+  const endFocus = async () => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.STOP_FOCUS,
+        payload: {}
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      if (url) {
+        window.location.replace(url);
+      }
+    } catch (error) {
+      console.error('Error ending focus session:', error);
+      setErrorMsg('Could not end the focus session.');
+    }
+  };
+
+  return (
+    <div className="blocked-container">
+      <h1>{isFocus ? 'Focus mode is on' : 'This site is blocked'}</h1>
+      <p>
+        {isFocus
+          ? `This site is on your focus list${until ? ` until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}.`
+          : 'This site is on your TabCurator blocklist.'}
+      </p>
+      {url && <p className="blocked-url">{url}</p>}
+      {errorMsg && <p className="error-message">{errorMsg}</p>}
+      <button onClick={() => window.history.back()}>Go Back</button>
+      {isFocus && <button onClick={endFocus}>End Focus Session</button>}
+      <button onClick={() => browser.runtime.openOptionsPage()}>Manage Blocked Sites</button>
+    </div>
+  );
+}
+
+ReactDOM.render(<Blocked />, document.getElementById('root'));
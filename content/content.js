@@ -49,6 +49,52 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
+// Unsaved form input keeps the tab from being suspended
+let formDirty = false;
+
+const reportFormState = async (dirty) => {
+  if (dirty === formDirty) return;
+  formDirty = dirty;
+  try {
+    await browser.runtime.sendMessage({
+      type: MESSAGE_TYPES.TAB_ACTION,
+      action: TAB_OPERATIONS.REPORT_FORM_STATE,
+      payload: { dirty }
+    });
+  } catch (error) {
+    if (!error.message.includes('Extension context invalidated')) {
+      console.warn('Failed to report form state:', error);
+    }
+  }
+};
+
+const isFormField = (target) => target instanceof HTMLElement && (
+  target.isContentEditable ||
+  target.matches('textarea, select, input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="search"])')
+);
+
+document.addEventListener('input', (event) => {
+  if (isFormField(event.target)) {
+    reportFormState(true);
+  }
+}, true);
+['submit', 'reset'].forEach(event => {
+  document.addEventListener(event, () => reportFormState(false), true);
+});
+
+// Saved sessions record where the page was scrolled to, and restored ones scroll back there
+browser.runtime.onMessage.addListener((message) => {
+  if (message?.type !== MESSAGE_TYPES.TAB_ACTION) return undefined;
+  if (message.action === TAB_OPERATIONS.GET_SCROLL_POSITION) {
+    return Promise.resolve({ x: window.scrollX, y: window.scrollY });
+  }
+  if (message.action === TAB_OPERATIONS.SET_SCROLL_POSITION) {
+    window.scrollTo(message.payload?.x || 0, message.payload?.y || 0);
+    return Promise.resolve({ success: true });
+  }
+  return undefined;
+});
+
 // Cleanup on unload
 window.addEventListener('beforeunload', () => {
   ['mousemove', 'keydown', 'scroll', 'click'].forEach(event => {
@@ -5,27 +5,1003 @@ import browser from 'webextension-polyfill';
 import './options.css';
 
 import { store, actions } from '../utils/stateManager'; // If Redux integration is still needed
-import { CONFIG, TAB_LIMITS } from '../utils/constants'; // For limits and defaults
+import {
+  CONFIG,
+  TAB_LIMITS,
+  TAB_LIMIT_POLICIES,
+  TAB_LIMIT_CONFIG,
+  RULE_ACTION_TYPES,
+  GROUPING_CONFIG,
+  MESSAGE_TYPES,
+  TAB_OPERATIONS,
+  RULE_PACK,
+  FOCUS_CONFIG,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  SUSPENSION_STRATEGIES,
+  SUSPENSION_CONFIG,
+  ACTIVITY_CONFIG,
+  JOB_CONFIG,
+  ACTION_TYPES,
+  SESSION_PACK
+} from '../utils/constants'; // For limits and defaults
+import { migrateRule, validateRuleDefinition } from '../utils/tabManager';
+import { normalizeSite } from '../utils/focusManager';
+import { normalizeUrl } from '../utils/sessionManager';
+
+const FIELD_LABELS = {
+  host: 'Host',
+  path: 'Path',
+  query: 'Query parameter',
+  url: 'URL',
+  title: 'Title',
+  tag: 'Tag',
+  pinned: 'Pinned',
+  audible: 'Playing audio',
+  age: 'Minutes since last access',
+  schedule: 'Time window'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const createLeaf = (field = 'url') => {
+  const kind = CONDITION_FIELDS[field];
+  const defaultValue = {
+    boolean: true,
+    number: 0,
+    schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }
+  };
+  return {
+    field,
+    operator: CONDITION_OPERATORS[kind][0],
+    value: kind in defaultValue ? defaultValue[kind] : '',
+    ...(kind === 'query' ? { param: '' } : {})
+  };
+};
+
+function WeekdayPicker({ days, onChange }) {
+  const toggleDay = (day) =>
+    onChange(days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort());
+
+  return WEEKDAYS.map((name, day) => (
+    <label key={name} className="weekday">
+      <input type="checkbox" checked={days.includes(day)} onChange={() => toggleDay(day)} />
+      {name}
+    </label>
+  ));
+}
+
+// Empty means the browser's time zone, which validateRuleDefinition accepts by omission
+function TimeZoneInput({ value, invalid, onChange }) {
+  return (
+    <input
+      type="text"
+      className={invalid ? 'invalid' : ''}
+      placeholder={LOCAL_TIME_ZONE}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value.trim() || undefined)}
+      aria-label="Time Zone"
+    />
+  );
+}
+
+// Renders one node of a condition tree; `path` matches the paths reported by validateRuleDefinition
+function ConditionEditor({ condition, path, errors, onChange, onRemove }) {
+  const errorFor = (key) => errors.find(error => error.path === `${path}.${key}`);
+
+  if (condition.not) {
+    return (
+      <div className="condition-not">
+        <span className="condition-label">NOT</span>
+        <ConditionEditor
+          condition={condition.not}
+          path={`${path}.not`}
+          errors={errors}
+          onChange={(next) => onChange({ not: next })}
+          onRemove={() => onChange(condition.not)}
+        />
+      </div>
+    );
+  }
+
+  const combinator = condition.all ? 'all' : condition.any ? 'any' : null;
+  if (combinator) {
+    const children = condition[combinator];
+    const updateChild = (index, next) =>
+      onChange({ [combinator]: children.map((child, i) => (i === index ? next : child)) });
+    const removeChild = (index) =>
+      onChange({ [combinator]: children.filter((_, i) => i !== index) });
+
+    return (
+      <div className="condition-group">
+        <select
+          value={combinator}
+          onChange={(e) => onChange({ [e.target.value]: children })}
+          aria-label="Condition Combinator"
+        >
+          <option value="all">Match all</option>
+          <option value="any">Match any</option>
+        </select>
+        {children.map((child, index) => (
+          <ConditionEditor
+            key={index}
+            condition={child}
+            path={`${path}.${combinator}[${index}]`}
+            errors={errors}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        ))}
+        <button onClick={() => onChange({ [combinator]: [...children, createLeaf()] })}>Add Condition</button>
+        <button onClick={() => onChange({ [combinator]: [...children, { all: [createLeaf()] }] })}>Add Group</button>
+        {onRemove && <button aria-label="Remove Group" onClick={onRemove}>Remove</button>}
+        {errorFor(combinator) && <span className="field-error">{errorFor(combinator).message}</span>}
+      </div>
+    );
+  }
+
+  const kind = CONDITION_FIELDS[condition.field];
+  const update = (key, value) => onChange({ ...condition, [key]: value });
+
+  return (
+    <div className="condition-leaf">
+      <select
+        value={condition.field}
+        onChange={(e) => onChange(createLeaf(e.target.value))}
+        aria-label="Condition Field"
+      >
+        {Object.keys(CONDITION_FIELDS).map(field => (
+          <option key={field} value={field}>{FIELD_LABELS[field]}</option>
+        ))}
+      </select>
+      {kind === 'query' && (
+        <input
+          type="text"
+          className={errorFor('param') ? 'invalid' : ''}
+          placeholder="Parameter"
+          value={condition.param || ''}
+          onChange={(e) => update('param', e.target.value)}
+          aria-label="Query Parameter"
+        />
+      )}
+      <select
+        className={errorFor('operator') ? 'invalid' : ''}
+        value={condition.operator}
+        onChange={(e) => update('operator', e.target.value)}
+        aria-label="Condition Operator"
+      >
+        {CONDITION_OPERATORS[kind].map(operator => (
+          <option key={operator} value={operator}>{operator}</option>
+        ))}
+      </select>
+      {kind === 'schedule' ? (
+        <span className="schedule-window">
+          <WeekdayPicker days={condition.value.days} onChange={(days) => update('value', { ...condition.value, days })} />
+          <input
+            type="time"
+            className={errorFor('value.start') ? 'invalid' : ''}
+            value={condition.value.start}
+            onChange={(e) => update('value', { ...condition.value, start: e.target.value })}
+            aria-label="Window Start"
+          />
+          <input
+            type="time"
+            className={errorFor('value.end') ? 'invalid' : ''}
+            value={condition.value.end}
+            onChange={(e) => update('value', { ...condition.value, end: e.target.value })}
+            aria-label="Window End"
+          />
+          <TimeZoneInput
+            value={condition.value.timeZone}
+            invalid={errorFor('value.timeZone')}
+            onChange={(timeZone) => update('value', { ...condition.value, timeZone })}
+          />
+        </span>
+      ) : kind === 'boolean' ? (
+        <select
+          value={String(condition.value)}
+          onChange={(e) => update('value', e.target.value === 'true')}
+          aria-label="Condition Value"
+        >
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      ) : condition.operator !== 'exists' && (
+        <input
+          type={kind === 'number' ? 'number' : 'text'}
+          className={errorFor('value') ? 'invalid' : ''}
+          placeholder={kind === 'number' ? 'Minutes' : 'Value'}
+          value={condition.value}
+          onChange={(e) => update('value', kind === 'number' ? Number(e.target.value) : e.target.value)}
+          aria-label="Condition Value"
+        />
+      )}
+      <button aria-label="Negate Condition" onClick={() => onChange({ not: condition })}>Not</button>
+      {onRemove && <button aria-label="Remove Condition" onClick={onRemove}>Remove</button>}
+      {errors
+        .filter(error => error.path === `${path}.value` || error.path.startsWith(`${path}.value.`))
+        .map(error => <span key={error.path} className="field-error">{error.message}</span>)}
+    </div>
+  );
+}
 import { Provider } from 'react-redux';
 
+const ACTION_LABELS = {
+  [RULE_ACTION_TYPES.TAG]: 'Tag',
+  [RULE_ACTION_TYPES.GROUP]: 'Move to group',
+  [RULE_ACTION_TYPES.PIN]: 'Pin',
+  [RULE_ACTION_TYPES.MUTE]: 'Mute',
+  [RULE_ACTION_TYPES.DISCARD]: 'Discard after inactivity',
+  [RULE_ACTION_TYPES.BOOKMARK_CLOSE]: 'Bookmark and close',
+  [RULE_ACTION_TYPES.MOVE_TO_WINDOW]: 'Move to window',
+  [RULE_ACTION_TYPES.NEVER_SUSPEND]: 'Never suspend',
+  [RULE_ACTION_TYPES.SAVE_SESSION]: 'Save to session and close',
+  [RULE_ACTION_TYPES.RESTORE_SESSION]: 'Restore session'
+};
+
+const ACTION_PLACEHOLDERS = {
+  [RULE_ACTION_TYPES.GROUP]: 'Group name',
+  [RULE_ACTION_TYPES.SAVE_SESSION]: 'Session name',
+  [RULE_ACTION_TYPES.RESTORE_SESSION]: 'Session name'
+};
+
+const createAction = (type = RULE_ACTION_TYPES.TAG) => {
+  switch (type) {
+    case RULE_ACTION_TYPES.TAG:
+    case RULE_ACTION_TYPES.GROUP:
+    case RULE_ACTION_TYPES.BOOKMARK_CLOSE:
+    case RULE_ACTION_TYPES.SAVE_SESSION:
+    case RULE_ACTION_TYPES.RESTORE_SESSION:
+      return { type, value: '' };
+    case RULE_ACTION_TYPES.DISCARD:
+      return { type, minutes: 30 };
+    case RULE_ACTION_TYPES.MOVE_TO_WINDOW:
+      return { type, value: 'new' };
+    default:
+      return { type };
+  }
+};
+
+// Edits a rule's ordered action list; `errors` uses the `actions[i].field` paths from validateRuleDefinition
+function ActionListEditor({ actions, errors, onChange }) {
+  const errorFor = (index, key) => errors.find(error => error.path === `actions[${index}].${key}`);
+  const updateAction = (index, next) => onChange(actions.map((action, i) => (i === index ? next : action)));
+  const moveAction = (index, offset) => {
+    const next = [...actions];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="action-list">
+      {actions.map((action, index) => (
+        <div key={index} className="action-item">
+          <select
+            value={action.type}
+            onChange={(e) => updateAction(index, createAction(e.target.value))}
+            aria-label="Action Type"
+          >
+            {Object.entries(ACTION_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          {'value' in action && action.type !== RULE_ACTION_TYPES.MOVE_TO_WINDOW && (
+            <input
+              type="text"
+              className={errorFor(index, 'value') ? 'invalid' : ''}
+              placeholder={ACTION_PLACEHOLDERS[action.type] || 'Tag'}
+              value={action.value}
+              onChange={(e) => updateAction(index, { ...action, value: e.target.value })}
+              aria-label="Action Value"
+            />
+          )}
+          {action.type === RULE_ACTION_TYPES.GROUP && (
+            <select
+              className="rule-color"
+              value={action.color || ''}
+              onChange={(e) => updateAction(index, { ...action, color: e.target.value || undefined })}
+              aria-label="Group Color"
+            >
+              <option value="">Auto color</option>
+              {GROUPING_CONFIG.COLORS.map(color => (
+                <option key={color} value={color}>{color}</option>
+              ))}
+            </select>
+          )}
+          {action.type === RULE_ACTION_TYPES.DISCARD && (
+            <input
+              type="number"
+              min="0"
+              className={errorFor(index, 'minutes') ? 'invalid' : ''}
+              value={action.minutes}
+              onChange={(e) => updateAction(index, { ...action, minutes: parseInt(e.target.value, 10) })}
+              aria-label="Minutes Inactive"
+            />
+          )}
+          {action.type === RULE_ACTION_TYPES.MOVE_TO_WINDOW && (
+            <input
+              type="text"
+              className={errorFor(index, 'value') ? 'invalid' : ''}
+              placeholder='Window id or "new"'
+              value={action.value}
+              onChange={(e) => {
+                const windowId = Number(e.target.value);
+                updateAction(index, { ...action, value: e.target.value && Number.isInteger(windowId) ? windowId : e.target.value });
+              }}
+              aria-label="Target Window"
+            />
+          )}
+          <button aria-label="Move Action Up" disabled={index === 0} onClick={() => moveAction(index, -1)}>↑</button>
+          <button aria-label="Move Action Down" disabled={index === actions.length - 1} onClick={() => moveAction(index, 1)}>↓</button>
+          <button aria-label="Remove Action" onClick={() => onChange(actions.filter((_, i) => i !== index))}>Remove</button>
+          {(errorFor(index, 'value') || errorFor(index, 'minutes')) && (
+            <span className="field-error">{(errorFor(index, 'value') || errorFor(index, 'minutes')).message}</span>
+          )}
+        </div>
+      ))}
+      <button onClick={() => onChange([...actions, createAction()])}>Add Action</button>
+    </div>
+  );
+}
+
+// Run time of a scheduled rule; scheduled rules run from an alarm instead of on tab events
+function RuleScheduleEditor({ schedule, errors, onChange }) {
+  const errorFor = (key) => errors.find(error => error.path === `schedule.${key}`);
+
+  if (!schedule) {
+    return (
+      <label className="rule-schedule">
+        <input
+          type="checkbox"
+          checked={false}
+          onChange={() => onChange({ days: [1, 2, 3, 4, 5], at: '18:00' })}
+        />
+        Run on a schedule
+      </label>
+    );
+  }
+
+  return (
+    <div className="rule-schedule">
+      <label>
+        <input type="checkbox" checked onChange={() => onChange(undefined)} />
+        Run on a schedule at
+      </label>
+      <input
+        type="time"
+        className={errorFor('at') ? 'invalid' : ''}
+        value={schedule.at}
+        onChange={(e) => onChange({ ...schedule, at: e.target.value })}
+        aria-label="Run At"
+      />
+      <WeekdayPicker days={schedule.days} onChange={(days) => onChange({ ...schedule, days })} />
+      <TimeZoneInput
+        value={schedule.timeZone}
+        invalid={errorFor('timeZone')}
+        onChange={(timeZone) => onChange({ ...schedule, timeZone })}
+      />
+      {errors
+        .filter(error => error.path.startsWith('schedule'))
+        .map(error => <span key={error.path} className="field-error">{error.message}</span>)}
+    </div>
+  );
+}
+
+const sendTabAction = (action, payload = {}) =>
+  browser.runtime.sendMessage({ type: MESSAGE_TYPES.TAB_ACTION, action, payload });
+
+const toLines = (sites) => sites.join('\n');
+const fromLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Blocklist, focus sites, allowlist and focus schedules; persisted by the background focus manager
+function FocusSettings({ onError, onSaved }) {
+  const [lists, setLists] = useState({ blocklist: '', focusSites: '', allowlist: '' });
+  const [schedules, setSchedules] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [minutes, setMinutes] = useState(FOCUS_CONFIG.DEFAULT_MINUTES);
+
+  const applyStatus = (next) => {
+    setStatus(next);
+    setLists({
+      blocklist: toLines(next.blocklist),
+      focusSites: toLines(next.focusSites),
+      allowlist: toLines(next.allowlist)
+    });
+    setSchedules(next.schedules);
+  };
+
+  const request = async (action, payload) => {
+    try {
+      const response = await sendTabAction(action, payload);
+      if (response?.errors) {
+        onError(`Focus settings rejected: ${response.errors
+          .slice(0, 3)
+          .map(error => `${error.path} ${error.message}`)
+          .join('; ')}`);
+        return false;
+      }
+      if (!response?.status) {
+        throw new Error(response?.error || 'No response');
+      }
+      applyStatus(response.status);
+      if (response.failed?.length > 0) {
+        onError(`${response.failed.length} blocking rule(s) could not be installed.`);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error updating focus settings:', error);
+      onError('Error updating focus settings.');
+      return false;
+    }
+  };
+
+  useEffect(() => {
+    request(TAB_OPERATIONS.GET_FOCUS_STATUS);
+  }, []);
+
+  const handleSave = async () => {
+    const saved = await request(TAB_OPERATIONS.UPDATE_FOCUS_SETTINGS, {
+      blocklist: fromLines(lists.blocklist),
+      focusSites: fromLines(lists.focusSites),
+      allowlist: fromLines(lists.allowlist),
+      schedules
+    });
+    if (saved) onSaved();
+  };
+
+  const updateSchedule = (index, changes) =>
+    setSchedules(schedules.map((schedule, i) => (i === index ? { ...schedule, ...changes } : schedule)));
+
+  const listFields = [
+    ['blocklist', 'Always blocked sites'],
+    ['focusSites', 'Blocked during focus mode'],
+    ['allowlist', 'Always allowed (overrides both lists)']
+  ];
+
+  return (
+    <div className="focus-settings">
+      <h2>Blocking &amp; Focus Mode</h2>
+      <div className="setting-group">
+        {status?.active ? (
+          <>
+            <span>Focus mode is on until {new Date(status.session.endsAt).toLocaleTimeString()}.</span>
+            <button onClick={() => request(TAB_OPERATIONS.STOP_FOCUS)}>Stop Focus</button>
+          </>
+        ) : (
+          <>
+            <label htmlFor="focusMinutes">Focus for (minutes):</label>
+            <input
+              type="number"
+              id="focusMinutes"
+              min="1"
+              value={minutes}
+              onChange={(e) => setMinutes(e.target.value)}
+            />
+            <button onClick={() => request(TAB_OPERATIONS.START_FOCUS, { minutes: parseInt(minutes, 10) })}>
+              Start Focus
+            </button>
+          </>
+        )}
+      </div>
+
+      {listFields.map(([key, label]) => (
+        <div key={key} className="setting-group">
+          <label htmlFor={key}>{label} (one site per line):</label>
+          <textarea
+            id={key}
+            rows="4"
+            value={lists[key]}
+            onChange={(e) => setLists({ ...lists, [key]: e.target.value })}
+          />
+        </div>
+      ))}
+
+      <div className="setting-group">
+        <label>Focus schedule:</label>
+        {schedules.map((schedule, index) => (
+          <div key={schedule.id} className="focus-schedule">
+            <WeekdayPicker days={schedule.days} onChange={(days) => updateSchedule(index, { days })} />
+            <input
+              type="time"
+              value={schedule.start}
+              onChange={(e) => updateSchedule(index, { start: e.target.value })}
+              aria-label="Schedule Start"
+            />
+            <input
+              type="time"
+              value={schedule.end}
+              onChange={(e) => updateSchedule(index, { end: e.target.value })}
+              aria-label="Schedule End"
+            />
+            <button aria-label="Remove Schedule" onClick={() => setSchedules(schedules.filter((_, i) => i !== index))}>
+              Remove
+            </button>
+          </div>
+        ))}
+        <button onClick={() => setSchedules([...schedules, { id: Date.now(), days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' }])}>
+          Add Schedule
+        </button>
+      </div>
+
+      <button id="saveFocusButton" onClick={handleSave}>Save Blocking Settings</button>
+    </div>
+  );
+}
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+
+// Status of the background jobs, for debugging; periods can be changed and jobs run on demand
+function JobStatusView({ onError }) {
+  const [jobs, setJobs] = useState([]);
+  const [periods, setPeriods] = useState({});
+
+  const request = async (action, payload) => {
+    try {
+      const response = await sendTabAction(action, payload);
+      if (!response?.jobs) {
+        throw new Error(response?.error || 'No response');
+      }
+      setJobs(response.jobs);
+      setPeriods(Object.fromEntries(response.jobs.map(job => [job.name, job.periodMinutes])));
+      if (response.error) {
+        onError(`Job ${payload?.name}: ${response.error}`);
+      }
+    } catch (error) {
+      console.error('Error loading job status:', error);
+      onError('Error loading background jobs.');
+    }
+  };
+
+  useEffect(() => {
+    request(TAB_OPERATIONS.GET_JOB_STATUS);
+  }, []);
+
+  return (
+    <div className="job-status">
+      <h2>Background Jobs</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Job</th>
+            <th>Every (minutes)</th>
+            <th>Last run</th>
+            <th>Next run</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map(job => (
+            <tr key={job.name}>
+              <td>{job.name}</td>
+              <td>
+                <input
+                  type="number"
+                  min={JOB_CONFIG.MIN_PERIOD_MINUTES}
+                  max={JOB_CONFIG.MAX_PERIOD_MINUTES}
+                  value={periods[job.name] ?? ''}
+                  onChange={(e) => setPeriods({ ...periods, [job.name]: e.target.value })}
+                  onBlur={() => {
+                    const periodMinutes = Number(periods[job.name]);
+                    if (periodMinutes !== job.periodMinutes) {
+                      request(TAB_OPERATIONS.UPDATE_JOB_PERIOD, { name: job.name, periodMinutes });
+                    }
+                  }}
+                  aria-label={`Period of ${job.name}`}
+                />
+              </td>
+              <td>
+                {formatTime(job.lastRun)}
+                {job.lastRun && ` (${job.lastDuration} ms, ${job.runs} runs)`}
+                {job.lastError && <div className="job-error">{job.lastError}</div>}
+              </td>
+              <td>{job.running ? 'Running' : formatTime(job.nextRun)}</td>
+              <td>
+                <button onClick={() => request(TAB_OPERATIONS.RUN_JOB, { name: job.name })} disabled={job.running}>
+                  Run now
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => request(TAB_OPERATIONS.GET_JOB_STATUS)}>Refresh</button>
+    </div>
+  );
+}
+
+const sendSessionAction = (action, payload = {}) =>
+  browser.runtime.sendMessage({ type: MESSAGE_TYPES.SESSION_ACTION, action, payload });
+
+const describeSession = (session) => (session.name
+  ? `${session.name} (${session.tabCount} tabs)`
+  : `Snapshot of ${formatTime(session.updatedAt)} (${session.tabCount} tabs)`);
+
+// One side of the comparison: the session's windows, each tab marked with how it changed
+function SessionColumn({ session, marks, selected, onToggle }) {
+  return (
+    <div className="session-column">
+      {session.windows.map((window, windowIndex) => (
+        <div key={windowIndex} className="session-window">
+          <h4>Window {windowIndex + 1}</h4>
+          {window.tabs.map((tab, tabIndex) => {
+            const key = `${windowIndex}:${tabIndex}`;
+            const mark = marks.get(normalizeUrl(tab.url));
+            return (
+              <label key={key} className={`session-tab ${mark || ''}`} title={tab.url}>
+                <input type="checkbox" checked={selected.has(key)} onChange={() => onToggle(key)} />
+                {tab.group && <span className="session-tab-group">{tab.group.title || 'Group'}</span>}
+                {tab.title || tab.url}
+                {mark && <span className="session-tab-mark">{mark}</span>}
+              </label>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const selectAll = (session) =>
+  new Set(session.windows.flatMap((window, windowIndex) => window.tabs.map((_, tabIndex) => `${windowIndex}:${tabIndex}`)));
+const toPairs = (keys) => [...keys].map(key => key.split(':').map(Number));
+
+// Compares two saved sessions or snapshots side by side and merges the checked tabs into a new session
+function SessionCompare({ onError, onSaved }) {
+  const [sessions, setSessions] = useState([]);
+  const [baseId, setBaseId] = useState('');
+  const [otherId, setOtherId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [selected, setSelected] = useState({ base: new Set(), other: new Set() });
+  const [name, setName] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.GET_SESSIONS);
+      setSessions([...(response?.savedSessions || []), ...(response?.snapshots || [])]);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      onError('Error loading sessions.');
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const base = sessions.find(session => session.id === baseId);
+  const other = sessions.find(session => session.id === otherId);
+
+  // A comparison only describes the pair it was computed for
+  useEffect(() => {
+    setDiff(null);
+  }, [baseId, otherId]);
+
+  const compare = async () => {
+    try {
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.DIFF_SESSIONS, { baseId, otherId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      setDiff(response.diff);
+      setSelected({ base: selectAll(base), other: selectAll(other) });
+    } catch (error) {
+      console.error('Error comparing sessions:', error);
+      onError(`Error comparing sessions: ${error.message}`);
+    }
+  };
+
+  const merge = async () => {
+    try {
+      // The newer layout first; checked tabs from the base are added where they were
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.MERGE_SESSIONS, {
+        name,
+        sources: [
+          { id: otherId, selected: toPairs(selected.other) },
+          { id: baseId, selected: toPairs(selected.base) }
+        ]
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      setName('');
+      await loadSessions();
+      onSaved();
+    } catch (error) {
+      console.error('Error merging sessions:', error);
+      onError(`Error merging sessions: ${error.message}`);
+    }
+  };
+
+  const toggle = (side, key) => {
+    const next = new Set(selected[side]);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    setSelected({ ...selected, [side]: next });
+  };
+
+  const marks = (side) => {
+    const changed = side === 'base' ? [['removed', diff.removed]] : [['added', diff.added]];
+    changed.push(['moved', diff.moved]);
+    return new Map(changed.flatMap(([mark, tabs]) => tabs.map(tab => [normalizeUrl(tab.url), mark])));
+  };
+
+  const sessionSelect = (id, value, onChange, label) => (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      <option value="">Choose a session</option>
+      {sessions.map(session => (
+        <option key={session.id} value={session.id}>{describeSession(session)}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="session-compare">
+      <h2>Compare Sessions</h2>
+      <div className="setting-group">
+        {sessionSelect('compareBase', baseId, setBaseId, 'Base Session')}
+        {sessionSelect('compareOther', otherId, setOtherId, 'Compared Session')}
+        <button onClick={compare} disabled={!base || !other}>Compare</button>
+        <button onClick={loadSessions}>Refresh</button>
+      </div>
+
+      {diff && base && other && (
+        <>
+          <p className="setting-hint">
+            {diff.added.length} added, {diff.removed.length} removed, {diff.moved.length} moved,
+            {' '}{diff.unchanged} unchanged.
+          </p>
+          {(diff.groups.added.length > 0 || diff.groups.removed.length > 0 || diff.groups.changed.length > 0) && (
+            <ul className="session-group-changes">
+              {diff.groups.added.map(group => <li key={`added-${group.title}`}>Group "{group.title}" added</li>)}
+              {diff.groups.removed.map(group => <li key={`removed-${group.title}`}>Group "{group.title}" removed</li>)}
+              {diff.groups.changed.map(group => (
+                <li key={`changed-${group.title}`}>
+                  Group "{group.title}": {group.added.length} tabs joined, {group.removed.length} left
+                  {group.before.color !== group.after.color && `, ${group.before.color} to ${group.after.color}`}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="session-columns">
+            <SessionColumn session={base} marks={marks('base')} selected={selected.base} onToggle={(key) => toggle('base', key)} />
+            <SessionColumn session={other} marks={marks('other')} selected={selected.other} onToggle={(key) => toggle('other', key)} />
+          </div>
+          <div className="setting-group">
+            <label htmlFor="mergedSessionName">Save checked tabs as:</label>
+            <input
+              type="text"
+              id="mergedSessionName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Session name"
+            />
+            <button onClick={merge} disabled={!name.trim()}>Merge</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const SESSION_FORMAT_LABELS = {
+  [SESSION_PACK.FORMATS.JSON]: 'TabCurator JSON',
+  [SESSION_PACK.FORMATS.ONETAB]: 'OneTab list',
+  [SESSION_PACK.FORMATS.HTML]: 'Bookmarks (HTML)',
+  [SESSION_PACK.FORMATS.URLS]: 'Plain URL list'
+};
+
+const describeProblems = (problems) => problems
+  .slice(0, 3)
+  .map(problem => `${problem.path} ${problem.message}`)
+  .join('; ') + (problems.length > 3 ? ` and ${problems.length - 3} more` : '');
+
+// Exports saved sessions and imports them from other tab tools, with a preview before anything is saved
+function SessionTransfer({ onError, onSaved }) {
+  const [exportFormat, setExportFormat] = useState(SESSION_PACK.FORMATS.JSON);
+  const [importFormat, setImportFormat] = useState('');
+  const [pending, setPending] = useState(null);
+  const [chosen, setChosen] = useState(new Set());
+
+  const handleExport = async () => {
+    try {
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.EXPORT_SESSIONS, { format: exportFormat });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const blob = new Blob([response.content], { type: response.mimeType });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = response.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting sessions:', error);
+      onError(`Error exporting sessions: ${error.message}`);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = await file.text();
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.PREVIEW_SESSION_IMPORT, {
+        data,
+        format: importFormat || undefined
+      });
+      if (response?.errors) {
+        onError(`Session file rejected: ${describeProblems(response.errors)}`);
+        return;
+      }
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      setPending({ data, ...response });
+      setChosen(new Set(response.sessions.flatMap((session, index) => (session.identicalTo ? [] : [index]))));
+    } catch (error) {
+      console.error('Error reading session file:', error);
+      onError('Error reading session file.');
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const response = await sendSessionAction(ACTION_TYPES.SESSION.IMPORT_SESSIONS, {
+        data: pending.data,
+        format: pending.format,
+        selected: [...chosen]
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      setPending(null);
+      onSaved();
+    } catch (error) {
+      console.error('Error importing sessions:', error);
+      onError(`Error importing sessions: ${error.message}`);
+    }
+  };
+
+  const toggle = (index) => {
+    const next = new Set(chosen);
+    if (next.has(index)) next.delete(index); else next.add(index);
+    setChosen(next);
+  };
+
+  const formatOptions = Object.entries(SESSION_FORMAT_LABELS).map(([format, label]) => (
+    <option key={format} value={format}>{label}</option>
+  ));
+
+  return (
+    <div className="session-transfer">
+      <h2>Import &amp; Export Sessions</h2>
+      <div className="setting-group">
+        <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} aria-label="Export Format">
+          {formatOptions}
+        </select>
+        <button id="exportSessionsButton" onClick={handleExport}>Export Sessions</button>
+      </div>
+      <div className="setting-group">
+        <select value={importFormat} onChange={(e) => setImportFormat(e.target.value)} aria-label="Import Format">
+          <option value="">Detect format</option>
+          {formatOptions}
+        </select>
+        <input
+          type="file"
+          id="importSessionsInput"
+          accept=".json,.txt,.html,.htm,application/json,text/plain,text/html"
+          onChange={handleFile}
+          aria-label="Import Sessions"
+        />
+      </div>
+
+      {pending && (
+        <div className="session-import-preview">
+          <h3>Preview ({SESSION_FORMAT_LABELS[pending.format]})</h3>
+          <table>
+            <thead>
+              <tr>
+                <th />
+                <th>Saved as</th>
+                <th>Windows</th>
+                <th>Tabs</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pending.sessions.map((session, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={chosen.has(index)}
+                      disabled={Boolean(session.identicalTo)}
+                      onChange={() => toggle(index)}
+                      aria-label={`Import ${session.name}`}
+                    />
+                  </td>
+                  <td>{session.name}</td>
+                  <td>{session.windowCount}</td>
+                  <td>{session.tabCount}</td>
+                  <td>
+                    {session.identicalTo && `Same pages as "${session.identicalTo}", not imported. `}
+                    {session.duplicateTabs > 0 && `${session.duplicateTabs} repeated tab(s) dropped.`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {pending.warnings.length > 0 && (
+            <p className="setting-hint">
+              {pending.warnings.length} page(s) skipped: {describeProblems(pending.warnings)}
+            </p>
+          )}
+          <button onClick={handleImport} disabled={chosen.size === 0}>Import {chosen.size} Session(s)</button>
+          <button onClick={() => setPending(null)}>Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function Options() {
   const [inactiveThreshold, setInactiveThreshold] = useState(60);
   const [tabLimit, setTabLimit] = useState(100);
+  const [windowTabLimit, setWindowTabLimit] = useState('');
+  const [tabLimitPolicy, setTabLimitPolicy] = useState(TAB_LIMIT_CONFIG.DEFAULT_POLICY);
+  const [suspensionStrategy, setSuspensionStrategy] = useState(SUSPENSION_CONFIG.DEFAULT_STRATEGY);
+  const [neverSuspendSites, setNeverSuspendSites] = useState('');
+  const [pauseInactivityWhenIdle, setPauseInactivityWhenIdle] = useState(true);
+  const [idleSuspendEnabled, setIdleSuspendEnabled] = useState(false);
+  const [idleSuspendMinutes, setIdleSuspendMinutes] = useState(ACTIVITY_CONFIG.DEFAULT_IDLE_SUSPEND_MINUTES);
+  const [remindersEnabled, setRemindersEnabled] = useState(true);
   const [rules, setRules] = useState([]);
   const [saveSuccessVisible, setSaveSuccessVisible] = useState(false);
   const [errorMsg, setErrorMsg] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [importMode, setImportMode] = useState(RULE_PACK.IMPORT_MODES.MERGE);
 
   useEffect(() => {
     loadOptions();
   }, []);
 
+  // A preview only describes the draft it was computed from
+  useEffect(() => {
+    setPreview(null);
+  }, [rules]);
+
   const loadOptions = async () => {
     try {
       setErrorMsg('');
-      const items = await browser.storage.sync.get(['inactiveThreshold', 'tabLimit', 'rules']);
+      const items = await browser.storage.sync.get([
+        'inactiveThreshold',
+        'tabLimit',
+        'windowTabLimit',
+        'tabLimitPolicy',
+        'suspensionStrategy',
+        'neverSuspendDomains',
+        'pauseInactivityWhenIdle',
+        'idleSuspendEnabled',
+        'idleSuspendMinutes',
+        'remindersEnabled',
+        'rules'
+      ]);
       setInactiveThreshold(items.inactiveThreshold ?? 60);
       setTabLimit(items.tabLimit ?? 100);
-      setRules(items.rules || []);
+      setWindowTabLimit(items.windowTabLimit ?? '');
+      setTabLimitPolicy(items.tabLimitPolicy ?? TAB_LIMIT_CONFIG.DEFAULT_POLICY);
+      setSuspensionStrategy(items.suspensionStrategy ?? SUSPENSION_CONFIG.DEFAULT_STRATEGY);
+      setNeverSuspendSites(toLines(items.neverSuspendDomains || []));
+      setPauseInactivityWhenIdle(items.pauseInactivityWhenIdle !== false);
+      setIdleSuspendEnabled(items.idleSuspendEnabled === true);
+      setIdleSuspendMinutes(items.idleSuspendMinutes ?? ACTIVITY_CONFIG.DEFAULT_IDLE_SUSPEND_MINUTES);
+      setRemindersEnabled(items.remindersEnabled !== false);
+      // Older rules store a plain string condition and action; edit them in the current shape
+      setRules((items.rules || []).map(migrateRule));
     } catch (error) {
       console.error('Error loading options:', error);
       setErrorMsg('Error loading options.');
@@ -36,8 +1012,33 @@ export default function Options() {
     try {
       const inactiveVal = parseInt(inactiveThreshold, 10);
       const tabLimitVal = Math.min(Math.max(parseInt(tabLimit, 10), TAB_LIMITS.MIN), TAB_LIMITS.MAX);
+      // Left empty, windows are not limited
+      const windowLimitVal = String(windowTabLimit).trim() === ''
+        ? null
+        : Math.min(Math.max(parseInt(windowTabLimit, 10) || TAB_LIMITS.MIN, TAB_LIMITS.MIN), TAB_LIMITS.MAX);
+
+      const sites = fromLines(neverSuspendSites);
+      const invalid = sites.filter(site => !normalizeSite(site));
+      if (invalid.length > 0) {
+        setErrorMsg(`Not a site: ${invalid.join(', ')}`);
+        return;
+      }
+      const neverSuspendDomains = [...new Set(sites.map(normalizeSite))];
 
-      await browser.storage.sync.set({ inactiveThreshold: inactiveVal, tabLimit: tabLimitVal });
+      setErrorMsg('');
+      await browser.storage.sync.set({
+        inactiveThreshold: inactiveVal,
+        tabLimit: tabLimitVal,
+        windowTabLimit: windowLimitVal,
+        tabLimitPolicy,
+        suspensionStrategy,
+        neverSuspendDomains,
+        pauseInactivityWhenIdle,
+        idleSuspendEnabled,
+        idleSuspendMinutes: Math.max(parseInt(idleSuspendMinutes, 10) || ACTIVITY_CONFIG.DEFAULT_IDLE_SUSPEND_MINUTES, 1),
+        remindersEnabled
+      });
+      setNeverSuspendSites(toLines(neverSuspendDomains));
       
       // Optionally dispatch something to the store if needed:
       // store.dispatch(actions.settings.updateSettings({ inactivityThreshold: inactiveVal, maxTabs: tabLimitVal }));
@@ -55,12 +1056,12 @@ export default function Options() {
   };
 
   const addRule = () => {
-    setRules([...rules, { condition: '', action: '' }]);
+    setRules([...rules, { id: Date.now(), condition: { all: [createLeaf()] }, actions: [createAction()], stopProcessing: false }]);
   };
 
   const updateRule = (index, field, value) => {
     const newRules = [...rules];
-    newRules[index][field] = value;
+    newRules[index] = { ...newRules[index], [field]: value };
     setRules(newRules);
   };
 
@@ -72,28 +1073,21 @@ export default function Options() {
     }
   };
 
-  const validateInput = (value) => {
-    return value.trim().length > 0;
-  };
+  const getRuleErrors = (rule) => validateRuleDefinition(rule).errors;
 
   const handleSaveRules = async () => {
     try {
-      let hasErrors = false;
-      
-      for (const rule of rules) {
-        if (!validateInput(rule.condition) || !validateInput(rule.action)) {
-          hasErrors = true;
-          break;
-        }
-      }
-
-      if (hasErrors) {
-        setErrorMsg('Please fill out all rule fields.');
+      if (rules.some(rule => getRuleErrors(rule).length > 0)) {
+        setErrorMsg('Please fix the highlighted rule fields.');
         return;
       }
 
       await browser.storage.sync.set({ rules });
-      await browser.runtime.sendMessage({ action: 'updateRules', rules });
+      await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.APPLY_RULES,
+        payload: {}
+      });
       showSaveSuccess();
     } catch (error) {
       console.error('Error saving rules:', error);
@@ -101,6 +1095,88 @@ export default function Options() {
     }
   };
 
+  const handlePreviewRules = async () => {
+    try {
+      if (rules.some(rule => getRuleErrors(rule).length > 0)) {
+        setErrorMsg('Please fix the highlighted rule fields.');
+        return;
+      }
+
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.PREVIEW_RULES,
+        payload: { rules }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      setErrorMsg('');
+      setPreview(response.tabs);
+    } catch (error) {
+      console.error('Error previewing rules:', error);
+      setErrorMsg('Error previewing rules.');
+    }
+  };
+
+  const handleExportRules = async () => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.EXPORT_RULES,
+        payload: {}
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const blob = new Blob([JSON.stringify(response.pack, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tabcurator-rules-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting rules:', error);
+      setErrorMsg('Error exporting rules.');
+    }
+  };
+
+  const handleImportRules = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.IMPORT_RULES,
+        payload: { data: await file.text(), mode: importMode }
+      });
+      if (response?.errors) {
+        setErrorMsg(`Rule pack rejected: ${response.errors
+          .slice(0, 3)
+          .map(error => `${error.path} ${error.message}`)
+          .join('; ')}`);
+        return;
+      }
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      await loadOptions();
+      showSaveSuccess();
+    } catch (error) {
+      console.error('Error importing rules:', error);
+      setErrorMsg('Error importing rules.');
+    }
+  };
+
+  const describeAction = (action) => {
+    const label = ACTION_LABELS[action.type] || action.type;
+    const detail = action.type === RULE_ACTION_TYPES.DISCARD ? `${action.minutes} min` : action.value;
+    return `${label}${detail !== undefined && detail !== '' ? `: ${detail}` : ''}${action.skipped ? ' (skipped, tab closed)' : ''}`;
+  };
+
   return (
     <div className="options-container">
       <h1>TabCurator Options</h1>
@@ -132,35 +1208,210 @@ export default function Options() {
         </span>
       </div>
 
+      <div className="setting-group">
+        <label htmlFor="windowTabLimit">Maximum Tabs per Window:</label>
+        <input
+          type="number"
+          id="windowTabLimit"
+          value={windowTabLimit ?? ''}
+          placeholder="No limit"
+          onChange={(e) => setWindowTabLimit(e.target.value)}
+          min={TAB_LIMITS.MIN}
+          max={TAB_LIMITS.MAX}
+        />
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="tabLimitPolicy">When a New Tab Goes Over a Limit:</label>
+        <select
+          id="tabLimitPolicy"
+          value={tabLimitPolicy}
+          onChange={(e) => setTabLimitPolicy(e.target.value)}
+        >
+          <option value={TAB_LIMIT_POLICIES.PROMPT}>Ask which tab to tag or close</option>
+          <option value={TAB_LIMIT_POLICIES.ARCHIVE_LRU}>Archive the least recently used tab</option>
+          <option value={TAB_LIMIT_POLICIES.BLOCK}>Close the new tab</option>
+        </select>
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="suspensionStrategy">Suspend Tabs By:</label>
+        <select
+          id="suspensionStrategy"
+          value={suspensionStrategy}
+          onChange={(e) => setSuspensionStrategy(e.target.value)}
+        >
+          <option value={SUSPENSION_STRATEGIES.DISCARD}>Discarding (browser reloads on focus)</option>
+          <option value={SUSPENSION_STRATEGIES.PLACEHOLDER}>Placeholder page</option>
+          <option value={SUSPENSION_STRATEGIES.ARCHIVE}>Bookmarking and closing</option>
+        </select>
+      </div>
+
+      <div className="setting-group">
+        <label htmlFor="neverSuspendSites">Never suspend these sites (one per line):</label>
+        <textarea
+          id="neverSuspendSites"
+          rows="3"
+          value={neverSuspendSites}
+          onChange={(e) => setNeverSuspendSites(e.target.value)}
+        />
+        <span className="setting-hint">
+          Pinned tabs, tabs playing audio or with unsaved form input, and tabs tagged "{SUSPENSION_CONFIG.KEEP_TAG}" are never suspended either.
+        </span>
+      </div>
+
+      <div className="setting-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={pauseInactivityWhenIdle}
+            onChange={(e) => setPauseInactivityWhenIdle(e.target.checked)}
+          />
+          Don't count time away from the computer (idle or locked) as tab inactivity
+        </label>
+      </div>
+
+      <div className="setting-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={idleSuspendEnabled}
+            onChange={(e) => setIdleSuspendEnabled(e.target.checked)}
+          />
+          Suspend all background tabs after the computer has been idle for
+        </label>
+        <input
+          type="number"
+          id="idleSuspendMinutes"
+          min="1"
+          value={idleSuspendMinutes}
+          disabled={!idleSuspendEnabled}
+          onChange={(e) => setIdleSuspendMinutes(e.target.value)}
+        />
+        <span>minutes</span>
+      </div>
+
+      <div className="setting-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={remindersEnabled}
+            onChange={(e) => setRemindersEnabled(e.target.checked)}
+          />
+          Remind me about tabs I haven't used in a while
+        </label>
+      </div>
+
       <button id="save-options" onClick={handleSaveOptions}>Save Options</button>
 
       <h2>Rules</h2>
       <div id="rulesList">
         {rules.map((rule, index) => (
-          <div key={index} className="rule-item">
-            <input
-              type="text"
-              className={`rule-condition ${!validateInput(rule.condition) ? 'invalid' : ''}`}
-              placeholder='Condition (e.g. "example.com")'
-              value={rule.condition}
-              onChange={(e) => updateRule(index, 'condition', e.target.value)}
-              aria-label="Rule Condition"
+          <div key={rule.id ?? index} className="rule-item">
+            <RuleScheduleEditor
+              schedule={rule.schedule}
+              errors={getRuleErrors(rule)}
+              onChange={(schedule) => updateRule(index, 'schedule', schedule)}
             />
-            <input
-              type="text"
-              className={`rule-action ${!validateInput(rule.action) ? 'invalid' : ''}`}
-              placeholder='Action (e.g. "Tag: Research")'
-              value={rule.action}
-              onChange={(e) => updateRule(index, 'action', e.target.value)}
-              aria-label="Rule Action"
+            {rule.condition ? (
+              <ConditionEditor
+                condition={rule.condition}
+                path="condition"
+                errors={getRuleErrors(rule)}
+                onChange={(condition) => updateRule(index, 'condition', condition)}
+                onRemove={rule.schedule ? () => updateRule(index, 'condition', undefined) : undefined}
+              />
+            ) : (
+              <div className="condition-group">
+                <span className="setting-hint">Applies to every open tab.</span>
+                <button onClick={() => updateRule(index, 'condition', { all: [createLeaf()] })}>Add Condition</button>
+              </div>
+            )}
+            <ActionListEditor
+              actions={rule.actions}
+              errors={getRuleErrors(rule)}
+              onChange={(actions) => updateRule(index, 'actions', actions)}
             />
+            <label className="rule-stop">
+              <input
+                type="checkbox"
+                checked={Boolean(rule.stopProcessing)}
+                onChange={(e) => updateRule(index, 'stopProcessing', e.target.checked)}
+              />
+              Stop processing further rules
+            </label>
             <button aria-label="Delete Rule" onClick={() => deleteRule(index)}>Delete</button>
+            {getRuleErrors(rule)
+              .filter(error => error.path === 'condition' || error.path === 'actions')
+              .map(error => (
+                <span key={error.path} className="field-error">
+                  {error.path === 'condition' ? 'Condition' : 'Actions'} {error.message}
+                </span>
+              ))}
           </div>
         ))}
       </div>
       <button id="addRuleButton" onClick={addRule}>Add Rule</button>
+      <button id="previewRulesButton" onClick={handlePreviewRules}>Preview</button>
       <button id="saveRulesButton" onClick={handleSaveRules}>Save Rules</button>
 
+      <div className="setting-group rule-pack">
+        <button id="exportRulesButton" onClick={handleExportRules}>Export Rules</button>
+        <label htmlFor="importMode">Import:</label>
+        <select id="importMode" value={importMode} onChange={(e) => setImportMode(e.target.value)}>
+          <option value={RULE_PACK.IMPORT_MODES.MERGE}>Merge by id</option>
+          <option value={RULE_PACK.IMPORT_MODES.APPEND}>Append</option>
+          <option value={RULE_PACK.IMPORT_MODES.REPLACE}>Replace all</option>
+        </select>
+        <input
+          type="file"
+          id="importRulesInput"
+          accept="application/json,.json"
+          onChange={handleImportRules}
+          aria-label="Import Rules"
+        />
+      </div>
+
+      {preview && (
+        <div className="rule-preview">
+          <h3>Preview</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Tab</th>
+                <th>Rule</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.flatMap(tab => tab.matches.map((match, matchIndex) => (
+                <tr key={`${tab.tabId}-${match.ruleId}`}>
+                  {matchIndex === 0 && (
+                    <td rowSpan={tab.matches.length} title={tab.url}>{tab.title || tab.url}</td>
+                  )}
+                  <td>
+                    Rule {rules.findIndex(rule => rule.id === match.ruleId) + 1}
+                    {match.stopped ? ' (stops)' : ''}
+                  </td>
+                  <td>{match.actions.map(describeAction).join(', ')}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+          <p className="setting-hint">
+            {preview.filter(tab => tab.matches.length === 0).length} of {preview.length} open tabs match no rule.
+          </p>
+        </div>
+      )}
+
+      <FocusSettings onError={setErrorMsg} onSaved={showSaveSuccess} />
+
+      <SessionCompare onError={setErrorMsg} onSaved={showSaveSuccess} />
+
+      <SessionTransfer onError={setErrorMsg} onSaved={showSaveSuccess} />
+
+      <JobStatusView onError={setErrorMsg} />
+
       <div id="save-success" className={saveSuccessVisible ? 'visible' : ''}>
         Settings saved successfully!
       </div>
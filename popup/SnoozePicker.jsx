@@ -0,0 +1,71 @@
+// popup/SnoozePicker.jsx
+import React, { useState } from 'react';
+import { SNOOZE_PRESETS, SNOOZE_TRIGGERS } from '../utils/constants.js';
+import { getSnoozeTime } from '../utils/snoozeTime.js';
+
+const CUSTOM = 'custom';
+
+const CHOICES = [
+  { value: SNOOZE_PRESETS.LATER_TODAY, label: 'Later today' },
+  { value: SNOOZE_PRESETS.TOMORROW, label: 'Tomorrow morning' },
+  { value: SNOOZE_PRESETS.NEXT_WEEK, label: 'Next week' },
+  { value: CUSTOM, label: 'Pick a date & time' },
+  { value: SNOOZE_TRIGGERS.STARTUP, label: 'Next browser start' },
+  { value: SNOOZE_TRIGGERS.WINDOW, label: 'When a new window opens' }
+];
+
+/**
+ * @param {SnoozeTrigger} trigger
+ * @returns {string} When a snoozed tab reopens, for display.
+ */
+export const describeSnoozeTrigger = (trigger) => {
+  switch (trigger.type) {
+    case SNOOZE_TRIGGERS.STARTUP:
+      return 'Next browser start';
+    case SNOOZE_TRIGGERS.WINDOW:
+      return 'Next new window';
+    default:
+      return new Date(trigger.at).toLocaleString([], {
+        weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+  }
+};
+
+const toTrigger = (choice, custom) => {
+  if (choice === SNOOZE_TRIGGERS.STARTUP || choice === SNOOZE_TRIGGERS.WINDOW) {
+    return { type: choice };
+  }
+  const at = choice === CUSTOM ? new Date(custom).getTime() : getSnoozeTime(choice);
+  return { type: SNOOZE_TRIGGERS.TIME, at };
+};
+
+const SnoozePicker = ({ onSubmit, submitLabel = 'Snooze', disabled = false }) => {
+  const [choice, setChoice] = useState(SNOOZE_PRESETS.LATER_TODAY);
+  const [custom, setCustom] = useState('');
+
+  return (
+    <div className="snooze-picker">
+      <select value={choice} onChange={(e) => setChoice(e.target.value)} aria-label="Snooze until">
+        {CHOICES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {choice === CUSTOM && (
+        <input
+          type="datetime-local"
+          value={custom}
+          onChange={(e) => setCustom(e.target.value)}
+          aria-label="Snooze until date and time"
+        />
+      )}
+      <button
+        onClick={() => onSubmit(toTrigger(choice, custom))}
+        disabled={disabled || (choice === CUSTOM && !custom)}
+      >
+        {submitLabel}
+      </button>
+    </div>
+  );
+};
+
+export default SnoozePicker;
@@ -6,19 +6,41 @@ import stateManager from '../utils/stateManager.js';
 import { connection } from '../utils/connectionManager.js'; // Updated import
 import browser from 'webextension-polyfill';
 import { useDispatch, useSelector } from 'react-redux';
-import { MESSAGE_TYPES, TAB_OPERATIONS, ACTION_TYPES } from '../utils/constants.js';
-import TabLimitPrompt from './TabLimitPrompt.jsx';
+import {
+  MESSAGE_TYPES,
+  TAB_OPERATIONS,
+  ACTION_TYPES,
+  SUSPENSION_EXEMPTION_LABELS,
+  SESSION_RESTORE_MODES,
+  SNAPSHOT_TRIGGERS
+} from '../utils/constants.js';
+import SnoozePicker, { describeSnoozeTrigger } from './SnoozePicker.jsx';
 import { logger } from '../utils/logger.js'; // Add logger import
 
+const SNAPSHOT_LABELS = {
+  [SNAPSHOT_TRIGGERS.SCHEDULED]: 'Automatic',
+  [SNAPSHOT_TRIGGERS.STARTUP]: 'At browser start',
+  [SNAPSHOT_TRIGGERS.SHUTDOWN]: 'When the browser closed'
+};
+
+const describeSessionSize = ({ tabCount, windows }) =>
+  `${tabCount} tabs, ${windows.length} ${windows.length === 1 ? 'window' : 'windows'}`;
+
 const Popup = () => {
   const [tabs, setTabs] = useState([]);
   const [sessions, setSessions] = useState([]);
-  const [isTaggingPromptVisible, setIsTaggingPromptVisible] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
   const [errorMsg, setErrorMsg] = useState('');
   const [connectionId, setConnectionId] = useState(null);
   const [tabCount, setTabCount] = useState(0);
   const [port, setPort] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [editingSnoozeId, setEditingSnoozeId] = useState(null);
+  const [closeCandidates, setCloseCandidates] = useState(null);
+  const [restoreMode, setRestoreMode] = useState(SESSION_RESTORE_MODES.WINDOWS);
+  // Session whose tabs are being picked, and the picked `windowIndex:tabIndex` keys
+  const [pickingSessionId, setPickingSessionId] = useState(null);
+  const [pickedTabs, setPickedTabs] = useState([]);
 
   const [connectionState, setConnectionState] = useState({
     isConnecting: false,
@@ -27,9 +49,12 @@ const Popup = () => {
   });
 
   const dispatch = useDispatch();
-  const oldestTab = useSelector(state => state.tabManagement.oldestTab);
+  const tabGroups = useSelector(state => state.tabManagement.groups || {});
+  const suspendedTabs = useSelector(state => state.tabManagement.suspended || {});
+  const exemptTabs = useSelector(state => state.tabManagement.exemptions || {});
+  const snoozedTabs = useSelector(state => state.snoozed || {});
   const settings = useSelector(state => state.settings);
-  const { maxTabs } = settings;
+  const [maxTabs, setMaxTabs] = useState(settings.maxTabs);
 
   useEffect(() => {
     const connectWithRetry = async () => {
@@ -105,51 +130,27 @@ const Popup = () => {
     };
   }, []);
 
-  // Enhanced tab limit check
+  // Limits are enforced by the background when tabs are created; the popup shows the count
   useEffect(() => {
-    const checkTabLimit = async () => {
-      const allTabs = await browser.tabs.query({});
+    const updateTabCount = async () => {
+      const [allTabs, { tabLimit }] = await Promise.all([
+        browser.tabs.query({}),
+        browser.storage.sync.get('tabLimit')
+      ]);
       setTabCount(allTabs.length);
-
-      // If we're at or above the limit
-      if (allTabs.length >= maxTabs) {
-        // Find and close the oldest tab
-        try {
-          const oldest = await sendMessage({
-            type: MESSAGE_TYPES.TAB_ACTION,
-            action: TAB_OPERATIONS.GET_OLDEST,
-            payload: {} // Added empty payload
-          });
-
-          if (oldest) {
-            setIsTaggingPromptVisible(true);
-            // Prevent new tab creation if we're at the limit
-            const currentTab = await browser.tabs.getCurrent();
-            if (currentTab && allTabs.length > maxTabs) {
-              await browser.tabs.remove(currentTab.id);
-            }
-          }
-        } catch (error) {
-          console.error('Error handling tab limit:', error);
-        }
-      }
+      setMaxTabs(tabLimit ?? settings.maxTabs);
     };
 
-    checkTabLimit();
-    
-    // Listen for tab changes
-    const tabListener = async (tab) => {
-      await checkTabLimit();
-    };
+    updateTabCount();
 
-    browser.tabs.onCreated.addListener(tabListener);
-    browser.tabs.onRemoved.addListener(tabListener);
+    browser.tabs.onCreated.addListener(updateTabCount);
+    browser.tabs.onRemoved.addListener(updateTabCount);
 
     return () => {
-      browser.tabs.onCreated.removeListener(tabListener);
-      browser.tabs.onRemoved.removeListener(tabListener);
+      browser.tabs.onCreated.removeListener(updateTabCount);
+      browser.tabs.onRemoved.removeListener(updateTabCount);
     };
-  }, [maxTabs, connectionId]);
+  }, []);
 
   // Updated sendMessage function
   const sendMessage = async (message) => {
@@ -194,7 +195,7 @@ const Popup = () => {
         payload: {} // Empty payload for this operation
       });
       if (response.success) {
-        logger.info(`Suspended ${response.suspendedTabs} inactive tabs.`);
+        logger.info(`Suspended ${response.suspendedCount} inactive tabs.`);
       }
       await loadTabs(); // Refresh UI after operation
     } catch (error) {
@@ -203,16 +204,110 @@ const Popup = () => {
     }
   };
 
+  const unsuspendTabs = async (tabId) => {
+    try {
+      await sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: tabId === undefined ? TAB_OPERATIONS.UNSUSPEND_ALL : TAB_OPERATIONS.UNSUSPEND,
+        payload: tabId === undefined ? {} : { tabId }
+      });
+      await loadTabs();
+    } catch (error) {
+      logger.error('Failed to unsuspend tabs:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
+  const snoozeCurrentTab = async (trigger) => {
+    try {
+      const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+      if (!activeTab) return;
+      await sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.SNOOZE_TAB,
+        payload: { tabId: activeTab.id, trigger }
+      });
+      await loadTabs();
+    } catch (error) {
+      logger.error('Failed to snooze tab:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
+  // Edits, reopens or drops a snoozed tab
+  const updateSnoozed = async (action, payload) => {
+    try {
+      await sendMessage({ type: MESSAGE_TYPES.TAB_ACTION, action, payload });
+      setEditingSnoozeId(null);
+      if (action === TAB_OPERATIONS.WAKE_SNOOZED) {
+        await loadTabs();
+      }
+    } catch (error) {
+      logger.error('Failed to update snoozed tab:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
+  const loadCloseCandidates = async () => {
+    try {
+      const response = await sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.GET_CLOSE_CANDIDATES,
+        payload: {}
+      });
+      setCloseCandidates(response.candidates || []);
+    } catch (error) {
+      logger.error('Failed to rank tabs:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
+  const closeCandidate = async (tabId) => {
+    try {
+      await sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.RESOLVE_TAB_LIMIT,
+        payload: { tabId }
+      });
+      await Promise.all([loadTabs(), loadCloseCandidates()]);
+    } catch (error) {
+      logger.error('Failed to close tab:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
+  const groupTabsByDomain = async () => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.GROUP_BY_DOMAIN,
+        payload: {}
+      });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      logger.info(`Grouped tabs into ${response.groups.length} domain groups.`);
+      await loadTabs();
+    } catch (error) {
+      logger.error('Failed to group tabs:', error);
+      setErrorMsg(error.message);
+    }
+  };
+
   const saveSession = async () => {
     const sessionName = prompt('Enter a name for this session:');
     if (!sessionName?.trim()) return;
 
     try {
-      await sendMessage({
+      // Sent straight to the background, which captures the windows and tabs itself
+      const response = await browser.runtime.sendMessage({
         type: MESSAGE_TYPES.SESSION_ACTION,
         action: ACTION_TYPES.SESSION.SAVE_SESSION,
         payload: { name: sessionName }
       });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save session');
+      }
       await loadSessions();
     } catch (error) {
       logger.error('Failed to save session:', error);
@@ -223,47 +318,57 @@ const Popup = () => {
   const loadSessions = async () => {
     try {
       logger.info('Sending getSessions message...');
-      const response = await sendMessage({
+      const response = await browser.runtime.sendMessage({
         type: MESSAGE_TYPES.GET_SESSIONS,
         payload: {}
       });
-      setSessions(response.sessions || []);
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      setSessions(response?.savedSessions || []);
+      setSnapshots(response?.snapshots || []);
     } catch (error) {
       logger.error('Failed to load sessions:', error);
       setErrorMsg(error.message);
       setSessions([]);
+      setSnapshots([]);
     }
   };
 
-  const restoreSession = async (sessionName) => {
+  // Snapshots have no name; they are told apart by when they were taken
+  const restoreSession = async (session, name = session.name) => {
+    const selected = pickingSessionId === session.id
+      ? pickedTabs.map(key => key.split(':').map(Number))
+      : undefined;
+    if (selected?.length === 0) return;
+
     try {
-      const message = {
+      const response = await browser.runtime.sendMessage({
         type: MESSAGE_TYPES.SESSION_ACTION,
         action: ACTION_TYPES.SESSION.RESTORE_SESSION,
-        payload: { sessionName }
-      };
-      await sendMessage(message);
-      logger.info(`Session "${sessionName}" restored successfully.`);
-    } catch (error) {
-      logger.error(`Error restoring session "${sessionName}":`, error);
-    }
-  };
-
-  const handleTagSubmit = async (tag) => {
-    if (!oldestTab) return;
-    try {
-      await sendMessage({
-        type: MESSAGE_TYPES.TAB_ACTION,
-        action: TAB_OPERATIONS.TAG_AND_CLOSE,
-        payload: { tabId: oldestTab.id, tag }
+        payload: { id: session.id, mode: restoreMode, selected }
       });
-      setIsTaggingPromptVisible(false);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to restore session');
+      }
+      logger.info(`Session "${name}" restored: ${response.restored} tabs opened, ${response.skipped} already open.`);
+      setPickingSessionId(null);
       await loadTabs();
     } catch (error) {
-      logger.error(`Failed to tag tab: ${error.message}`);
+      logger.error(`Error restoring session "${name}":`, error);
+      setErrorMsg(error.message);
     }
   };
-  
+
+  const togglePicking = (session) => {
+    setPickingSessionId(pickingSessionId === session.id ? null : session.id);
+    setPickedTabs([]);
+  };
+
+  const togglePickedTab = (key) => {
+    setPickedTabs(pickedTabs.includes(key) ? pickedTabs.filter(picked => picked !== key) : [...pickedTabs, key]);
+  };
+
   const openOptions = async () => {
     logger.info('Opening options page...'); 
     try {
@@ -283,22 +388,78 @@ const Popup = () => {
 
     return (
       <div id="sessionsList" className="sessions-list">
-        {sessions.map((sessionName) => (
-          <div key={sessionName} className="session-item">
-            <span className="session-name">{sessionName}</span>
+        {sessions.map((session) => (
+          <div key={session.id} className="session-item">
+            <span className="session-name">{session.name}</span>
             <button
-              onClick={() => restoreSession(sessionName)}
+              onClick={() => togglePicking(session)}
+              aria-label={`Choose tabs to restore: ${session.name}`}
+            >
+              {pickingSessionId === session.id ? 'All Tabs' : 'Choose Tabs'}
+            </button>
+            <button
+              onClick={() => restoreSession(session)}
               className="restore-button"
-              aria-label={`Restore session: ${sessionName}`}
+              disabled={pickingSessionId === session.id && pickedTabs.length === 0}
+              aria-label={`Restore session: ${session.name}`}
             >
-              Restore
+              {pickingSessionId === session.id ? `Restore ${pickedTabs.length}` : 'Restore'}
             </button>
+            <span className="session-details">
+              {describeSessionSize(session)}{' · '}{new Date(session.updatedAt).toLocaleString()}
+            </span>
+            {pickingSessionId === session.id && session.windows.map((window, windowIndex) => (
+              <div key={windowIndex} className="session-window">
+                <span className="session-details">Window {windowIndex + 1}</span>
+                {window.tabs.map((tab, tabIndex) => {
+                  const key = `${windowIndex}:${tabIndex}`;
+                  return (
+                    <label key={key} className="session-tab" title={tab.url}>
+                      <input
+                        type="checkbox"
+                        checked={pickedTabs.includes(key)}
+                        onChange={() => togglePickedTab(key)}
+                      />
+                      {tab.title || tab.url}
+                    </label>
+                  );
+                })}
+              </div>
+            ))}
           </div>
         ))}
       </div>
     );
   };
 
+  const renderSnapshots = () => {
+    if (!snapshots.length) return null;
+
+    return (
+      <div className="sessions-list" data-testid="recovered-sessions">
+        <div className="suspended-header">
+          <span>Recovered sessions</span>
+        </div>
+        {snapshots.map((snapshot) => {
+          const name = `${SNAPSHOT_LABELS[snapshot.trigger] || snapshot.trigger}, ${new Date(snapshot.updatedAt).toLocaleString()}`;
+          return (
+            <div key={snapshot.id} className="session-item">
+              <span className="session-name">{name}</span>
+              <button
+                onClick={() => restoreSession(snapshot, name)}
+                className="restore-button"
+                aria-label={`Restore recovered session: ${name}`}
+              >
+                Restore
+              </button>
+              <span className="session-details">{describeSessionSize(snapshot)}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
   return (
     <div className="popup-container">
       <h1>TabCurator</h1>
@@ -310,14 +471,137 @@ const Popup = () => {
         Suspend Inactive Tabs
       </button>
       <button onClick={refreshTabs}>Refresh Tabs</button>
+      <button
+        onClick={groupTabsByDomain}
+        disabled={!connected}
+        data-testid="group-by-domain"
+      >
+        Group Tabs by Domain
+      </button>
       <div id="tab-list">
         {tabs.map((tab) => (
           <div key={tab.id} className="tab-item">
+            {tabGroups[tab.groupId] && (
+              <span className={`group-badge group-${tabGroups[tab.groupId].color}`}>
+                {tabGroups[tab.groupId].title}
+              </span>
+            )}
             {tab.title || 'Untitled Tab'}
           </div>
         ))}
       </div>
 
+      {Object.keys(suspendedTabs).length > 0 && (
+        <div className="suspended-list" data-testid="suspended-tabs">
+          <div className="suspended-header">
+            <span>Suspended ({Object.keys(suspendedTabs).length})</span>
+            <button onClick={() => unsuspendTabs()} disabled={!connected}>Restore All</button>
+          </div>
+          {Object.values(suspendedTabs).map((entry) => (
+            <div key={entry.tabId} className="tab-item suspended" title={entry.url}>
+              <span className="suspended-strategy">{entry.strategy}</span>
+              {entry.title || entry.url}
+              <button
+                onClick={() => unsuspendTabs(entry.tabId)}
+                disabled={!connected}
+                aria-label={`Restore tab: ${entry.title || entry.url}`}
+              >
+                Restore
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="suspended-list" data-testid="close-candidates">
+        <div className="suspended-header">
+          <span>Least used tabs</span>
+          <button onClick={loadCloseCandidates} disabled={!connected}>
+            {closeCandidates ? 'Refresh' : 'Show'}
+          </button>
+        </div>
+        {closeCandidates?.length === 0 && <div className="no-sessions">No tabs to close</div>}
+        {closeCandidates?.map(({ tab, reasons }) => (
+          <div key={tab.id} className="tab-item suspended" title={tab.url}>
+            <div className="candidate-info">
+              {tab.title || tab.url}
+              <span className="candidate-reasons">{reasons.join(' · ')}</span>
+            </div>
+            <button
+              onClick={() => closeCandidate(tab.id)}
+              disabled={!connected}
+              aria-label={`Close tab: ${tab.title || tab.url}`}
+            >
+              Close
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="snooze-current">
+        <span>Snooze this tab until</span>
+        <SnoozePicker onSubmit={snoozeCurrentTab} disabled={!connected} />
+      </div>
+
+      {Object.keys(snoozedTabs).length > 0 && (
+        <div className="suspended-list" data-testid="snoozed-tabs">
+          <div className="suspended-header">
+            <span>Snoozed ({Object.keys(snoozedTabs).length})</span>
+          </div>
+          {Object.values(snoozedTabs)
+            .sort((a, b) => (a.trigger.at ?? Infinity) - (b.trigger.at ?? Infinity))
+            .map((entry) => (
+              <div key={entry.id} className="snoozed-item">
+                <div className="tab-item suspended" title={entry.url}>
+                  <span className="snooze-time">{describeSnoozeTrigger(entry.trigger)}</span>
+                  {entry.title || entry.url}
+                  <button
+                    onClick={() => setEditingSnoozeId(editingSnoozeId === entry.id ? null : entry.id)}
+                    aria-label={`Change snooze: ${entry.title || entry.url}`}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => updateSnoozed(TAB_OPERATIONS.WAKE_SNOOZED, { id: entry.id })}
+                    disabled={!connected}
+                    aria-label={`Open now: ${entry.title || entry.url}`}
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => updateSnoozed(TAB_OPERATIONS.CANCEL_SNOOZE, { id: entry.id })}
+                    disabled={!connected}
+                    aria-label={`Remove snoozed tab: ${entry.title || entry.url}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+                {editingSnoozeId === entry.id && (
+                  <SnoozePicker
+                    submitLabel="Save"
+                    disabled={!connected}
+                    onSubmit={(trigger) => updateSnoozed(TAB_OPERATIONS.UPDATE_SNOOZE, { id: entry.id, trigger })}
+                  />
+                )}
+              </div>
+            ))}
+        </div>
+      )}
+
+      {Object.keys(exemptTabs).length > 0 && (
+        <div className="suspended-list" data-testid="exempt-tabs">
+          <div className="suspended-header">
+            <span>Kept awake ({Object.keys(exemptTabs).length})</span>
+          </div>
+          {Object.values(exemptTabs).map((exemption) => (
+            <div key={exemption.tabId} className="tab-item suspended" title={exemption.url}>
+              <span className="exemption-reason">{SUSPENSION_EXEMPTION_LABELS[exemption.reason] || exemption.reason}</span>
+              {exemption.title || exemption.url}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="status-bar">
         {connectionState.isConnecting && (
           <span className="connecting">Connecting to extension...</span>
@@ -348,7 +632,18 @@ const Popup = () => {
             View Saved Sessions
           </button>
         </div>
+        {(sessions.length > 0 || snapshots.length > 0) && (
+          <label className="restore-mode">
+            Restore
+            <select value={restoreMode} onChange={(e) => setRestoreMode(e.target.value)}>
+              <option value={SESSION_RESTORE_MODES.WINDOWS}>as saved</option>
+              <option value={SESSION_RESTORE_MODES.NEW_WINDOW}>in a new window</option>
+              <option value={SESSION_RESTORE_MODES.CURRENT_WINDOW}>into this window</option>
+            </select>
+          </label>
+        )}
         {renderSessions()}
+        {renderSnapshots()}
       </div>
 
       <div className="tab-status">
@@ -363,14 +658,6 @@ const Popup = () => {
           Settings
         </button>
       </div>
-
-      {isTaggingPromptVisible && oldestTab && (
-        <TabLimitPrompt
-          oldestTab={oldestTab}
-          onSubmit={handleTagSubmit}
-          onClose={() => setIsTaggingPromptVisible(false)}
-        />
-      )}
     </div>
   );
 };
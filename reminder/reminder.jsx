@@ -0,0 +1,61 @@
+// reminder/reminder.jsx
+import React, { useEffect, useState } from 'react';
+import ReactDOM from 'react-dom';
+import browser from 'webextension-polyfill';
+import './reminder.css';
+
+import { MESSAGE_TYPES, TAB_OPERATIONS, REMINDER_DECISIONS } from '../utils/constants';
+
+export default function Reminder() {
+  const [tabId] = useState(() => Number(new URLSearchParams(window.location.search).get('tabId')));
+  const [tab, setTab] = useState(null);
+  const [tag, setTag] = useState('');
+  const [errorMsg, setErrorMsg] = useState('');
+
+  useEffect(() => {
+    browser.tabs.get(tabId)
+      .then(setTab)
+      .catch(() => setErrorMsg('This tab has already been closed.'));
+  }, [tabId]);
+
+  const decide = async (decision) => {
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.REMINDER_DECISION,
+        payload: { tabId, decision, tag }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      window.close();
+    } catch (error) {
+      console.error('Error answering reminder:', error);
+      setErrorMsg(`Could not apply your choice: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="reminder-container">
+      <h1>Still need this tab?</h1>
+      {tab && <p className="reminder-url">{tab.title || tab.url}</p>}
+      {errorMsg && <p className="error-message">{errorMsg}</p>}
+      <div className="reminder-actions">
+        <button disabled={!tab} onClick={() => decide(REMINDER_DECISIONS.KEEP)}>Keep</button>
+        <button disabled={!tab} onClick={() => decide(REMINDER_DECISIONS.SNOOZE)}>Snooze 1 day</button>
+        <button disabled={!tab} onClick={() => decide(REMINDER_DECISIONS.BOOKMARK)}>Close &amp; Bookmark</button>
+      </div>
+      <div className="reminder-tag">
+        <input
+          type="text"
+          placeholder="Tag"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+        />
+        <button disabled={!tab || !tag.trim()} onClick={() => decide(REMINDER_DECISIONS.TAG)}>Tag</button>
+      </div>
+    </div>
+  );
+}
+
+ReactDOM.render(<Reminder />, document.getElementById('root'));
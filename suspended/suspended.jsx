@@ -0,0 +1,77 @@
+// suspended/suspended.jsx
+import React, { useEffect, useState } from 'react';
+import ReactDOM from 'react-dom';
+import browser from 'webextension-polyfill';
+import { SUSPENSION_CONFIG } from '../utils/constants';
+import { parsePlaceholderQuery } from '../utils/placeholder';
+import './suspended.css';
+
+export default function Suspended() {
+  const [{ url, title, favIconUrl, suspendedAt, screenshotId }] =
+    useState(() => parsePlaceholderQuery(window.location.search));
+  const [screenshot, setScreenshot] = useState(null);
+
+  // The background clears the suspension record once the tab leaves this page
+  const restore = () => {
+    if (url) {
+      window.location.replace(url);
+    }
+  };
+
+  // Keep the original title and icon in the tab strip
+  useEffect(() => {
+    document.title = title || url;
+    if (favIconUrl) {
+      const icon = document.createElement('link');
+      icon.rel = 'icon';
+      icon.href = favIconUrl;
+      document.head.appendChild(icon);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!screenshotId) return;
+    const key = `${SUSPENSION_CONFIG.SCREENSHOT_PREFIX}${screenshotId}`;
+    browser.storage.local.get(key)
+      .then(stored => setScreenshot(stored[key] || null))
+      .catch(() => setScreenshot(null));
+  }, []);
+
+  // Restore when the user comes back to the tab. A page that loads in the foreground
+  // well after suspension was reopened (restart, session restore), so it restores too.
+  useEffect(() => {
+    if (document.visibilityState === 'visible'
+      && Date.now() - (suspendedAt || 0) > SUSPENSION_CONFIG.RESTORE_GRACE_PERIOD) {
+      restore();
+      return undefined;
+    }
+
+    let hidden = document.visibilityState === 'hidden';
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        hidden = true;
+      } else if (hidden) {
+        restore();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  return (
+    <div className="suspended-container" onClick={restore}>
+      <h1 className="suspended-title">
+        {favIconUrl && <img src={favIconUrl} alt="" />}
+        <span>{title || 'Suspended tab'}</span>
+      </h1>
+      <p className="suspended-url">{url}</p>
+      {suspendedAt && (
+        <p className="suspended-time">Suspended {new Date(suspendedAt).toLocaleString()}</p>
+      )}
+      {screenshot && <img className="suspended-screenshot" src={screenshot} alt="" />}
+      <button>Click to restore</button>
+    </div>
+  );
+}
+
+ReactDOM.render(<Suspended />, document.getElementById('root'));
@@ -0,0 +1,85 @@
+// tablimit/tablimit.jsx
+import React, { useEffect, useState } from 'react';
+import ReactDOM from 'react-dom';
+import browser from 'webextension-polyfill';
+import './tablimit.css';
+
+import { MESSAGE_TYPES, TAB_OPERATIONS } from '../utils/constants';
+
+const sendTabAction = async (action, payload) => {
+  const response = await browser.runtime.sendMessage({ type: MESSAGE_TYPES.TAB_ACTION, action, payload });
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response');
+  }
+  return response;
+};
+
+export default function TabLimit() {
+  const [{ tabId, windowId }] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    return { tabId: Number(params.get('tabId')), windowId: Number(params.get('windowId')) };
+  });
+  const [info, setInfo] = useState(null);
+  const [tags, setTags] = useState({});
+  const [errorMsg, setErrorMsg] = useState('');
+
+  const load = async () => {
+    try {
+      setInfo(await sendTabAction(TAB_OPERATIONS.GET_TAB_LIMIT_STATUS, { windowId }));
+    } catch (error) {
+      setErrorMsg(`Could not load tabs: ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const closeTab = async (id) => {
+    try {
+      await sendTabAction(TAB_OPERATIONS.RESOLVE_TAB_LIMIT, { tabId: id, tag: tags[id] });
+      window.close();
+    } catch (error) {
+      console.error('Error closing tab:', error);
+      setErrorMsg(`Could not close the tab: ${error.message}`);
+    }
+  };
+
+  if (!info) {
+    return <div className="tablimit-container">{errorMsg || 'Loading...'}</div>;
+  }
+
+  const { status, candidates } = info;
+  return (
+    <div className="tablimit-container">
+      <h1>Tab limit reached</h1>
+      <p>
+        {status.exceeded === 'window'
+          ? `This window has ${status.inWindow} of ${status.windowLimit} tabs.`
+          : `You have ${status.total} of ${status.globalLimit} tabs open.`}
+        {' '}Close one, optionally bookmarking it under a tag:
+      </p>
+      {errorMsg && <p className="error-message">{errorMsg}</p>}
+      {candidates.map(({ tab, reasons }) => (
+        <div key={tab.id} className="candidate" title={tab.url}>
+          <div className="candidate-info">
+            <span className="candidate-title">{tab.title || tab.url}</span>
+            <span className="candidate-reasons">{reasons.join(' · ')}</span>
+          </div>
+          <input
+            type="text"
+            placeholder="Tag"
+            value={tags[tab.id] || ''}
+            onChange={(e) => setTags({ ...tags, [tab.id]: e.target.value })}
+          />
+          <button onClick={() => closeTab(tab.id)}>
+            {tags[tab.id]?.trim() ? 'Tag & Close' : 'Close'}
+          </button>
+        </div>
+      ))}
+      <button className="close-new-tab" onClick={() => closeTab(tabId)}>Close the New Tab Instead</button>
+    </div>
+  );
+}
+
+ReactDOM.render(<TabLimit />, document.getElementById('root'));
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { connection } from '../../../utils/connectionManager';
+import { tabManager, getInactiveTime } from '../../../utils/tabManager';
+import { ActivityTracker } from '../../../utils/activityTracker';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+describe('Activity Tracker', () => {
+  const activity = tabId => store.getState().tabManagement.activity[tabId];
+  let tracker;
+
+  beforeAll(() => {
+    browser.windows = {
+      WINDOW_ID_NONE: -1,
+      getLastFocused: jest.fn(),
+      get: jest.fn()
+    };
+    browser.idle = {
+      setDetectionInterval: jest.fn(),
+      queryState: jest.fn()
+    };
+    browser.alarms = { clear: jest.fn().mockResolvedValue(true) };
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    store.dispatch(actions.tabManagement.reset());
+    browser.storage.sync.get.mockResolvedValue({});
+    browser.idle.queryState.mockResolvedValue('active');
+    browser.windows.getLastFocused.mockResolvedValue({
+      id: 1,
+      focused: true,
+      tabs: [{ id: 10, windowId: 1, active: true }]
+    });
+
+    tracker = new ActivityTracker();
+    await tracker.initialize(stateManager);
+  });
+
+  test('should start with the active tab of the focused window', () => {
+    expect(store.getState().tabManagement.foreground).toEqual(expect.objectContaining({ tabId: 10, windowId: 1 }));
+    expect(activity(10).lastFocused).toEqual(expect.any(Number));
+  });
+
+  test('should credit foreground time when the user switches tabs', async () => {
+    tracker.focus(11, 1, 1000);
+    tracker.focus(12, 1, 4000);
+    tracker.focus(11, 1, 5000);
+    tracker.blur(7000);
+
+    expect(activity(11)).toEqual(expect.objectContaining({ foregroundTime: 5000, lastFocused: 5000, lastAccessed: 7000 }));
+    expect(activity(12)).toEqual(expect.objectContaining({ foregroundTime: 1000, lastAccessed: 5000 }));
+    expect(store.getState().tabManagement.foreground).toBeNull();
+  });
+
+  test('should stop the clock while the browser is unfocused or the user is away', async () => {
+    browser.tabs.query.mockResolvedValueOnce([{ id: 20, windowId: 2, active: true }]);
+    await tracker.handleFocusChanged(2);
+    expect(store.getState().tabManagement.foreground.tabId).toBe(20);
+
+    await tracker.handleIdleStateChanged('locked');
+    expect(store.getState().tabManagement.foreground).toBeNull();
+
+    await tracker.handleActivated({ tabId: 21, windowId: 2 });
+    expect(store.getState().tabManagement.foreground).toBeNull();
+
+    await tracker.handleIdleStateChanged('active');
+    expect(store.getState().tabManagement.foreground.tabId).toBe(10);
+  });
+
+  test('should not age tabs while the system is idle', () => {
+    tracker.focus(30, 1, 1000);
+    tracker.blur(2000);
+    tracker.updateAwayClock('idle', 3000);
+    tracker.updateAwayClock('locked', 5000);
+    tracker.updateAwayClock('active', 10000);
+    const tabManagement = store.getState().tabManagement;
+
+    expect(tabManagement.away).toEqual({ total: 7000, since: null });
+    expect(getInactiveTime({ id: 30 }, tabManagement, 12000)).toBe(3000);
+    expect(getInactiveTime({ id: 30 }, tabManagement, 12000, { pauseWhenIdle: false })).toBe(10000);
+  });
+
+  test('should suspend background tabs once the system has been idle long enough', async () => {
+    browser.storage.sync.get.mockResolvedValue({ idleSuspendEnabled: true, idleSuspendMinutes: 10 });
+    const suspend = jest.spyOn(tabManager, 'suspendInactiveTabs').mockResolvedValue({ success: true, suspendedCount: 2 });
+
+    const before = Date.now();
+    await tracker.handleIdleStateChanged('idle');
+    const [name, { when }] = connection.createAlarm.mock.calls[0];
+    expect(name).toBe('idle:suspend');
+    expect(when - before).toBeGreaterThanOrEqual(9 * 60000);
+    expect(when - before).toBeLessThan(9 * 60000 + 1000);
+
+    await tracker.handleAlarm({ name: 'idle:suspend' });
+    expect(suspend).toHaveBeenCalledTimes(1);
+
+    await tracker.handleIdleStateChanged('active');
+    await tracker.handleAlarm({ name: 'idle:suspend' });
+    expect(suspend).toHaveBeenCalledTimes(1);
+    expect(browser.alarms.clear).toHaveBeenCalledWith('idle:suspend');
+  });
+});
@@ -37,6 +37,8 @@ jest.mock('webextension-polyfill', () => ({
     onSuspend: { addListener: mockOnSuspendAddListener }
   },
   tabs: {
+    onCreated: { addListener: jest.fn() },
+    onActivated: { addListener: jest.fn() },
     onUpdated: { addListener: mockOnUpdatedAddListener },
     onRemoved: { addListener: mockOnRemovedAddListener }
   },
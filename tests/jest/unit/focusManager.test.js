@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { connection } from '../../../utils/connectionManager';
+import {
+  FocusManager,
+  normalizeSite,
+  validateSchedules,
+  getActiveScheduleWindow,
+  getNextScheduleStart,
+  buildFocusRules
+} from '../../../utils/focusManager';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+const PAGE_URL = 'chrome-extension://id/blocked/blocked.html';
+const at = (day, time) => {
+  // 2024-01-07 is a Sunday
+  const date = new Date(2024, 0, 7 + day);
+  const [hours, minutes] = time.split(':').map(Number);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+};
+
+describe('Focus Manager', () => {
+  const weekdayMornings = [{ id: 1, days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' }];
+
+  beforeAll(() => {
+    browser.alarms = { clear: jest.fn() };
+    browser.runtime.getURL = jest.fn(path => `chrome-extension://id/${path}`);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browser.declarativeNetRequest.getDynamicRules.mockResolvedValue([]);
+    browser.declarativeNetRequest.updateDynamicRules.mockResolvedValue();
+    store.dispatch(actions.focus.endFocusSession());
+    store.dispatch(actions.focus.updateFocusSettings({ blocklist: [], focusSites: [], allowlist: [], schedules: [] }));
+  });
+
+  describe('site lists', () => {
+    test('should normalize sites to hostnames', () => {
+      expect(normalizeSite('https://www.Reddit.com/r/all')).toBe('reddit.com');
+      expect(normalizeSite(' news.ycombinator.com ')).toBe('news.ycombinator.com');
+      expect(normalizeSite('not a site')).toBeNull();
+      expect(normalizeSite('localhost')).toBeNull();
+    });
+
+    test('should redirect blocked sites and let the allowlist through', () => {
+      const rules = buildFocusRules({
+        blocklist: ['youtube.com'],
+        focusSites: ['reddit.com'],
+        allowlist: ['music.youtube.com'],
+        session: null
+      }, PAGE_URL);
+
+      expect(rules.map(rule => rule.id)).toEqual(['focus:blocklist:youtube.com', 'focus:allow:music.youtube.com']);
+      const pattern = new RegExp(rules[0].condition.regexFilter);
+      expect(pattern.test('https://m.youtube.com/watch?v=1')).toBe(true);
+      expect(pattern.test('https://notyoutube.com/')).toBe(false);
+      expect(rules[0].action.redirect.regexSubstitution).toBe(`${PAGE_URL}?reason=blocklist&url=\\0`);
+      expect(rules[1]).toEqual(expect.objectContaining({ priority: 2, action: { type: 'allow' } }));
+    });
+
+    test('should block focus sites only during a session', () => {
+      const focus = { blocklist: [], focusSites: ['reddit.com'], allowlist: ['old.reddit.com'], session: null };
+      expect(buildFocusRules(focus, PAGE_URL)).toEqual([]);
+
+      const rules = buildFocusRules({ ...focus, session: { endsAt: 1000 } }, PAGE_URL);
+      expect(rules.map(rule => rule.id)).toEqual(['focus:focus:reddit.com', 'focus:allow:old.reddit.com']);
+      expect(rules[0].action.redirect.regexSubstitution).toContain('reason=focus&until=1000&url=');
+    });
+  });
+
+  describe('schedules', () => {
+    test('should validate schedule windows', () => {
+      expect(validateSchedules(weekdayMornings)).toEqual([]);
+      expect(validateSchedules([{ id: 2, days: [7], start: '9:00', end: '8pm' }]).map(error => error.path))
+        .toEqual(['schedules[0].days', 'schedules[0].start', 'schedules[0].end']);
+      expect(validateSchedules([{ id: 3, days: [1], start: '10:00', end: '09:00' }]))
+        .toEqual([{ path: 'schedules[0].end', message: 'must be after the start time' }]);
+    });
+
+    test('should find the active and next windows', () => {
+      expect(getActiveScheduleWindow(weekdayMornings, at(1, '10:30')))
+        .toEqual({ scheduleId: 1, startsAt: at(1, '09:00'), endsAt: at(1, '12:00') });
+      expect(getActiveScheduleWindow(weekdayMornings, at(1, '12:00'))).toBeNull();
+      expect(getNextScheduleStart(weekdayMornings, at(1, '10:30'))).toBe(at(2, '09:00'));
+      expect(getNextScheduleStart(weekdayMornings, at(5, '13:00'))).toBe(at(8, '09:00'));
+      expect(getNextScheduleStart([], at(1, '10:30'))).toBeNull();
+    });
+
+    test('should read windows in the schedule\'s time zone', () => {
+      const tokyoMornings = [{ id: 2, days: [1, 2], start: '09:00', end: '12:00', timeZone: 'Asia/Tokyo' }];
+      // 10:30 on Monday in Tokyo
+      const now = Date.UTC(2024, 0, 8, 1, 30);
+
+      expect(getActiveScheduleWindow(tokyoMornings, now))
+        .toEqual({ scheduleId: 2, startsAt: Date.UTC(2024, 0, 8, 0), endsAt: Date.UTC(2024, 0, 8, 3) });
+      expect(getNextScheduleStart(tokyoMornings, now)).toBe(Date.UTC(2024, 0, 9, 0));
+    });
+  });
+
+  describe('sessions', () => {
+    let focusManager;
+
+    beforeEach(async () => {
+      focusManager = new FocusManager();
+      await focusManager.initialize(stateManager);
+    });
+
+    test('should install focus rules for a manual session and remove them when it ends', async () => {
+      await focusManager.updateSettings({ focusSites: ['reddit.com'] });
+      const started = await focusManager.startFocus({ minutes: 30 });
+
+      expect(started.status.active).toBe(true);
+      expect(connection.createAlarm).toHaveBeenCalledWith('focus:end', { when: started.status.session.endsAt });
+      expect(store.getState().declarativeRules.map(rule => rule.id)).toEqual(['focus:focus:reddit.com']);
+
+      await focusManager.handleAlarm({ name: 'focus:end' });
+
+      expect(focusManager.getStatus().active).toBe(false);
+      expect(store.getState().declarativeRules).toEqual([]);
+    });
+
+    test('should reject invalid settings without changing state', async () => {
+      const result = await focusManager.updateSettings({ blocklist: ['reddit.com', '???'] });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([{ path: 'blocklist[1]', message: '"???" is not a site' }]);
+      expect(focusManager.getStatus().blocklist).toEqual([]);
+    });
+
+    test('should start scheduled sessions and respect an early stop', async () => {
+      // Set directly and pass explicit times: updateSettings and stopFocus refresh against the real clock
+      store.dispatch(actions.focus.updateFocusSettings({ schedules: weekdayMornings }));
+
+      await focusManager.refresh(at(1, '10:00'));
+      expect(focusManager.getStatus().session).toEqual(
+        expect.objectContaining({ source: 'schedule', endsAt: at(1, '12:00') })
+      );
+      expect(connection.createAlarm).toHaveBeenCalledWith('focus:start', { when: at(2, '09:00') });
+
+      const refresh = jest.spyOn(focusManager, 'refresh').mockResolvedValueOnce({});
+      await focusManager.stopFocus();
+      refresh.mockRestore();
+      expect(store.getState().focus.dismissedUntil).toBe(at(1, '12:00'));
+
+      await focusManager.refresh(at(1, '10:05'));
+      expect(focusManager.getStatus().active).toBe(false);
+
+      await focusManager.refresh(at(2, '09:00'));
+      expect(focusManager.getStatus().active).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager from '../../../utils/stateManager';
+import { connection } from '../../../utils/connectionManager';
+import { JobScheduler } from '../../../utils/jobScheduler';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+describe('Job Scheduler', () => {
+  const minute = 60000;
+  let scheduler;
+  let cleanup;
+  let limits;
+
+  beforeAll(() => {
+    browser.alarms = { clear: jest.fn().mockResolvedValue(true) };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cleanup = jest.fn().mockResolvedValue();
+    limits = jest.fn().mockResolvedValue();
+    scheduler = new JobScheduler();
+    scheduler.register('inactivity', cleanup, { periodMinutes: 5 });
+    scheduler.register('tabLimits', limits, { periodMinutes: 5 });
+  });
+
+  test('should catch up on jobs that came due while the worker was stopped', async () => {
+    browser.storage.local.get.mockResolvedValueOnce({
+      jobs: {
+        inactivity: { periodMinutes: 10, lastRun: 0, nextRun: 10 * minute, runs: 3, lastDuration: 5, lastError: null },
+        tabLimits: { periodMinutes: 5, lastRun: 28 * minute, nextRun: 33 * minute, runs: 1, lastDuration: 5, lastError: null }
+      }
+    });
+
+    await scheduler.initialize(stateManager, 30 * minute);
+
+    // Initializing only schedules what is not due yet
+    expect(cleanup).not.toHaveBeenCalled();
+    expect(connection.createAlarm).toHaveBeenCalledTimes(1);
+
+    await scheduler.runOverdueJobs(30 * minute);
+
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(limits).not.toHaveBeenCalled();
+    expect(connection.createAlarm).toHaveBeenCalledWith('job:inactivity', { when: 40 * minute });
+    expect(connection.createAlarm).toHaveBeenCalledWith('job:tabLimits', { when: 33 * minute });
+    expect(browser.storage.local.set).toHaveBeenLastCalledWith({
+      jobs: expect.objectContaining({
+        inactivity: expect.objectContaining({ lastRun: 30 * minute, nextRun: 40 * minute, runs: 4 })
+      })
+    });
+  });
+
+  test('should record failures and keep the job scheduled', async () => {
+    await scheduler.initialize(stateManager, 0);
+    limits.mockRejectedValueOnce(new Error('query failed'));
+
+    const result = await scheduler.runJob('tabLimits', minute);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, error: 'query failed' }));
+    expect(result.jobs.find(job => job.name === 'tabLimits')).toEqual(expect.objectContaining({
+      lastRun: minute,
+      lastError: 'query failed',
+      nextRun: 6 * minute,
+      running: false
+    }));
+    expect(connection.createAlarm).toHaveBeenLastCalledWith('job:tabLimits', { when: 6 * minute });
+  });
+
+  test('should change periods and route alarms to their job', async () => {
+    await scheduler.initialize(stateManager, 0);
+    await scheduler.runOverdueJobs(0);
+
+    await expect(scheduler.updatePeriod('inactivity', 0.5)).resolves.toEqual(expect.objectContaining({ success: false }));
+    const updated = await scheduler.updatePeriod('inactivity', 15, minute);
+    expect(updated.jobs[0]).toEqual(expect.objectContaining({ periodMinutes: 15, nextRun: 15 * minute }));
+
+    await scheduler.handleAlarm({ name: 'job:inactivity' });
+    expect(cleanup).toHaveBeenCalledTimes(2);
+    await scheduler.handleAlarm({ name: 'job:removed' });
+    expect(browser.alarms.clear).toHaveBeenCalledWith('job:removed');
+  });
+});
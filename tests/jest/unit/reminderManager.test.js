@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { ReminderManager, getDueReminders } from '../../../utils/reminderManager';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+describe('Reminder Manager', () => {
+  const minute = 60000;
+  const metadata = tabId => store.getState().tabManagement.metadata[tabId];
+  let reminders;
+
+  beforeAll(() => {
+    browser.runtime.getURL = jest.fn(path => `chrome-extension://id/${path}`);
+    browser.bookmarks = {
+      search: jest.fn(),
+      create: jest.fn()
+    };
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    store.dispatch(actions.tabManagement.reset());
+    browser.storage.sync.get.mockResolvedValue({});
+    reminders = new ReminderManager();
+    await reminders.initialize(stateManager);
+  });
+
+  test('should pick dormant tabs not yet reminded about, oldest first', () => {
+    const now = 60 * minute;
+    const tabs = [
+      { id: 1, lastAccessed: 0 },
+      { id: 2, lastAccessed: 20 * minute },
+      { id: 3, lastAccessed: 55 * minute },
+      { id: 4, lastAccessed: 0, pinned: true },
+      { id: 5, lastAccessed: 0 },
+      { id: 6, lastAccessed: 0 }
+    ];
+    const tabManagement = {
+      metadata: {
+        5: { reminder: { remindedAt: 30 * minute } },
+        6: { reminder: { decision: 'snooze', decidedAt: 30 * minute, snoozedUntil: 90 * minute } }
+      }
+    };
+
+    expect(getDueReminders(tabs, tabManagement, now).map(({ tab }) => tab.id)).toEqual([1, 2]);
+    expect(getDueReminders(tabs, tabManagement, 100 * minute).map(({ tab }) => tab.id)).toEqual([1, 6, 2]);
+  });
+
+  test('should notify once and record the button chosen', async () => {
+    const now = Date.now();
+    browser.tabs.query.mockResolvedValue([{ id: 7, title: 'Docs', url: 'https://docs.example.com', lastAccessed: now - 30 * minute }]);
+    browser.tabs.get.mockResolvedValue({ id: 7 });
+
+    await expect(reminders.checkReminders(now)).resolves.toEqual({ reminded: [7] });
+    await expect(reminders.checkReminders(now + minute)).resolves.toEqual({ reminded: [] });
+    expect(browser.notifications.create).toHaveBeenCalledTimes(1);
+    expect(browser.notifications.create).toHaveBeenCalledWith('reminder:7', expect.objectContaining({
+      type: 'basic',
+      buttons: [{ title: 'Keep' }, { title: 'Snooze 1 day' }]
+    }));
+
+    await reminders.handleButtonClicked('reminder:7', 1);
+    expect(metadata(7).reminder).toEqual(expect.objectContaining({
+      remindedAt: now,
+      decision: 'snooze',
+      snoozedUntil: expect.any(Number)
+    }));
+    expect(browser.notifications.clear).toHaveBeenCalledWith('reminder:7');
+  });
+
+  test('should tag, or bookmark and close, from the reminder page', async () => {
+    const tab = { id: 8, title: 'Article', url: 'https://news.example.com/a' };
+    browser.tabs.get.mockResolvedValue(tab);
+    browser.bookmarks.search.mockResolvedValue([{ id: 'folder' }]);
+
+    await expect(reminders.decide(8, 'tag', { tag: ' ' })).resolves.toEqual(expect.objectContaining({ success: false }));
+    await expect(reminders.decide(8, 'tag', { tag: 'to read' }))
+      .resolves.toEqual({ success: false, error: 'Tag contains invalid characters' });
+    expect(metadata(8)?.tags).toBeUndefined();
+    await expect(reminders.decide(8, 'tag', { tag: 'Reading' })).resolves.toEqual({ success: true, tabId: 8, decision: 'tag' });
+    expect(metadata(8).tags).toEqual(['Reading']);
+
+    await reminders.decide(8, 'bookmark');
+    expect(browser.bookmarks.create).toHaveBeenCalledWith({ parentId: 'folder', title: 'Article', url: tab.url });
+    expect(browser.tabs.remove).toHaveBeenCalledWith(8);
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { connection } from '../../../utils/connectionManager';
+import { RuleScheduler } from '../../../utils/ruleScheduler';
+import { handleTabCreation } from '../../../utils/tabManager';
+import { sessionManager } from '../../../utils/sessionManager';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+// 2024-01-08 is a Monday
+const utc = (day, hours, minutes = 0) => Date.UTC(2024, 0, 7 + day, hours, minutes);
+
+describe('Rule Scheduler', () => {
+  const parkWork = {
+    id: 1,
+    schedule: { days: [1, 2, 3, 4, 5], at: '18:00', timeZone: 'UTC' },
+    condition: { field: 'tag', operator: 'has', value: 'Work' },
+    actions: [{ type: 'saveToSession', value: 'Work' }]
+  };
+  const restoreWork = {
+    id: 2,
+    schedule: { days: [1, 2, 3, 4, 5], at: '09:00', timeZone: 'UTC' },
+    actions: [{ type: 'restoreSession', value: 'Work' }]
+  };
+  let scheduler;
+
+  beforeAll(async () => {
+    browser.alarms = { getAll: jest.fn(), clear: jest.fn() };
+    browser.runtime.getURL = jest.fn(path => `chrome-extension://id/${path}`);
+    browser.windows = { getAll: jest.fn(), create: jest.fn(), update: jest.fn().mockResolvedValue({}) };
+    Object.defineProperty(global, 'crypto', {
+      value: { randomUUID: () => 'session-1' },
+      configurable: true
+    });
+    await sessionManager.initialize(stateManager);
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    browser.alarms.getAll.mockResolvedValue([]);
+    browser.storage.sync.get.mockResolvedValue({ rules: [parkWork, restoreWork] });
+    Object.keys(store.getState().savedSessions).forEach(id => store.dispatch(actions.savedSessions.deleteSessionData(id)));
+
+    scheduler = new RuleScheduler();
+    await scheduler.initialize(stateManager);
+  });
+
+  test('should set alarms for scheduled rules and clear stale ones', async () => {
+    browser.alarms.getAll.mockResolvedValue([{ name: 'rule:1' }, { name: 'rule:9' }, { name: 'focus:end' }]);
+
+    const result = await scheduler.syncAlarms(utc(1, 10));
+
+    expect(result.scheduled).toEqual({ 'rule:1': utc(1, 18), 'rule:2': utc(2, 9) });
+    expect(browser.alarms.clear).toHaveBeenCalledTimes(1);
+    expect(browser.alarms.clear).toHaveBeenCalledWith('rule:9');
+    expect(connection.createAlarm).toHaveBeenCalledWith('rule:1', { when: utc(1, 18) });
+  });
+
+  test('should park matching tabs in a saved session and restore them later', async () => {
+    const board = { id: 11, index: 0, url: 'https://jira.example.com/', title: 'Board', pinned: true };
+    const news = { id: 12, index: 1, url: 'https://news.example.com/', title: 'News' };
+    store.dispatch(actions.tabManagement.updateMetadata({ tabId: 11, metadata: { tags: ['Work'] } }));
+    browser.tabs.query.mockResolvedValueOnce([board, news]);
+    browser.windows.getAll.mockResolvedValueOnce([{ id: 1, state: 'maximized', focused: true, tabs: [board, news] }]);
+
+    const parked = await scheduler.runRule(parkWork, utc(1, 18));
+
+    expect(parked.saved).toEqual([{ session: 'Work', tabs: 1 }]);
+    expect(browser.tabs.remove).toHaveBeenCalledWith([11]);
+    const [session] = sessionManager.getSessions();
+    expect(session).toEqual(expect.objectContaining({ name: 'Work', tabCount: 1, updatedAt: utc(1, 18) }));
+    expect(session.windows).toEqual([expect.objectContaining({
+      state: 'maximized',
+      tabs: [expect.objectContaining({ url: 'https://jira.example.com/', pinned: true, tags: ['Work'] })]
+    })]);
+
+    browser.tabs.query.mockResolvedValueOnce([]);
+    browser.windows.create.mockResolvedValueOnce({ id: 5, tabs: [{ id: 50, windowId: 5 }] });
+    browser.tabs.create.mockResolvedValueOnce({ id: 31, windowId: 5 });
+    const restored = await scheduler.runRule(restoreWork, utc(2, 9));
+
+    expect(restored.restored).toEqual([{ session: 'Work', restored: 1, failed: 0 }]);
+    expect(browser.tabs.create).toHaveBeenCalledWith({ windowId: 5, url: 'https://jira.example.com/', pinned: true, active: false });
+    expect(browser.windows.update).toHaveBeenCalledWith(5, { state: 'maximized' });
+    expect(browser.tabs.discard).toHaveBeenCalledWith(31);
+    expect(sessionManager.getSessions()).toEqual([]);
+    // Restored tabs are not held to the tab limit; tabs the user opens are
+    await expect(handleTabCreation({ id: 31, windowId: 5, url: 'https://jira.example.com/' })).resolves.toEqual({ enforced: false });
+    browser.storage.sync.get.mockResolvedValueOnce({ tabLimit: 1, tabLimitPolicy: 'block' });
+    browser.tabs.query.mockResolvedValueOnce([{ id: 31, windowId: 5 }, { id: 32, windowId: 5 }]);
+    await expect(handleTabCreation({ id: 32, windowId: 5, url: 'https://news.example.com/' }))
+      .resolves.toEqual(expect.objectContaining({ enforced: true, closedTabId: 32 }));
+  });
+
+  test('should run the rule and schedule its next run when its alarm fires', async () => {
+    const runRule = jest.spyOn(scheduler, 'runRule').mockResolvedValueOnce({});
+
+    await scheduler.handleAlarm({ name: 'rule:2', scheduledTime: utc(2, 9) });
+
+    expect(runRule).toHaveBeenCalledWith(restoreWork, expect.any(Number));
+    expect(connection.createAlarm).toHaveBeenLastCalledWith('rule:2', { when: expect.any(Number) });
+  });
+});
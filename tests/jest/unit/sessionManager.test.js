@@ -0,0 +1,371 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import {
+  SessionManager,
+  normalizeUrl,
+  getRetainedSnapshots,
+  diffSessions,
+  serializeSessions,
+  parseSessionFile
+} from '../../../utils/sessionManager';
+
+jest.mock('../../../utils/logger');
+
+describe('Session Manager', () => {
+  const windows = [
+    {
+      id: 1, left: 10, top: 20, width: 1200, height: 800, state: 'normal', focused: true, incognito: false,
+      tabs: [
+        { id: 12, index: 1, url: 'https://docs.example.com', title: 'Docs', groupId: 4, mutedInfo: { muted: true } },
+        { id: 11, index: 0, url: 'https://mail.example.com', title: 'Mail', pinned: true, groupId: -1 }
+      ]
+    },
+    {
+      id: 2, state: 'maximized', focused: false, incognito: false,
+      tabs: [
+        {
+          id: 21,
+          index: 0,
+          url: 'chrome-extension://id/suspended/suspended.html?url=https%3A%2F%2Fnews.example.com&title=News',
+          title: 'News',
+          groupId: -1
+        }
+      ]
+    }
+  ];
+  let sessions;
+
+  beforeAll(() => {
+    browser.runtime.getURL = jest.fn(path => `chrome-extension://id/${path}`);
+    Object.defineProperty(global, 'crypto', {
+      value: { randomUUID: () => 'session-1' },
+      configurable: true
+    });
+    browser.windows = {
+      getAll: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn().mockResolvedValue({}),
+      getLastFocused: jest.fn().mockResolvedValue({ id: 1 })
+    };
+    browser.tabGroups = { query: jest.fn(), update: jest.fn().mockResolvedValue({}) };
+    browser.tabs.sendMessage = jest.fn();
+    browser.tabs.discard = jest.fn(async tabId => ({ id: tabId + 1000 }));
+    browser.tabs.group = jest.fn().mockResolvedValue(70);
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    store.dispatch(actions.tabManagement.reset());
+    Object.keys(store.getState().savedSessions).forEach(id => store.dispatch(actions.savedSessions.deleteSessionData(id)));
+    store.dispatch(actions.snapshots.removeSnapshots(Object.keys(store.getState().snapshots)));
+    browser.windows.getAll.mockResolvedValue(windows);
+    browser.tabGroups.query.mockResolvedValue([{ id: 4, title: 'Research', color: 'blue', collapsed: true }]);
+    sessions = new SessionManager();
+    await sessions.initialize(stateManager);
+  });
+
+  test('should capture windows, groups, tags and scroll positions', async () => {
+    store.dispatch(actions.tabManagement.updateMetadata({ tabId: 12, metadata: { tags: ['Work'] } }));
+    browser.tabs.sendMessage.mockImplementation(async tabId => (tabId === 12 ? { x: 0, y: 640 } : undefined));
+
+    const { success, session } = await sessions.saveSession(' Morning ', {}, 1000);
+
+    expect(success).toBe(true);
+    expect(session).toEqual(expect.objectContaining({ id: 'session-1', name: 'Morning', tabCount: 3, createdAt: 1000, updatedAt: 1000 }));
+    expect(session.windows[0]).toEqual(expect.objectContaining({ left: 10, top: 20, width: 1200, height: 800, state: 'normal', focused: true }));
+    expect(session.windows[0].tabs).toEqual([
+      { url: 'https://mail.example.com', title: 'Mail', pinned: true, muted: false, group: null, tags: [], scroll: null },
+      {
+        url: 'https://docs.example.com',
+        title: 'Docs',
+        pinned: false,
+        muted: true,
+        group: { title: 'Research', color: 'blue', collapsed: true },
+        tags: ['Work'],
+        scroll: { x: 0, y: 640 }
+      }
+    ]);
+    // Suspended tabs are saved as the page they stand in for, without asking the placeholder
+    expect(session.windows[1].tabs[0]).toEqual(expect.objectContaining({ url: 'https://news.example.com', title: 'News' }));
+    expect(browser.tabs.sendMessage).not.toHaveBeenCalledWith(21, expect.anything());
+    expect(store.getState().savedSessions['session-1']).toEqual(session);
+  });
+
+  test('should update a session saved under the same name and reject blank names', async () => {
+    await sessions.saveSession('Work', {}, 1000);
+    browser.windows.getAll.mockResolvedValueOnce([windows[1]]);
+
+    const { session } = await sessions.saveSession('Work', {}, 5000);
+
+    expect(session).toEqual(expect.objectContaining({ id: 'session-1', tabCount: 1, createdAt: 1000, updatedAt: 5000 }));
+    expect(sessions.getSessions()).toHaveLength(1);
+    await expect(sessions.saveSession('  ')).resolves.toEqual(expect.objectContaining({ success: false }));
+    expect(sessions.deleteSession('session-1')).toEqual({ success: true, id: 'session-1' });
+    expect(sessions.getSessions()).toEqual([]);
+  });
+
+  describe('restore', () => {
+    let nextTabId;
+
+    beforeEach(async () => {
+      nextTabId = 100;
+      browser.tabs.create.mockImplementation(async ({ windowId }) => ({ id: nextTabId++, windowId }));
+      browser.windows.create.mockImplementation(async () => ({ id: 9, tabs: [{ id: 90 }] }));
+      browser.tabs.sendMessage.mockResolvedValue(undefined);
+      await sessions.saveSession('Work', {}, 1000);
+    });
+
+    afterAll(() => {
+      browser.tabs.create.mockReset();
+    });
+
+    test('should recreate windows and groups with tabs discarded, skipping open pages', async () => {
+      browser.tabs.query.mockResolvedValueOnce([{ id: 1, url: 'https://mail.example.com/#inbox' }]);
+      browser.tabGroups.query.mockResolvedValue([]);
+
+      const result = await sessions.restoreSession('session-1');
+
+      expect(result).toEqual({ success: true, restored: 2, skipped: 1, failed: 0, windowIds: [9, 9] });
+      expect(browser.windows.create).toHaveBeenNthCalledWith(1, { left: 10, top: 20, width: 1200, height: 800, focused: true });
+      expect(browser.windows.create).toHaveBeenNthCalledWith(2, { focused: false });
+      expect(browser.windows.update).toHaveBeenCalledWith(9, { state: 'maximized' });
+      expect(browser.tabs.create).toHaveBeenCalledWith({ windowId: 9, url: 'https://docs.example.com', pinned: false, active: false });
+      // Tabs are grouped and tagged under the id they got when discarded
+      expect(browser.tabs.update).toHaveBeenCalledWith(1100, { muted: true });
+      expect(browser.tabs.group).toHaveBeenCalledWith({ tabIds: [1100], createProperties: { windowId: 9 } });
+      expect(browser.tabGroups.update).toHaveBeenCalledWith(70, { title: 'Research', color: 'blue', collapsed: true });
+      expect(browser.tabs.remove).toHaveBeenCalledWith([90]);
+      expect(normalizeUrl('https://mail.example.com/#inbox')).toBe(normalizeUrl('https://mail.example.com'));
+    });
+
+    test('should merge selected tabs into the current window', async () => {
+      browser.tabs.query.mockResolvedValueOnce([]);
+      browser.tabGroups.query.mockImplementation(async ({ title }) => (title === 'Research' ? [{ id: 5 }] : []));
+
+      const result = await sessions.restoreSession('session-1', { mode: 'currentWindow', selected: [[0, 1], [1, 0]] });
+
+      expect(result).toEqual(expect.objectContaining({ restored: 2, skipped: 0, windowIds: [] }));
+      expect(browser.windows.create).not.toHaveBeenCalled();
+      expect(browser.tabs.create.mock.calls.map(([props]) => [props.windowId, props.url])).toEqual([
+        [1, 'https://docs.example.com'],
+        [1, 'https://news.example.com']
+      ]);
+      expect(browser.tabs.group).toHaveBeenCalledWith({ groupId: 5, tabIds: [1100] });
+      expect(browser.tabGroups.update).not.toHaveBeenCalled();
+      await expect(sessions.restoreSession('session-1', { mode: 'sideways' })).resolves.toEqual(expect.objectContaining({ success: false }));
+    });
+  });
+
+  describe('snapshots', () => {
+    const hour = 3600000;
+
+    test('should keep the newest snapshot of each recent hour and day', () => {
+      const now = new Date(2024, 4, 15, 12, 30).getTime();
+      const at = time => ({ id: String(time), updatedAt: time });
+      const snapshots = [
+        at(now - 10 * 60000),
+        at(now - 20 * 60000),
+        at(now - 3 * hour),
+        at(now - 30 * hour),
+        at(now - 31 * hour),
+        at(now - 6 * 24 * hour),
+        at(now - 9 * 24 * hour)
+      ];
+
+      // Same hour as a newer one: dropped; a day old: kept as the newest of its day only
+      expect([...getRetainedSnapshots(snapshots, now)].sort()).toEqual([
+        String(now - 10 * 60000),
+        String(now - 3 * hour),
+        String(now - 30 * hour),
+        String(now - 6 * 24 * hour)
+      ].sort());
+    });
+
+    test('should dedupe identical snapshots and label the last one at shutdown', async () => {
+      let id = 0;
+      Object.defineProperty(global, 'crypto', { value: { randomUUID: () => `snapshot-${++id}` }, configurable: true });
+
+      const first = await sessions.takeSnapshot('scheduled', 1000);
+      const second = await sessions.takeSnapshot('scheduled', 2000);
+      browser.windows.getAll.mockResolvedValueOnce([windows[1]]);
+      const third = await sessions.takeSnapshot('scheduled', 2000 + hour);
+
+      expect(first).toEqual(expect.objectContaining({ deduplicated: false }));
+      expect(second).toEqual(expect.objectContaining({ deduplicated: true }));
+      expect(second.snapshot).toEqual(expect.objectContaining({ id: 'snapshot-1', createdAt: 1000, updatedAt: 2000, tabCount: 3 }));
+      expect(third.snapshot).toEqual(expect.objectContaining({ id: 'snapshot-2', tabCount: 1 }));
+
+      // Older snapshots from the same hour give way to the newest
+      await sessions.takeSnapshot('scheduled', 3000 + hour);
+      // Too old to be what was open when the browser closed
+      browser.windows.getAll.mockResolvedValueOnce([]);
+      await sessions.handleWindowRemoved(3000 + 2 * hour);
+      expect(sessions.getSnapshots()[0].trigger).toBe('scheduled');
+      browser.windows.getAll.mockResolvedValueOnce([{ id: 2 }]);
+      await sessions.handleWindowRemoved(4000 + hour);
+      expect(sessions.getSnapshots()[0].trigger).toBe('scheduled');
+
+      browser.windows.getAll.mockResolvedValueOnce([]);
+      await sessions.handleWindowRemoved(4000 + hour);
+      expect(sessions.getSnapshots().map(({ id, trigger }) => [id, trigger])).toEqual([
+        ['snapshot-3', 'shutdown'],
+        ['snapshot-1', 'scheduled']
+      ]);
+
+      browser.windows.getAll.mockRejectedValueOnce(new Error('Browser is shutting down'));
+      await expect(sessions.handleWindowRemoved()).resolves.toBeUndefined();
+
+      Object.defineProperty(global, 'crypto', { value: { randomUUID: () => 'session-1' }, configurable: true });
+    });
+  });
+
+  describe('diff and merge', () => {
+    const tab = (url, group = null) => ({ url: `https://${url}.example.com`, title: url, group });
+    const research = { title: 'Research', color: 'blue', collapsed: false };
+    const before = {
+      id: 'before',
+      name: 'Before',
+      windows: [
+        { state: 'normal', tabs: [tab('a'), tab('b', research), tab('c'), tab('d')] },
+        { state: 'normal', tabs: [tab('e')] }
+      ]
+    };
+    const after = {
+      id: 'after',
+      name: 'After',
+      windows: [
+        { state: 'normal', tabs: [tab('x'), tab('a'), tab('c'), tab('d'), tab('b', { ...research, color: 'red' })] },
+        { state: 'normal', tabs: [tab('e', research), tab('f', research)] }
+      ]
+    };
+
+    test('should report added, removed and moved tabs and group changes', () => {
+      const diff = diffSessions(before, after);
+
+      expect(diff.added.map(({ title, at }) => [title, at])).toEqual([['x', [0, 0]], ['f', [1, 1]]]);
+      expect(diff.removed).toEqual([]);
+      // Inserting x shifts a, c and d without moving them
+      expect(diff.moved).toEqual([{ url: 'https://b.example.com', title: 'b', from: [0, 1], to: [0, 4] }]);
+      expect(diff.unchanged).toBe(4);
+      expect(diff.groups).toEqual({
+        added: [],
+        removed: [],
+        changed: [{
+          title: 'Research',
+          before: { color: 'blue', collapsed: false },
+          after: { color: 'red', collapsed: false },
+          added: ['https://e.example.com/', 'https://f.example.com/'],
+          removed: []
+        }]
+      });
+      expect(diffSessions(after, before).removed.map(({ title }) => title)).toEqual(['x', 'f']);
+    });
+
+    test('should merge the chosen tabs of two sessions into a new one', () => {
+      store.dispatch(actions.savedSessions.upsertSavedSession(before));
+      store.dispatch(actions.savedSessions.upsertSavedSession(after));
+
+      const result = sessions.mergeSessions(' Merged ', [{ id: 'after', selected: [[0, 0], [1, 1]] }, { id: 'before' }], 1000);
+
+      expect(result.session).toEqual(expect.objectContaining({ name: 'Merged', tabCount: 7, createdAt: 1000 }));
+      expect(result.session.windows.map(window => window.tabs.map(({ title }) => title))).toEqual([
+        ['x', 'a', 'b', 'c', 'd'],
+        ['f', 'e']
+      ]);
+      expect(sessions.mergeSessions('Merged', [{ id: 'before' }])).toEqual(expect.objectContaining({ success: false }));
+      expect(sessions.mergeSessions('Other', [{ id: 'before', selected: [] }])).toEqual(expect.objectContaining({ success: false }));
+      expect(sessions.diffSessions('before', 'gone')).toEqual({ success: false, error: 'Unknown session: gone' });
+    });
+  });
+
+  describe('import and export', () => {
+    const work = {
+      id: 'work',
+      name: 'Work & <Play>',
+      windows: [
+        { state: 'maximized', tabs: [{ url: 'https://a.example.com/?q=1&r=2', title: 'A "quoted"', pinned: true, group: null }] },
+        { state: 'normal', tabs: [{ url: 'https://b.example.com', title: 'B', pinned: false, group: { title: 'Docs', color: 'green', collapsed: false } }] }
+      ],
+      tabCount: 2,
+      createdAt: 100,
+      updatedAt: 200
+    };
+    const urls = session => session.windows.map(window => window.tabs.map(tab => tab.url));
+
+    test.each(['json', 'onetab', 'html', 'urls'])('should read back what it writes as %s', (format) => {
+      const { valid, format: detected, sessions: parsed } = parseSessionFile(serializeSessions([work], format));
+
+      expect(valid).toBe(true);
+      expect(detected).toBe(format);
+      if (format === 'onetab') {
+        // OneTab has no windows
+        expect(urls(parsed[0])).toEqual([['https://a.example.com/?q=1&r=2', 'https://b.example.com']]);
+      } else {
+        expect(urls(parsed[0])).toEqual(urls(work));
+      }
+      if (format !== 'urls') {
+        expect(parsed[0].windows[0].tabs[0].title).toBe('A "quoted"');
+      }
+      if (format === 'json' || format === 'html') {
+        expect(parsed[0].name).toBe('Work & <Play>');
+      }
+      if (format === 'json') {
+        expect(parsed[0].windows[1].tabs[0]).toEqual(expect.objectContaining({ group: { title: 'Docs', color: 'green', collapsed: false } }));
+        expect(parsed[0].windows[0]).toEqual(expect.objectContaining({ state: 'maximized' }));
+      }
+    });
+
+    test('should skip pages that cannot be restored and reject unreadable files', () => {
+      const text = 'https://a.example.com | A | B\njavascript:alert(1) | Bad\nfile:///etc/hosts | Local\n\nnot a url | Nope\nhttps://c.example.com | C\n';
+
+      const { valid, sessions: parsed, warnings } = parseSessionFile(text, 'onetab');
+
+      expect(valid).toBe(true);
+      expect(parsed.map(session => session.windows[0].tabs.map(({ url, title }) => [url, title]))).toEqual([
+        [['https://a.example.com', 'A | B']],
+        [['https://c.example.com', 'C']]
+      ]);
+      expect(warnings.map(({ path }) => path)).toEqual(['line 2', 'line 3', 'line 5']);
+      expect(parseSessionFile('{"format":"tabcurator-sessions","version":9,"sessions":[]}').errors)
+        .toEqual([{ path: 'version', message: '9 is newer than this version of TabCurator supports' }]);
+      expect(parseSessionFile('just words').errors).toEqual([{ path: 'file', message: 'contains no pages to import' }]);
+    });
+
+    test('should preview and import sessions, leaving out duplicates', () => {
+      let id = 0;
+      Object.defineProperty(global, 'crypto', { value: { randomUUID: () => `imported-${++id}` }, configurable: true });
+      store.dispatch(actions.savedSessions.upsertSavedSession(work));
+      const data = [
+        'https://a.example.com/?q=1&r=2 | A',
+        'https://b.example.com | B',
+        '',
+        'https://c.example.com | C',
+        'https://c.example.com/#top | C again',
+        '',
+        'https://c.example.com | C'
+      ].join('\n');
+
+      const preview = sessions.previewImport({ data });
+
+      expect(preview).toEqual(expect.objectContaining({ success: true, format: 'onetab', warnings: [] }));
+      expect(preview.sessions).toEqual([
+        { name: 'Imported', windowCount: 1, tabCount: 2, duplicateTabs: 0, identicalTo: null },
+        { name: 'Imported (2)', windowCount: 1, tabCount: 1, duplicateTabs: 1, identicalTo: null },
+        { name: 'Imported (3)', windowCount: 1, tabCount: 1, duplicateTabs: 0, identicalTo: 'Imported (2)' }
+      ]);
+
+      expect(sessions.importSessions({ data, selected: [1, 2] }, 1000)).toEqual({ success: true, imported: 1, skipped: 2, warnings: [] });
+      expect(sessions.getSessions().map(({ name, tabCount }) => [name, tabCount])).toEqual([['Imported (2)', 1], [work.name, 2]]);
+      expect(sessions.previewImport({ data: serializeSessions([work], 'json') }).sessions[0].identicalTo).toBe(work.name);
+      expect(sessions.exportSessions({ format: 'html' }, 0)).toEqual(expect.objectContaining({
+        success: true,
+        fileName: 'tabcurator-sessions-1970-01-01.html',
+        mimeType: 'text/html',
+        count: 2
+      }));
+
+      Object.defineProperty(global, 'crypto', { value: { randomUUID: () => 'session-1' }, configurable: true });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { connection } from '../../../utils/connectionManager';
+import { SnoozeManager, validateSnoozeTrigger } from '../../../utils/snoozeManager';
+import { getSnoozeTime } from '../../../utils/snoozeTime';
+
+jest.mock('../../../utils/logger');
+jest.mock('../../../utils/connectionManager', () => ({
+  connection: { createAlarm: jest.fn().mockResolvedValue() }
+}));
+
+describe('Snooze Manager', () => {
+  const hour = 3600000;
+  const snoozed = () => Object.values(store.getState().snoozed);
+  let manager;
+
+  beforeAll(() => {
+    browser.runtime.getURL = jest.fn(path => `chrome-extension://id/${path}`);
+    Object.defineProperty(global, 'crypto', {
+      value: { randomUUID: () => 'snooze-1' },
+      configurable: true
+    });
+    browser.alarms = {
+      getAll: jest.fn(),
+      clear: jest.fn().mockResolvedValue(true)
+    };
+    browser.tabGroups = {
+      get: jest.fn(),
+      query: jest.fn(),
+      update: jest.fn().mockResolvedValue({})
+    };
+    browser.tabs.group = jest.fn().mockResolvedValue(50);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store.dispatch(actions.tabManagement.reset());
+    snoozed().forEach(entry => store.dispatch(actions.snoozed.removeSnoozed(entry.id)));
+    browser.alarms.getAll.mockResolvedValue([]);
+    browser.tabGroups.query.mockResolvedValue([]);
+    manager = new SnoozeManager();
+  });
+
+  test('should work out preset wake-up times in local time', () => {
+    const wednesday = new Date(2024, 4, 15, 14, 30).getTime();
+    const monday = new Date(2024, 4, 20, 8, 0).getTime();
+
+    expect(getSnoozeTime('laterToday', wednesday)).toBe(wednesday + 3 * hour);
+    expect(getSnoozeTime('tomorrow', wednesday)).toBe(new Date(2024, 4, 16, 9, 0).getTime());
+    expect(getSnoozeTime('nextWeek', wednesday)).toBe(new Date(2024, 4, 20, 9, 0).getTime());
+    expect(getSnoozeTime('nextWeek', monday)).toBe(new Date(2024, 4, 27, 9, 0).getTime());
+    expect(validateSnoozeTrigger({ type: 'time', at: wednesday - 1 }, wednesday)).toMatch(/future/);
+    expect(validateSnoozeTrigger({ type: 'startup' }, wednesday)).toBeNull();
+  });
+
+  test('should close a tab and reopen it with its group and tags when its alarm fires', async () => {
+    await manager.initialize(stateManager, 0);
+    store.dispatch(actions.tabManagement.updateMetadata({ tabId: 5, metadata: { tags: ['Work'] } }));
+    browser.tabs.get.mockResolvedValueOnce({ id: 5, url: 'https://example.com/doc', title: 'Doc', groupId: 3, windowId: 1 });
+    browser.tabGroups.get.mockResolvedValueOnce({ id: 3, title: 'Research', color: 'blue' });
+
+    const { success, entry } = await manager.snoozeTab(5, { type: 'time', at: 2 * hour }, hour);
+
+    expect(success).toBe(true);
+    expect(entry).toEqual(expect.objectContaining({
+      url: 'https://example.com/doc',
+      group: { title: 'Research', color: 'blue' },
+      tags: ['Work'],
+      trigger: { type: 'time', at: 2 * hour }
+    }));
+    expect(browser.tabs.remove).toHaveBeenCalledWith(5);
+    expect(connection.createAlarm).toHaveBeenCalledWith(`snooze:${entry.id}`, { when: 2 * hour });
+
+    browser.tabs.create.mockResolvedValueOnce({ id: 9, windowId: 1 });
+    await manager.handleAlarm({ name: `snooze:${entry.id}` });
+
+    expect(browser.tabs.create).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://example.com/doc', active: false }));
+    expect(browser.tabs.group).toHaveBeenCalledWith({ tabIds: [9], createProperties: { windowId: 1 } });
+    expect(browser.tabGroups.update).toHaveBeenCalledWith(50, { title: 'Research', color: 'blue' });
+    expect(store.getState().tabManagement.metadata[9].tags).toEqual(['Work']);
+    expect(snoozed()).toEqual([]);
+  });
+
+  test('should catch up after a restart and wake trigger-based entries on their event', async () => {
+    const entry = (id, trigger) => ({ id, url: `https://${id}.example.com`, title: id, pinned: false, group: null, tags: [], trigger, snoozedAt: 0 });
+    store.dispatch(actions.snoozed.upsertSnoozed(entry('due', { type: 'time', at: hour })));
+    store.dispatch(actions.snoozed.upsertSnoozed(entry('later', { type: 'time', at: 5 * hour })));
+    store.dispatch(actions.snoozed.upsertSnoozed(entry('start', { type: 'startup' })));
+    store.dispatch(actions.snoozed.upsertSnoozed(entry('window', { type: 'window' })));
+    browser.alarms.getAll.mockResolvedValueOnce([{ name: 'snooze:gone' }, { name: 'job:inactivity' }]);
+    browser.tabs.create.mockImplementation(async ({ url }) => ({ id: url.length, windowId: 1 }));
+
+    // Browser start is announced before the worker is ready
+    await manager.handleStartup();
+    await manager.initialize(stateManager, 2 * hour);
+
+    expect(browser.alarms.clear).toHaveBeenCalledWith('snooze:gone');
+    expect(browser.alarms.clear).not.toHaveBeenCalledWith('job:inactivity');
+    expect(connection.createAlarm).toHaveBeenCalledWith('snooze:later', { when: 5 * hour });
+    expect(browser.tabs.create.mock.calls.map(([props]) => props.url)).toEqual([
+      'https://due.example.com',
+      'https://start.example.com'
+    ]);
+
+    await manager.handleWindowCreated({ id: 4, type: 'popup' });
+    await manager.handleWindowCreated({ id: 7, type: 'normal' });
+    expect(browser.tabs.create).toHaveBeenLastCalledWith(expect.objectContaining({ url: 'https://window.example.com', windowId: 7 }));
+    expect(snoozed().map(({ id }) => id)).toEqual(['later']);
+
+    browser.tabs.create.mockReset();
+  });
+});
@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals';
-import { store, actions } from '../../../utils/stateManager';
+import stateManager, { store, actions } from '../../../utils/stateManager';
 import { logger } from '../../../utils/logger';
 import { TAB_STATES } from '../../../utils/constants';
 
@@ -43,6 +43,16 @@ describe('State Manager', () => {
   });
 
   describe('stateManager', () => {
+    test('should take the managers it routes messages to by name', async () => {
+      const tabManager = { name: 'tabs' };
+      const snoozeManager = { name: 'snooze' };
+
+      await expect(stateManager.initialize({ tabManager, snoozeManager })).resolves.toBe(true);
+      expect(stateManager.tabManager).toBe(tabManager);
+      expect(stateManager.snoozeManager).toBe(snoozeManager);
+      expect(stateManager.focusManager).toBeUndefined();
+    });
+
     test('should initialize with default state', () => {
       const state = store.getState();
       expect(state.tabManagement).toEqual({
@@ -50,6 +60,10 @@ describe('State Manager', () => {
         activity: {},
         metadata: {},
         suspended: {},
+        exemptions: {},
+        foreground: null,
+        away: { total: 0, since: null },
+        groups: {},
         oldestTab: null
       });
     });
@@ -67,4 +81,78 @@ describe('State Manager', () => {
       expect(state.tabManagement.tabs).toContainEqual(newTab);
     });
   });
+
+  describe('tab groups', () => {
+    test('should track group assignments and prune removed tabs', () => {
+      store.dispatch(actions.tabManagement.upsertGroup({
+        id: 10,
+        windowId: 1,
+        key: 'example.com',
+        title: 'example.com',
+        color: 'blue',
+        source: 'domain',
+        tabIds: [1, 2]
+      }));
+      store.dispatch(actions.tabManagement.removeTab(1));
+
+      const { groups } = store.getState().tabManagement;
+      expect(groups[10]).toEqual(expect.objectContaining({ title: 'example.com', tabIds: [2] }));
+
+      store.dispatch(actions.tabManagement.removeGroup(10));
+      expect(store.getState().tabManagement.groups).toEqual({});
+    });
+  });
+
+  describe('suspended tabs', () => {
+    test('should keep archived entries when their tab closes', () => {
+      store.dispatch(actions.tabManagement.markSuspended({ tabId: 1, strategy: 'discard', url: 'https://a.com/' }));
+      store.dispatch(actions.tabManagement.markSuspended({ tabId: 2, strategy: 'archive', url: 'https://b.com/' }));
+      store.dispatch(actions.tabManagement.removeTab(1));
+      store.dispatch(actions.tabManagement.removeTab(2));
+
+      expect(Object.keys(store.getState().tabManagement.suspended)).toEqual(['2']);
+
+      store.dispatch(actions.tabManagement.clearSuspended(2));
+      expect(store.getState().tabManagement.suspended).toEqual({});
+    });
+
+    test('should drop exemptions of closed tabs', () => {
+      store.dispatch(actions.tabManagement.recordExemption({ tabId: 3, reason: 'audible', checkedAt: 1 }));
+      store.dispatch(actions.tabManagement.recordExemption({ tabId: 4, reason: 'pinned', checkedAt: 1 }));
+      store.dispatch(actions.tabManagement.removeTab(3));
+      store.dispatch(actions.tabManagement.clearExemption(4));
+
+      expect(store.getState().tabManagement.exemptions).toEqual({});
+    });
+  });
+
+  describe('categories', () => {
+    test('should keep a tab in a single group', () => {
+      store.dispatch(actions.tabManagement.upsertGroup({ id: 1, key: 'example.com', source: 'domain', tabIds: [7, 8] }));
+      store.dispatch(actions.tabManagement.upsertGroup({ id: 2, key: 'Work', source: 'category', tabIds: [7] }));
+
+      const { groups } = store.getState().tabManagement;
+      expect(groups[1].tabIds).toEqual([8]);
+      expect(groups[2].tabIds).toEqual([7]);
+    });
+
+    test('should store category colors', () => {
+      store.dispatch(actions.categories.upsertCategory({ name: 'Work', color: 'blue' }));
+      expect(store.getState().categories.Work).toEqual({ name: 'Work', color: 'blue' });
+    });
+  });
+
+  describe('declarative rules', () => {
+    test('should keep declarative rules separate from tab rules', () => {
+      const rule = { id: 'focus', condition: { urlFilter: '||example.com' }, action: { type: 'block' } };
+      store.dispatch(actions.declarativeRules.upsertDeclarativeRule(rule));
+      store.dispatch(actions.declarativeRules.upsertDeclarativeRule({ ...rule, priority: 2 }));
+
+      expect(store.getState().declarativeRules).toEqual([{ ...rule, priority: 2 }]);
+      expect(store.getState().rules).toEqual([]);
+
+      store.dispatch(actions.declarativeRules.removeDeclarativeRule('focus'));
+      expect(store.getState().declarativeRules).toEqual([]);
+    });
+  });
 });
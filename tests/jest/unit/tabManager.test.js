@@ -6,9 +6,39 @@ import {
   validateTab,
   processTabBatch,
   TabManager,
-  tagTabAndBookmark
+  tagTabAndBookmark,
+  getRegistrableDomain,
+  getGroupColor,
+  groupTabsByDomain,
+  globToRegExp,
+  matchesRule,
+  parseRuleAction,
+  moveTabToCategoryGroup,
+  normalizeCondition,
+  validateRuleDefinition,
+  validateRule,
+  validateActions,
+  applyRulesToTab,
+  previewRulesForTab,
+  migrateRule,
+  createRulePack,
+  parseRulePack,
+  mergeRules,
+  toDynamicRuleId,
+  syncDynamicRules,
+  suspendTab,
+  unsuspendTab,
+  clearSuspendedOnWake,
+  getPlaceholderUrl,
+  reconcileSuspendedTabs,
+  getSuspensionExemption,
+  handleTabCreation,
+  withoutTabLimit,
+  checkInactiveTabs
 } from '../../../utils/tabManager';
+import { isWithinSchedule, getNextScheduledRun } from '../../../utils/schedule';
 import stateManager from '../../../utils/stateManager';
+import { CONFIG } from '../../../utils/constants';
 
 // Mock modules with internal definitions
 jest.mock('../../../utils/stateManager', () => {
@@ -31,19 +61,42 @@ jest.mock('../../../utils/stateManager', () => {
         type: 'UPDATE_METADATA',
         payload // Return the payload as part of the action object
       })),
-      updateOldestTab: jest.fn()
+      updateOldestTab: jest.fn(),
+      upsertGroup: jest.fn((payload) => ({
+        type: 'tabManagement/upsertGroup',
+        payload
+      })),
+      removeGroup: jest.fn(),
+      markSuspended: jest.fn((payload) => ({ type: 'tabManagement/markSuspended', payload })),
+      clearSuspended: jest.fn((payload) => ({ type: 'tabManagement/clearSuspended', payload })),
+      recordExemption: jest.fn((payload) => ({ type: 'tabManagement/recordExemption', payload })),
+      clearExemption: jest.fn((payload) => ({ type: 'tabManagement/clearExemption', payload }))
     },
     archivedTabs: {
       archiveTab: jest.fn()
+    },
+    categories: {
+      upsertCategory: jest.fn((payload) => ({
+        type: 'categories/upsertCategory',
+        payload
+      }))
     }
   };
 
+  const mockSelectors = {
+    selectSettings: state => state.settings,
+    selectTabGroups: state => state.tabManagement.groups || {},
+    selectCategories: state => state.categories || {}
+  };
+
   return {
     __esModule: true,
     default: {
+      store: {},
       dispatch: jest.fn(),
       getState: getMockState,
-      actions: mockActions
+      actions: mockActions,
+      selectors: mockSelectors
     }
   };
 });
@@ -67,11 +120,30 @@ jest.mock('webextension-polyfill', () => ({
       get: jest.fn().mockResolvedValue({ id: 1, url: 'https://example.com', title: 'Test Tab' }),
       remove: jest.fn().mockResolvedValue(undefined),
       update: jest.fn().mockResolvedValue({ id: 1 }),
+      query: jest.fn().mockResolvedValue([]),
+      create: jest.fn(),
+      discard: jest.fn().mockResolvedValue(undefined),
+      reload: jest.fn().mockResolvedValue(undefined),
+      group: jest.fn().mockResolvedValue(10),
+      ungroup: jest.fn().mockResolvedValue(undefined)
+    },
+    tabGroups: {
+      get: jest.fn().mockResolvedValue({ id: 10 }),
+      update: jest.fn().mockResolvedValue({ id: 10 }),
       query: jest.fn().mockResolvedValue([])
     },
     bookmarks: {
       search: jest.fn().mockResolvedValue([]),
       create: jest.fn()
+    },
+    storage: {
+      sync: {
+        get: jest.fn().mockResolvedValue({ rules: [] })
+      }
+    },
+    declarativeNetRequest: {},
+    runtime: {
+      getURL: jest.fn(path => `chrome-extension://id/${path}`)
     }
   }
 }));
@@ -230,4 +302,845 @@ describe('Tab Manager Unit Tests', () => {
       expect(stateManager.actions.tabManagement.updateOldestTab).toBeCalled();
     });
   });
+
+  describe('domain grouping', () => {
+    const groupingState = (groups = {}) => ({
+      tabManagement: { tabs: [], activity: {}, groups },
+      settings: { maxTabs: 100 }
+    });
+
+    beforeEach(async () => {
+      // Drop queued one-off values left behind by earlier tests
+      browser.tabs.query.mockReset();
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue(groupingState());
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should resolve registrable domains', () => {
+      expect(getRegistrableDomain('https://docs.google.com/document/1')).toBe('google.com');
+      expect(getRegistrableDomain('https://news.bbc.co.uk/')).toBe('bbc.co.uk');
+      expect(getRegistrableDomain('https://user.github.io/project')).toBe('user.github.io');
+      expect(getRegistrableDomain('http://localhost:8080/')).toBe('localhost');
+      expect(getRegistrableDomain('chrome://extensions')).toBeNull();
+      expect(getRegistrableDomain('not a url')).toBeNull();
+    });
+
+    test('should pick a stable color per key', () => {
+      expect(getGroupColor('google.com')).toBe(getGroupColor('google.com'));
+      expect(['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'])
+        .toContain(getGroupColor('example.com'));
+    });
+
+    test('should group tabs sharing a domain and skip singletons and pinned tabs', async () => {
+      browser.tabs.query.mockResolvedValueOnce([
+        { id: 1, windowId: 7, groupId: -1, url: 'https://mail.google.com/' },
+        { id: 2, windowId: 7, groupId: -1, url: 'https://docs.google.com/' },
+        { id: 3, windowId: 7, groupId: -1, url: 'https://example.com/' },
+        { id: 4, windowId: 7, groupId: -1, pinned: true, url: 'https://www.google.com/' }
+      ]);
+
+      const result = await groupTabsByDomain(7);
+
+      expect(result.success).toBe(true);
+      expect(browser.tabs.group).toHaveBeenCalledTimes(1);
+      expect(browser.tabs.group).toHaveBeenCalledWith({
+        tabIds: [1, 2],
+        createProperties: { windowId: 7 }
+      });
+      expect(browser.tabGroups.update).toHaveBeenCalledWith(10, {
+        title: 'google.com',
+        color: getGroupColor('google.com')
+      });
+      expect(stateManager.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'tabManagement/upsertGroup',
+        payload: expect.objectContaining({ id: 10, key: 'google.com', source: 'domain', tabIds: [1, 2] })
+      }));
+    });
+
+    test('should reuse the tracked group for a domain', async () => {
+      stateManager.getState.mockReturnValue(groupingState({
+        10: { id: 10, windowId: 7, key: 'google.com', source: 'domain', tabIds: [1] }
+      }));
+      browser.tabs.query.mockResolvedValueOnce([
+        { id: 1, windowId: 7, groupId: 10, url: 'https://mail.google.com/' },
+        { id: 2, windowId: 7, groupId: -1, url: 'https://docs.google.com/' }
+      ]);
+
+      await groupTabsByDomain(7);
+
+      expect(browser.tabs.group).toHaveBeenCalledWith({ groupId: 10, tabIds: [1, 2] });
+    });
+  });
+
+  describe('category rules', () => {
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue({
+        tabManagement: { tabs: [], activity: {}, groups: {} },
+        categories: { Work: { name: 'Work', color: 'blue' } },
+        settings: { maxTabs: 100 }
+      });
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should convert URL globs to anchored patterns', () => {
+      const pattern = globToRegExp('https://*.atlassian.net/*');
+      expect(pattern.test('https://acme.atlassian.net/browse/X-1')).toBe(true);
+      expect(pattern.test('https://atlassian.net.evil.com/')).toBe(false);
+    });
+
+    test('should match rules by type', () => {
+      const tab = { url: 'https://github.com/org/repo', title: 'Pull Request #12' };
+      expect(matchesRule({ type: 'urlGlob', condition: '*github.com/org/*' }, tab)).toBe(true);
+      expect(matchesRule({ type: 'urlRegex', condition: '^https://github\\.com/' }, tab)).toBe(true);
+      expect(matchesRule({ type: 'titleRegex', condition: 'pull request #\\d+' }, tab)).toBe(true);
+      expect(matchesRule({ type: 'tag', condition: 'review' }, tab, ['review'])).toBe(true);
+      expect(matchesRule({ type: 'tag', condition: 'review' }, tab, [])).toBe(false);
+      expect(matchesRule({ condition: 'github' }, tab)).toBe(true);
+    });
+
+    test('should parse group actions', () => {
+      expect(parseRuleAction('Group: Deep Work')).toEqual({ type: 'group', value: 'Deep Work' });
+      expect(parseRuleAction('Tag: Research')).toEqual({ type: 'tag', value: 'Research' });
+    });
+
+    test('should reuse a same-titled native group for a category', async () => {
+      browser.tabGroups.query.mockResolvedValueOnce([{ id: 42, title: 'Work' }]);
+      browser.tabs.group.mockResolvedValueOnce(42);
+
+      const record = await moveTabToCategoryGroup({ id: 5, windowId: 3 }, 'Work');
+
+      expect(browser.tabGroups.query).toHaveBeenCalledWith({ windowId: 3, title: 'Work' });
+      expect(browser.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [5] });
+      expect(browser.tabGroups.update).toHaveBeenCalledWith(42, { title: 'Work', color: 'blue' });
+      expect(record).toEqual(expect.objectContaining({ source: 'category', key: 'Work', tabIds: [5] }));
+    });
+  });
+
+  describe('condition language', () => {
+    const tab = {
+      id: 9,
+      url: 'https://docs.example.com/guide/intro?lang=en&draft',
+      title: 'Intro Guide',
+      pinned: true,
+      audible: false
+    };
+
+    test('should combine field conditions with all/any/not', () => {
+      const rule = {
+        condition: {
+          all: [
+            { field: 'host', operator: 'endsWith', value: 'example.com' },
+            { field: 'path', operator: 'startsWith', value: '/guide' },
+            { any: [
+              { field: 'title', operator: 'contains', value: 'intro' },
+              { field: 'tag', operator: 'has', value: 'docs' }
+            ] },
+            { not: { field: 'audible', operator: 'is', value: true } }
+          ]
+        }
+      };
+      expect(matchesRule(rule, tab)).toBe(true);
+      expect(matchesRule(rule, { ...tab, audible: true })).toBe(false);
+    });
+
+    test('should match query parameters', () => {
+      expect(matchesRule({ condition: { field: 'query', param: 'lang', operator: 'equals', value: 'EN' } }, tab)).toBe(true);
+      expect(matchesRule({ condition: { field: 'query', param: 'draft', operator: 'exists' } }, tab)).toBe(true);
+      expect(matchesRule({ condition: { field: 'query', param: 'page', operator: 'exists' } }, tab)).toBe(false);
+    });
+
+    test('should compare tab age in minutes', () => {
+      const now = Date.now();
+      const rule = { condition: { field: 'age', operator: 'gt', value: 30 } };
+      expect(matchesRule(rule, tab, [], { lastAccessed: now - 45 * 60000, now })).toBe(true);
+      expect(matchesRule(rule, tab, [], { lastAccessed: now - 5 * 60000, now })).toBe(false);
+    });
+
+    test('should convert legacy string conditions', () => {
+      expect(normalizeCondition({ type: 'urlGlob', condition: '*.example.com/*' }))
+        .toEqual({ field: 'url', operator: 'glob', value: '*.example.com/*', caseSensitive: false });
+      expect(normalizeCondition({ condition: 'docs' }).any).toHaveLength(2);
+    });
+
+    test('should report field-level errors', () => {
+      const { valid, errors } = validateRuleDefinition({
+        id: 1,
+        action: 'Tag: Docs',
+        condition: {
+          any: [
+            { field: 'title', operator: 'matches', value: '(' },
+            { field: 'pinned', operator: 'contains', value: true },
+            { field: 'query', operator: 'equals', value: 'x' }
+          ]
+        }
+      });
+      expect(valid).toBe(false);
+      expect(errors.map(error => error.path)).toEqual([
+        'condition.any[0].value',
+        'condition.any[1].operator',
+        'condition.any[2].param'
+      ]);
+    });
+
+    test('should reject rules with too many conditions', () => {
+      const leaves = Array.from({ length: 11 }, () => ({ field: 'title', operator: 'contains', value: 'a' }));
+      expect(() => validateRule({ id: 1, action: 'Tag: A', condition: { any: leaves } }))
+        .toThrow('exceeds 10 conditions');
+    });
+  });
+
+  describe('rule actions', () => {
+    const tab = { id: 4, windowId: 1, url: 'https://example.com/a', title: 'Example' };
+    const host = { field: 'host', operator: 'equals', value: 'example.com' };
+    const withRules = (rules) => ({
+      declarativeNetRequest: {},
+      storage: { sync: { get: jest.fn().mockResolvedValue({ rules }) } }
+    });
+
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue({
+        tabManagement: { tabs: [], activity: {}, metadata: {}, groups: {} },
+        settings: { maxTabs: 100 }
+      });
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should run actions in order and honor stopProcessing', async () => {
+      const browserInstance = withRules([
+        { id: 1, condition: host, actions: [{ type: 'pin' }, { type: 'tag', value: 'docs' }], stopProcessing: true },
+        { id: 2, condition: host, actions: [{ type: 'mute' }] }
+      ]);
+
+      const result = await applyRulesToTab(tab, browserInstance, stateManager);
+
+      expect(browser.tabs.update).toHaveBeenCalledWith(4, { pinned: true });
+      expect(browser.tabs.update).not.toHaveBeenCalledWith(4, { muted: true });
+      expect(stateManager.actions.tabManagement.updateMetadata).toHaveBeenCalledWith(
+        expect.objectContaining({ tabId: 4, metadata: expect.objectContaining({ tags: ['docs'] }) })
+      );
+      expect(result.matches).toEqual([{
+        ruleId: 1,
+        stopped: true,
+        results: [
+          { type: 'pin', success: true, pinned: true },
+          { type: 'tag', success: true, tag: 'docs' }
+        ]
+      }]);
+    });
+
+    test('should report failed actions and keep going', async () => {
+      browser.tabs.get.mockResolvedValueOnce({ ...tab, active: true });
+      const browserInstance = withRules([
+        { id: 1, condition: host, actions: [{ type: 'discard', minutes: 0 }, { type: 'neverSuspend' }] }
+      ]);
+
+      const { matches } = await applyRulesToTab(tab, browserInstance, stateManager);
+
+      expect(matches[0].results).toEqual([
+        { type: 'discard', success: false, error: 'Tab cannot be discarded' },
+        { type: 'neverSuspend', success: true, neverSuspend: true }
+      ]);
+    });
+
+    test('should run legacy single-action rules', async () => {
+      const browserInstance = withRules([{ id: 3, condition: 'example', action: 'Tag: legacy' }]);
+
+      const { matches } = await applyRulesToTab(tab, browserInstance, stateManager);
+
+      expect(matches[0].results).toEqual([{ type: 'tag', success: true, tag: 'legacy' }]);
+    });
+
+    test('should validate action fields', () => {
+      expect(validateActions([])).toEqual([{ path: 'actions', message: 'must contain at least one action' }]);
+      expect(validateActions([
+        { type: 'explode' },
+        { type: 'discard', minutes: -1 },
+        { type: 'moveToWindow', value: 'left' }
+      ]).map(error => error.path)).toEqual(['actions[0].type', 'actions[1].minutes', 'actions[2].value']);
+    });
+  });
+
+  describe('navigation rule evaluation', () => {
+    const workRule = {
+      id: 1,
+      condition: { field: 'host', operator: 'equals', value: 'work.example.com' },
+      actions: [{ type: 'tag', value: 'work' }]
+    };
+
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue({
+        tabManagement: {
+          tabs: [],
+          activity: {},
+          metadata: { 6: { tags: ['work', 'manual'], ruleTags: ['work'] } },
+          groups: {
+            20: { id: 20, windowId: 1, key: 'Work', source: 'category', tabIds: [6, 8] }
+          }
+        },
+        settings: { maxTabs: 100, autoGroupByDomain: false }
+      });
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should debounce top-level navigations per tab', async () => {
+      const evaluate = jest.spyOn(tabManager, 'evaluateRulesForTab').mockResolvedValue(null);
+
+      tabManager.handleNavigation({ tabId: 6, frameId: 1 });
+      tabManager.handleNavigation({ tabId: 6, frameId: 0 });
+      tabManager.handleNavigation({ tabId: 6, frameId: 0 });
+      tabManager.handleNavigation({ tabId: 7, frameId: 0 });
+      expect(evaluate).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, CONFIG.TIMEOUTS.RULE_EVALUATION_DEBOUNCE + 50));
+
+      expect(evaluate).toHaveBeenCalledTimes(2);
+      expect(evaluate).toHaveBeenCalledWith(6);
+      expect(evaluate).toHaveBeenCalledWith(7);
+    });
+
+    test('should drop tags from earlier rule runs on re-evaluation', async () => {
+      const browserInstance = {
+        declarativeNetRequest: {},
+        storage: { sync: { get: jest.fn().mockResolvedValue({ rules: [workRule] }) } }
+      };
+
+      const result = await applyRulesToTab(
+        { id: 6, url: 'https://personal.example.org/' },
+        browserInstance,
+        stateManager,
+        { reevaluate: true }
+      );
+
+      expect(result).toBeNull();
+      expect(stateManager.actions.tabManagement.updateMetadata).toHaveBeenCalledWith({
+        tabId: 6,
+        metadata: { tags: ['manual'], ruleTags: [] }
+      });
+    });
+
+    test('should clear suspension flags from earlier rule runs on re-evaluation', async () => {
+      stateManager.getState.mockReturnValue({
+        tabManagement: { tabs: [], activity: {}, metadata: { 7: { neverSuspend: true, discardAfter: 5 } }, groups: {} },
+        settings: { maxTabs: 100 }
+      });
+      const browserInstance = {
+        declarativeNetRequest: {},
+        storage: { sync: { get: jest.fn().mockResolvedValue({ rules: [workRule] }) } }
+      };
+
+      await applyRulesToTab({ id: 7, url: 'https://personal.example.org/' }, browserInstance, stateManager, { reevaluate: true });
+
+      const [[{ tabId, metadata }]] = stateManager.actions.tabManagement.updateMetadata.mock.calls;
+      expect(tabId).toBe(7);
+      expect(metadata).toEqual({ neverSuspend: undefined, discardAfter: undefined });
+      expect(Object.keys(metadata)).toEqual(['neverSuspend', 'discardAfter']);
+    });
+
+    test('should leave a rule category group when no group rule matches anymore', async () => {
+      browser.tabs.get.mockResolvedValueOnce({ id: 6, windowId: 1, groupId: 20, url: 'https://personal.example.org/' });
+
+      await tabManager.evaluateRulesForTab(6);
+
+      expect(browser.tabs.ungroup).toHaveBeenCalledWith(6);
+      expect(stateManager.actions.tabManagement.upsertGroup).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 20, tabIds: [8] })
+      );
+    });
+  });
+
+  describe('rule preview', () => {
+    const tab = { id: 3, url: 'https://mail.example.com/inbox', title: 'Inbox' };
+    const rules = [
+      { id: 1, condition: { field: 'host', operator: 'startsWith', value: 'mail.' }, actions: [{ type: 'tag', value: 'mail' }] },
+      { id: 2, condition: { field: 'tag', operator: 'has', value: 'mail' }, actions: [{ type: 'bookmarkAndClose', value: 'mail' }, { type: 'pin' }] },
+      { id: 3, condition: 'example', actions: [{ type: 'mute' }] }
+    ];
+
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue({
+        tabManagement: { tabs: [], activity: {}, metadata: {}, groups: {} },
+        settings: { maxTabs: 100 }
+      });
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should plan actions as a real run would', () => {
+      expect(previewRulesForTab(tab, rules)).toEqual([
+        { ruleId: 1, actions: [{ type: 'tag', value: 'mail' }], stopped: false },
+        { ruleId: 2, actions: [{ type: 'bookmarkAndClose', value: 'mail' }, { type: 'pin', skipped: true }], stopped: false }
+      ]);
+      expect(previewRulesForTab(tab, [{ ...rules[0], stopProcessing: true }, rules[2]])).toHaveLength(1);
+    });
+
+    test('should preview open tabs without side effects', async () => {
+      browser.tabs.query.mockResolvedValueOnce([tab, { id: 4, url: 'https://other.org/', title: 'Other' }]);
+
+      const result = await tabManager.previewRules(rules);
+
+      expect(result.success).toBe(true);
+      expect(result.tabs.map(entry => entry.matches.length)).toEqual([2, 0]);
+      expect(browser.tabs.update).not.toHaveBeenCalled();
+      expect(stateManager.dispatch).not.toHaveBeenCalled();
+    });
+
+    test('should return validation errors for invalid drafts', async () => {
+      const result = await tabManager.previewRules([{ id: 9, condition: '', actions: [] }]);
+
+      expect(result.success).toBe(false);
+      expect(result.invalid[0].ruleId).toBe(9);
+      expect(browser.tabs.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rule packs', () => {
+    const legacy = { id: 1, type: 'urlGlob', condition: '*.example.com/*', action: 'Group: Work', color: 'blue' };
+    const current = {
+      id: 2,
+      condition: { field: 'title', operator: 'contains', value: 'docs' },
+      actions: [{ type: 'tag', value: 'docs' }],
+      stopProcessing: false
+    };
+
+    test('should migrate legacy rules to the current shape', () => {
+      expect(migrateRule(legacy)).toEqual({
+        id: 1,
+        condition: { field: 'url', operator: 'glob', value: '*.example.com/*', caseSensitive: false },
+        actions: [{ type: 'group', value: 'Work', color: 'blue' }],
+        stopProcessing: false
+      });
+    });
+
+    test('should round-trip an exported pack', () => {
+      const pack = createRulePack([legacy, current], { Work: { name: 'Work', color: 'blue' } });
+      const parsed = parseRulePack(JSON.stringify(pack));
+
+      expect(pack).toEqual(expect.objectContaining({ format: 'tabcurator-rules', version: 2 }));
+      expect(parsed.valid).toBe(true);
+      expect(parsed.rules).toEqual(pack.rules);
+      expect(parsed.categories).toEqual([{ name: 'Work', color: 'blue' }]);
+    });
+
+    test('should accept a bare legacy rule array', () => {
+      const parsed = parseRulePack([legacy]);
+      expect(parsed.valid).toBe(true);
+      expect(parsed.rules[0].actions).toEqual([{ type: 'group', value: 'Work', color: 'blue' }]);
+    });
+
+    test('should reject invalid packs with paths', () => {
+      expect(parseRulePack('{').errors).toEqual([{ path: 'file', message: 'is not valid JSON' }]);
+      expect(parseRulePack({ format: 'tabcurator-rules', version: 99, rules: [] }).errors[0].path).toBe('version');
+
+      const parsed = parseRulePack({
+        format: 'tabcurator-rules',
+        version: 2,
+        rules: [current, { ...current, actions: [{ type: 'explode' }] }],
+        categories: [{ name: 'Work', color: 'magenta' }]
+      });
+      expect(parsed.valid).toBe(false);
+      expect(parsed.errors.map(error => error.path)).toEqual([
+        'rules[1].actions[0].type',
+        'rules[1].id',
+        'categories[0].color'
+      ]);
+    });
+
+    test('should combine rule sets per import mode', () => {
+      const stored = [{ ...current, id: 1 }, { ...current, id: 2 }];
+      const incoming = [{ ...current, id: 2, stopProcessing: true }, { ...current, id: 3 }];
+
+      expect(mergeRules(stored, incoming, 'replace')).toBe(incoming);
+      expect(mergeRules(stored, incoming, 'merge').map(rule => [rule.id, rule.stopProcessing]))
+        .toEqual([[1, false], [2, true], [3, false]]);
+
+      const appended = mergeRules(stored, incoming, 'append');
+      expect(appended).toHaveLength(4);
+      expect(new Set(appended.map(rule => rule.id)).size).toBe(4);
+      expect(() => mergeRules(stored, incoming, 'upsert')).toThrow('Unknown import mode');
+    });
+  });
+
+  describe('dynamic rule sync', () => {
+    const block = (id, urlFilter, priority = 1) => ({ id, priority, condition: { urlFilter }, action: { type: 'block' } });
+    const installed = (rule) => ({
+      id: toDynamicRuleId(rule.id),
+      priority: rule.priority,
+      condition: { resourceTypes: ['main_frame'], ...rule.condition },
+      action: rule.action
+    });
+
+    beforeEach(() => {
+      browser.declarativeNetRequest.getDynamicRules = jest.fn().mockResolvedValue([]);
+      browser.declarativeNetRequest.updateDynamicRules = jest.fn().mockResolvedValue();
+      delete browser.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES;
+    });
+
+    afterAll(() => {
+      delete browser.declarativeNetRequest.getDynamicRules;
+      delete browser.declarativeNetRequest.updateDynamicRules;
+    });
+
+    test('should derive stable ids from owner ids', () => {
+      expect(toDynamicRuleId(42)).toBe(42);
+      expect(toDynamicRuleId(1700000000000)).toBe(toDynamicRuleId(1700000000000));
+      expect(toDynamicRuleId(1700000000000)).toBeLessThanOrEqual(2147483647);
+      expect(toDynamicRuleId('focus')).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should remove stale and changed rules and keep unchanged ones', async () => {
+      browser.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        installed(block(1, '||a.com')),
+        installed(block(2, '||b.com')),
+        installed(block(3, '||c.com'))
+      ]);
+
+      const report = await syncDynamicRules([block(1, '||a.com'), block(2, '||b.org')]);
+
+      expect(browser.declarativeNetRequest.updateDynamicRules).toHaveBeenCalledWith({
+        removeRuleIds: [3, 2],
+        addRules: [installed(block(2, '||b.org'))]
+      });
+      expect(report).toEqual({ success: true, added: 1, removed: 2, unchanged: 1, failed: [] });
+    });
+
+    test('should report rules beyond the quota', async () => {
+      browser.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES = 1;
+
+      const report = await syncDynamicRules([block(1, '||a.com', 1), block(2, '||b.com', 5)]);
+
+      expect(browser.declarativeNetRequest.updateDynamicRules.mock.calls[0][0].addRules.map(rule => rule.id)).toEqual([2]);
+      expect(report.failed).toEqual([{ ruleId: 1, error: 'Dynamic rule quota of 1 reached' }]);
+    });
+
+    test('should isolate rules the browser rejects', async () => {
+      browser.declarativeNetRequest.updateDynamicRules
+        .mockRejectedValueOnce(new Error('batch rejected'))
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Invalid regexFilter'));
+
+      const report = await syncDynamicRules([block(1, '||a.com'), { id: 2, condition: { regexFilter: '(' }, action: { type: 'block' } }]);
+
+      expect(report).toEqual(expect.objectContaining({
+        success: false,
+        added: 1,
+        failed: [{ ruleId: 2, error: 'Invalid regexFilter' }]
+      }));
+    });
+  });
+
+  describe('scheduled rules', () => {
+    // 2024-01-08 is a Monday
+    const utc = (day, hours, minutes = 0) => Date.UTC(2024, 0, 7 + day, hours, minutes);
+    const tab = { id: 3, url: 'https://example.com/', title: 'Example' };
+
+    test('should match time windows in the given time zone', () => {
+      const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', timeZone: 'UTC' };
+      expect(isWithinSchedule(workHours, utc(1, 10))).toBe(true);
+      expect(isWithinSchedule(workHours, utc(1, 17))).toBe(false);
+      expect(isWithinSchedule(workHours, utc(6, 10))).toBe(false);
+      expect(isWithinSchedule({ ...workHours, timeZone: 'America/New_York' }, utc(1, 14))).toBe(true);
+
+      const rule = { condition: { field: 'schedule', operator: 'within', value: workHours } };
+      expect(matchesRule(rule, tab, [], { now: utc(2, 9) })).toBe(true);
+      expect(matchesRule(rule, tab, [], { now: utc(2, 8, 59) })).toBe(false);
+    });
+
+    test('should let overnight windows span midnight', () => {
+      const nightShift = { days: [5], start: '22:00', end: '06:00', timeZone: 'UTC' };
+      expect(isWithinSchedule(nightShift, utc(5, 23))).toBe(true);
+      expect(isWithinSchedule(nightShift, utc(6, 3))).toBe(true);
+      expect(isWithinSchedule(nightShift, utc(6, 7))).toBe(false);
+      expect(isWithinSchedule(nightShift, utc(5, 3))).toBe(false);
+    });
+
+    test('should find the next run', () => {
+      const evenings = { days: [1, 2, 3, 4, 5], at: '18:00', timeZone: 'UTC' };
+      expect(getNextScheduledRun(evenings, utc(1, 10))).toBe(utc(1, 18));
+      expect(getNextScheduledRun(evenings, utc(5, 18))).toBe(utc(8, 18));
+      // New York moves to daylight saving time on 2024-03-10
+      expect(getNextScheduledRun({ days: [0], at: '09:00', timeZone: 'America/New_York' }, Date.UTC(2024, 2, 9, 15)))
+        .toBe(Date.UTC(2024, 2, 10, 13));
+    });
+
+    test('should validate schedules and session actions', () => {
+      const parkWork = {
+        id: 1,
+        schedule: { days: [1, 2, 3, 4, 5], at: '18:00' },
+        condition: { field: 'tag', operator: 'has', value: 'Work' },
+        actions: [{ type: 'saveToSession', value: 'Work' }]
+      };
+      expect(validateRuleDefinition(parkWork).valid).toBe(true);
+      expect(validateRuleDefinition({ id: 2, schedule: { days: [1], at: '09:00' }, actions: [{ type: 'restoreSession', value: 'Work' }] }).valid)
+        .toBe(true);
+
+      const { schedule, ...unscheduled } = parkWork;
+      expect(validateRuleDefinition(unscheduled).errors)
+        .toEqual([{ path: 'actions[0].type', message: 'is only available on scheduled rules' }]);
+      expect(validateRuleDefinition({ ...parkWork, schedule: { days: [], at: '6pm', timeZone: 'Mars/Base' } }).errors.map(error => error.path))
+        .toEqual(['schedule.days', 'schedule.timeZone', 'schedule.at']);
+      expect(validateRuleDefinition({
+        ...parkWork,
+        condition: { field: 'schedule', operator: 'within', value: { days: [1], start: '09:00', end: '09:00' } }
+      }).errors).toEqual([{ path: 'condition.value.end', message: 'must differ from the start time' }]);
+    });
+
+    test('should leave scheduled rules out of tab event evaluation', async () => {
+      const rules = [{ id: 1, schedule: { days: [1], at: '18:00' }, condition: { field: 'url', operator: 'contains', value: 'example' }, actions: [{ type: 'pin' }] }];
+      const browserInstance = {
+        declarativeNetRequest: {},
+        storage: { sync: { get: jest.fn().mockResolvedValue({ rules }) } }
+      };
+
+      await expect(applyRulesToTab(tab, browserInstance, stateManager)).resolves.toBeNull();
+      expect(previewRulesForTab(tab, rules)).toEqual([]);
+    });
+  });
+
+  describe('suspension', () => {
+    const tab = {
+      id: 21,
+      windowId: 2,
+      index: 4,
+      url: 'https://example.com/article',
+      title: 'Article',
+      favIconUrl: 'https://example.com/favicon.ico'
+    };
+    const withSuspended = (suspended, metadata = {}) => {
+      stateManager.getState.mockReturnValue({
+        tabManagement: { tabs: [], activity: {}, metadata, groups: {}, suspended, exemptions: {} },
+        settings: { maxTabs: 100 }
+      });
+    };
+    const dispatched = (type) => stateManager.dispatch.mock.calls
+      .map(([action]) => action)
+      .filter(action => action.type === type);
+
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      withSuspended({});
+      await tabManager.initialize(stateManager);
+      stateManager.dispatch.mockClear();
+    });
+
+    test('should navigate to the placeholder page and back', async () => {
+      const result = await suspendTab(tab, 'placeholder');
+
+      expect(result).toEqual({ success: true, tabId: 21, strategy: 'placeholder' });
+      const [{ payload: entry }] = dispatched('tabManagement/markSuspended');
+      expect(entry).toEqual(expect.objectContaining({ tabId: 21, strategy: 'placeholder', url: tab.url, windowId: 2, index: 4 }));
+      const placeholder = new URL(browser.tabs.update.mock.calls.at(-1)[1].url);
+      expect(placeholder.pathname).toBe('/suspended/suspended.html');
+      expect(placeholder.searchParams.get('url')).toBe(tab.url);
+      expect(placeholder.searchParams.get('favIconUrl')).toBe(tab.favIconUrl);
+
+      withSuspended({ 21: entry });
+      await expect(suspendTab(tab, 'placeholder')).resolves.toEqual(expect.objectContaining({ success: false }));
+      await expect(unsuspendTab(21)).resolves.toEqual(expect.objectContaining({ success: true, restoredTabId: 21 }));
+      expect(browser.tabs.update).toHaveBeenLastCalledWith(21, { url: tab.url });
+      expect(dispatched('tabManagement/clearSuspended')).toEqual([{ type: 'tabManagement/clearSuspended', payload: 21 }]);
+    });
+
+    test('should archive to bookmarks and reopen in place', async () => {
+      browser.bookmarks.search.mockReset().mockResolvedValue([{ id: 'folder' }]);
+      browser.bookmarks.create.mockReset().mockResolvedValue({ id: 'bm1' });
+
+      await expect(suspendTab(tab, 'archive')).resolves.toEqual(expect.objectContaining({ success: true }));
+      expect(browser.bookmarks.create).toHaveBeenCalledWith({ parentId: 'folder', title: 'Article', url: tab.url });
+      expect(browser.tabs.remove).toHaveBeenCalledWith(21);
+
+      const [{ payload: entry }] = dispatched('tabManagement/markSuspended');
+      expect(entry.bookmarkId).toBe('bm1');
+      withSuspended({ 21: entry });
+      browser.tabs.create.mockResolvedValueOnce({ id: 30 });
+
+      await expect(unsuspendTab(21)).resolves.toEqual(expect.objectContaining({ success: true, restoredTabId: 30 }));
+      expect(browser.tabs.create).toHaveBeenCalledWith({ url: tab.url, pinned: false, active: false, windowId: 2, index: 4 });
+    });
+
+    test('should forget a discarded tab once it reloads', async () => {
+      browser.tabs.get
+        .mockResolvedValueOnce({ ...tab, active: false })
+        .mockResolvedValueOnce({ ...tab, discarded: true });
+
+      await expect(suspendTab(tab, 'discard')).resolves.toEqual(expect.objectContaining({ success: true }));
+      expect(browser.tabs.discard).toHaveBeenCalledWith(21);
+
+      withSuspended({ 21: { tabId: 21, strategy: 'discard', url: tab.url } });
+      clearSuspendedOnWake(21, { status: 'loading' });
+      expect(dispatched('tabManagement/clearSuspended')).toEqual([]);
+      clearSuspendedOnWake(21, { discarded: false });
+      expect(dispatched('tabManagement/clearSuspended')).toHaveLength(1);
+    });
+
+    test('should fall back to the placeholder when discarding does not take effect', async () => {
+      browser.tabs.get
+        .mockResolvedValueOnce({ ...tab, active: false })
+        .mockResolvedValueOnce({ ...tab, discarded: false });
+
+      await expect(suspendTab(tab, 'discard')).resolves.toEqual({ success: true, tabId: 21, strategy: 'placeholder' });
+      expect(browser.tabs.update).toHaveBeenLastCalledWith(21, { url: expect.stringContaining('suspended/suspended.html') });
+    });
+
+    test('should discard tabs queued by a discard rule whatever the configured strategy', async () => {
+      withSuspended({}, { 21: { discardAfter: 5 } });
+      browser.storage.sync.get.mockResolvedValue({ suspensionStrategy: 'archive' });
+      browser.tabs.query.mockResolvedValueOnce([{ ...tab, lastAccessed: Date.now() - 10 * 60000 }]);
+      browser.tabs.get
+        .mockResolvedValueOnce({ ...tab, active: false })
+        .mockResolvedValueOnce({ ...tab, discarded: true });
+      browser.tabs.remove.mockClear();
+
+      await checkInactiveTabs();
+
+      expect(browser.tabs.discard).toHaveBeenCalledWith(21);
+      expect(browser.tabs.remove).not.toHaveBeenCalled();
+      expect(dispatched('tabManagement/markSuspended')[0].payload).toEqual(expect.objectContaining({ strategy: 'discard' }));
+    });
+
+    test('should leave tabs showing in any window and read settings once per pass', async () => {
+      const idle = Date.now() - 2 * CONFIG.INACTIVITY_THRESHOLDS.SUSPEND;
+      browser.storage.sync.get.mockResolvedValue({ suspensionStrategy: 'placeholder' });
+      browser.tabs.query.mockResolvedValueOnce([
+        { ...tab, active: true, lastAccessed: idle },
+        { ...tab, id: 22, index: 5, lastAccessed: idle }
+      ]);
+      browser.tabs.update.mockClear();
+      browser.storage.sync.get.mockClear();
+
+      await checkInactiveTabs();
+
+      expect(browser.tabs.update).toHaveBeenCalledTimes(1);
+      expect(browser.tabs.update).toHaveBeenCalledWith(22, { url: expect.stringContaining('suspended/suspended.html') });
+      expect(browser.storage.sync.get).toHaveBeenCalledTimes(3);
+    });
+
+    test('should check exemptions in order', () => {
+      const domains = { neverSuspendDomains: ['example.com'] };
+
+      expect(getSuspensionExemption({ ...tab, active: true, pinned: true })).toBe('active');
+      expect(getSuspensionExemption({ ...tab, pinned: true, audible: true })).toBe('pinned');
+      expect(getSuspensionExemption({ ...tab, audible: true }, domains)).toBe('audible');
+      expect(getSuspensionExemption({ ...tab, sharingState: { camera: true } })).toBe('mediaCapture');
+      expect(getSuspensionExemption(tab, { ...domains, metadata: { unsavedForm: true } })).toBe('unsavedForm');
+      expect(getSuspensionExemption({ ...tab, url: 'https://www.docs.example.com/' }, domains)).toBe('neverSuspendDomain');
+      expect(getSuspensionExemption(tab, { neverSuspendDomains: ['ample.com'] })).toBeNull();
+      expect(getSuspensionExemption(tab, { metadata: { tags: ['Keep'] } })).toBe('keepTag');
+      expect(getSuspensionExemption(tab, { metadata: { neverSuspend: true } })).toBe('neverSuspendRule');
+      expect(getSuspensionExemption(tab)).toBeNull();
+    });
+
+    test('should refuse to suspend an exempt tab and record the reason', async () => {
+      withSuspended({}, { 21: { unsavedForm: true } });
+
+      await expect(suspendTab(tab, 'placeholder')).resolves.toEqual({
+        success: false,
+        tabId: 21,
+        reason: 'Tab is exempt from suspension',
+        exemption: 'unsavedForm'
+      });
+      expect(browser.tabs.update).not.toHaveBeenCalledWith(21, expect.anything());
+      expect(dispatched('tabManagement/recordExemption')[0].payload).toEqual(
+        expect.objectContaining({ tabId: 21, reason: 'unsavedForm', title: 'Article' })
+      );
+    });
+
+    test('should re-register placeholder tabs after a restart', async () => {
+      const placeholderUrl = getPlaceholderUrl({ ...tab, suspendedAt: 1000 });
+      withSuspended({
+        21: { tabId: 21, strategy: 'placeholder', url: tab.url },
+        22: { tabId: 22, strategy: 'archive', url: tab.url }
+      });
+      browser.tabs.query.mockResolvedValueOnce([
+        { id: 21, url: tab.url },
+        { id: 40, windowId: 3, index: 0, url: placeholderUrl }
+      ]);
+
+      await expect(reconcileSuspendedTabs()).resolves.toEqual({ removed: 1, adopted: 1 });
+      expect(dispatched('tabManagement/clearSuspended')).toEqual([{ type: 'tabManagement/clearSuspended', payload: 21 }]);
+      expect(dispatched('tabManagement/markSuspended')[0].payload).toEqual({
+        tabId: 40,
+        strategy: 'placeholder',
+        url: tab.url,
+        title: 'Article',
+        favIconUrl: tab.favIconUrl,
+        windowId: 3,
+        index: 0,
+        pinned: false,
+        suspendedAt: 1000
+      });
+    });
+  });
+  describe('tab limits at creation', () => {
+    const tabs = [
+      { id: 1, windowId: 1, url: 'https://a.com', active: true },
+      { id: 2, windowId: 1, url: 'https://b.com' },
+      { id: 3, windowId: 1, url: 'https://c.com' },
+      { id: 4, windowId: 2, url: 'https://d.com' },
+      { id: 5, windowId: 2, url: 'https://e.com', pinned: true }
+    ];
+
+    beforeEach(async () => {
+      stateManager.getState.mockReset();
+      stateManager.getState.mockReturnValue({
+        tabManagement: {
+          activity: { 2: { lastAccessed: 300 }, 3: { lastAccessed: 100 }, 4: { lastAccessed: 200 } },
+          metadata: { 3: { unsavedForm: true } },
+          suspended: {},
+          exemptions: {}
+        },
+        settings: { maxTabs: 100 }
+      });
+      browser.tabs.query.mockReset();
+      browser.tabs.query.mockResolvedValue(tabs);
+      await tabManager.initialize(stateManager);
+    });
+
+    test('should close a new tab that goes over the per-window limit', async () => {
+      browser.storage.sync.get.mockResolvedValue({ tabLimit: 100, windowTabLimit: 2, tabLimitPolicy: 'block' });
+
+      const result = await handleTabCreation(tabs[2]);
+      expect(result).toEqual(expect.objectContaining({ enforced: true, closedTabId: 3 }));
+      expect(result.status).toEqual(expect.objectContaining({ exceeded: 'window', inWindow: 3, total: 5 }));
+      expect(browser.tabs.remove).toHaveBeenCalledWith(3);
+
+      await expect(handleTabCreation(tabs[3])).resolves.toEqual(expect.objectContaining({ enforced: false }));
+    });
+
+    test('should archive the least recently used tab that may be closed', async () => {
+      browser.storage.sync.get.mockResolvedValue({ tabLimit: 4, tabLimitPolicy: 'archiveLru' });
+      browser.bookmarks.search.mockResolvedValueOnce([{ id: 'folder' }]);
+      browser.bookmarks.create.mockResolvedValueOnce({ id: 'bookmark' });
+
+      const result = await handleTabCreation({ id: 6, windowId: 2, url: 'https://f.com' });
+
+      // Tab 3 is older but holds unsaved form input
+      expect(result).toEqual(expect.objectContaining({ enforced: true, archivedTabId: 4 }));
+      expect(browser.bookmarks.create).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://d.com' }));
+      expect(browser.tabs.remove).toHaveBeenCalledWith(4);
+      expect(browser.tabs.remove).not.toHaveBeenCalledWith(3);
+    });
+
+    test('should leave tabs opened by the extension alone', async () => {
+      browser.storage.sync.get.mockResolvedValue({ tabLimit: 1, tabLimitPolicy: 'block' });
+
+      await expect(handleTabCreation({ id: 7, windowId: 1, pendingUrl: 'chrome-extension://id/tablimit/tablimit.html' }))
+        .resolves.toEqual({ enforced: false });
+      await withoutTabLimit(async () => ({ id: 8, windowId: 1 }));
+      await expect(handleTabCreation({ id: 8, windowId: 1, url: 'https://g.com' })).resolves.toEqual({ enforced: false });
+      // The creation event may come before the tab is returned
+      const early = handleTabCreation({ id: 9, windowId: 1, url: 'https://h.com' });
+      await withoutTabLimit(async () => [{ id: 9, windowId: 1 }]);
+      await expect(early).resolves.toEqual({ enforced: false });
+      expect(browser.tabs.remove).not.toHaveBeenCalled();
+
+      // Only the tabs the extension opened are exempt, and only once
+      await expect(handleTabCreation({ id: 8, windowId: 1, url: 'https://g.com' }))
+        .resolves.toEqual(expect.objectContaining({ enforced: true, closedTabId: 8 }));
+    });
+  });
 });
@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+import browser from 'webextension-polyfill';
+import stateManager, { store, actions } from '../../../utils/stateManager';
+import { TabRanker, rankTabs, scoreTab } from '../../../utils/tabRanker';
+
+jest.mock('../../../utils/logger');
+
+describe('Tab Ranker', () => {
+  const minute = 60000;
+  const now = 600 * minute;
+
+  test('should rank long unused, rarely viewed tabs first and explain why', () => {
+    const tabs = [
+      { id: 1, url: 'https://a.com', active: true },
+      { id: 2, url: 'https://b.com', groupId: 4 },
+      { id: 3, url: 'https://c.com' },
+      { id: 4, url: 'https://d.com' },
+      { id: 5, url: 'https://e.com', pinned: true },
+      { id: 6, url: 'https://f.com', audible: true }
+    ];
+    const tabManagement = {
+      activity: {
+        1: { lastAccessed: 0 },
+        2: { lastAccessed: 0 },
+        3: { lastAccessed: 300 * minute, foregroundTime: 0 },
+        4: { lastAccessed: 0, foregroundTime: 120 * minute },
+        5: { lastAccessed: 100 * minute },
+        6: { lastAccessed: 0 }
+      }
+    };
+
+    const ranked = rankTabs(tabs, { tabManagement }, {}, now);
+
+    // 2: 600 * 0.75, 3: 300, 4: 600 / 5, 6: 600 * 0.1, 5: 500 * 0.1
+    expect(ranked.map(({ tab }) => tab.id)).toEqual([2, 3, 4, 6, 5]);
+    expect(ranked[0].reasons).toEqual(['Unused for 10 h', 'Hardly ever in the foreground', 'In a tab group']);
+    expect(ranked[2].reasons).toContain('2 h in the foreground');
+    expect(ranked[3]).toEqual(expect.objectContaining({ exemption: 'audible' }));
+    expect(ranked[3].reasons).toContain('Kept awake: Playing audio');
+    expect(scoreTab(tabs[4], { tabManagement }, now).reasons).toContain('Pinned');
+    expect(rankTabs(tabs, { tabManagement }, { excludeTabId: 2 }, now)[0].tab.id).toBe(3);
+  });
+
+  test('should hand out the top candidates from the open tabs', async () => {
+    store.dispatch(actions.tabManagement.reset());
+    browser.storage.sync.get.mockResolvedValue({ neverSuspendDomains: ['b.com'] });
+    browser.tabs.query.mockResolvedValueOnce([
+      { id: 7, windowId: 1, url: 'https://a.com', lastAccessed: 1000 },
+      { id: 8, windowId: 1, url: 'https://b.com', lastAccessed: 0 },
+      { id: 9, windowId: 2, url: 'https://c.com', lastAccessed: 2000 }
+    ]);
+
+    const ranker = new TabRanker();
+    await ranker.initialize(stateManager);
+    const candidates = await ranker.getCandidates(2, { windowId: 1 });
+
+    expect(candidates.map(({ tab }) => tab.id)).toEqual([7, 8]);
+    expect(candidates[1].exemption).toBe('neverSuspendDomain');
+  });
+});
@@ -0,0 +1,230 @@
+// utils/activityTracker.js
+/**
+ * @fileoverview Activity Tracker Module - Follows which tab is in front of the user
+ * through tab activation, window focus and idle state, and records per-tab
+ * foreground time and last-focus time in the `activity` map. Time the system spends
+ * idle or locked is kept on the away clock so tabs do not age while the user is gone.
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { ACTIVITY_CONFIG } from './constants.js';
+import { connection } from './connectionManager.js';
+import { tabManager } from './tabManager.js';
+
+/**
+ * Reads the idle settings saved on the options page.
+ * @returns {Promise<{pauseWhenIdle: boolean, suspendWhenIdle: boolean, idleSuspendMinutes: number}>}
+ */
+export async function getIdleSettings() {
+  const {
+    pauseInactivityWhenIdle,
+    idleSuspendEnabled,
+    idleSuspendMinutes
+  } = await browser.storage.sync.get(['pauseInactivityWhenIdle', 'idleSuspendEnabled', 'idleSuspendMinutes']);
+
+  return {
+    pauseWhenIdle: pauseInactivityWhenIdle !== false,
+    suspendWhenIdle: idleSuspendEnabled === true,
+    idleSuspendMinutes: Number.isInteger(idleSuspendMinutes) && idleSuspendMinutes > 0
+      ? idleSuspendMinutes
+      : ACTIVITY_CONFIG.DEFAULT_IDLE_SUSPEND_MINUTES
+  };
+}
+
+export class ActivityTracker {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+    this.idleState = 'active';
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+
+    if (browser.idle) {
+      browser.idle.setDetectionInterval(ACTIVITY_CONFIG.IDLE_DETECTION_INTERVAL);
+      this.idleState = await browser.idle.queryState(ACTIVITY_CONFIG.IDLE_DETECTION_INTERVAL);
+    }
+
+    // A foreground tab persisted by an earlier worker only carries on if it is still in
+    // front; otherwise there is no telling when it left, so it gets no time
+    const previous = this.getForeground();
+    const current = this.idleState === 'active' ? await this.getFocusedTab() : null;
+    if (previous && previous.tabId !== current?.id) {
+      this.stateManager.dispatch(this.stateManager.actions.tabManagement.endForeground());
+    }
+    if (current) {
+      this.focus(current.id, current.windowId);
+    }
+    if (this.updateAwayClock(this.idleState)) {
+      await this.scheduleIdleSuspend();
+    }
+    logger.info('Activity tracker initialized', { foreground: current?.id ?? null });
+  }
+
+  /**
+   * @returns {ForegroundTab|null} The tab currently in front of the user.
+   */
+  getForeground() {
+    return this.stateManager.getState().tabManagement?.foreground || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Active tab of the focused browser window.
+   */
+  async getFocusedTab() {
+    if (!browser.windows) {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      return tab || null;
+    }
+
+    const focusedWindow = await browser.windows.getLastFocused({ populate: true });
+    if (!focusedWindow?.focused) return null;
+    return focusedWindow.tabs?.find(tab => tab.active) || null;
+  }
+
+  async isWindowFocused(windowId) {
+    if (!browser.windows) return true;
+    return Boolean((await browser.windows.get(windowId))?.focused);
+  }
+
+  /**
+   * Brings a tab to the foreground, crediting the previous one with its time.
+   * @param {number} tabId - The tab now in front of the user.
+   * @param {number} windowId - Its window.
+   * @param {number} [now] - Reference timestamp.
+   */
+  focus(tabId, windowId, now = Date.now()) {
+    const { recordFocus, endForeground } = this.stateManager.actions.tabManagement;
+    if (this.getForeground()?.tabId === tabId) return;
+
+    this.stateManager.dispatch(endForeground({ at: now }));
+    this.stateManager.dispatch(recordFocus({ tabId, windowId, at: now }));
+  }
+
+  /**
+   * Leaves no tab in the foreground, crediting the last one with its time.
+   * @param {number} [now] - Reference timestamp.
+   */
+  blur(now = Date.now()) {
+    if (this.getForeground()) {
+      this.stateManager.dispatch(this.stateManager.actions.tabManagement.endForeground({ at: now }));
+    }
+  }
+
+  async handleActivated({ tabId, windowId }) {
+    if (!this.initialized || this.idleState !== 'active') return;
+
+    try {
+      // Activation only counts in the focused window; a window gaining focus is
+      // picked up by handleFocusChanged
+      const current = this.getForeground();
+      const inFront = current ? current.windowId === windowId : await this.isWindowFocused(windowId);
+      if (inFront) {
+        this.focus(tabId, windowId);
+      }
+    } catch (error) {
+      logger.error('Error tracking tab activation', { tabId, error: error.message });
+    }
+  }
+
+  async handleFocusChanged(windowId) {
+    if (!this.initialized) return;
+
+    try {
+      if (windowId === browser.windows.WINDOW_ID_NONE || this.idleState !== 'active') {
+        this.blur();
+        return;
+      }
+      const [tab] = await browser.tabs.query({ active: true, windowId });
+      if (tab) {
+        this.focus(tab.id, windowId);
+      }
+    } catch (error) {
+      logger.error('Error tracking window focus', { windowId, error: error.message });
+    }
+  }
+
+  /**
+   * Starts or stops the away clock for an idle state.
+   * @param {string} state - 'active', 'idle' or 'locked'.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {boolean} Whether the user just went away.
+   */
+  updateAwayClock(state, now = Date.now()) {
+    const { startAway, endAway } = this.stateManager.actions.tabManagement;
+    const away = this.stateManager.getState().tabManagement?.away?.since != null;
+
+    if (state === 'active') {
+      if (away) this.stateManager.dispatch(endAway(now));
+      return false;
+    }
+    if (!away) {
+      this.stateManager.dispatch(startAway(now));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Sets the idle-suspend alarm when the user goes away. The idle state is reported
+   * IDLE_DETECTION_INTERVAL seconds after the last input, which counts towards the wait.
+   * @param {number} [now] - When the user was reported away.
+   */
+  async scheduleIdleSuspend(now = Date.now()) {
+    const { suspendWhenIdle, idleSuspendMinutes } = await getIdleSettings();
+    if (!suspendWhenIdle) return;
+
+    const when = now + Math.max(0, idleSuspendMinutes * 60 - ACTIVITY_CONFIG.IDLE_DETECTION_INTERVAL) * 1000;
+    await connection.createAlarm(ACTIVITY_CONFIG.IDLE_SUSPEND_ALARM, { when });
+  }
+
+  async handleAlarm(alarm) {
+    if (alarm.name !== ACTIVITY_CONFIG.IDLE_SUSPEND_ALARM || !this.initialized) return;
+
+    try {
+      const { suspendWhenIdle } = await getIdleSettings();
+      if (!suspendWhenIdle || this.idleState === 'active') return;
+
+      const result = await tabManager.suspendInactiveTabs();
+      logger.info('Suspended tabs after system idle', { suspendedCount: result.suspendedCount });
+    } catch (error) {
+      logger.error('Idle suspension failed', { error: error.message });
+    }
+  }
+
+  async handleIdleStateChanged(state) {
+    if (!this.initialized) return;
+    this.idleState = state;
+
+    try {
+      if (state !== 'active') {
+        this.blur();
+        if (this.updateAwayClock(state)) {
+          await this.scheduleIdleSuspend();
+        }
+        return;
+      }
+      this.updateAwayClock(state);
+      if (browser.alarms) {
+        await browser.alarms.clear(ACTIVITY_CONFIG.IDLE_SUSPEND_ALARM);
+      }
+      const tab = await this.getFocusedTab();
+      if (tab) {
+        this.focus(tab.id, tab.windowId);
+      }
+    } catch (error) {
+      logger.error('Error tracking idle state', { state, error: error.message });
+    }
+  }
+}
+
+const activityTracker = new ActivityTracker();
+export { activityTracker };
@@ -13,6 +13,7 @@
 import browser from 'webextension-polyfill';
 import {
   MESSAGE_TYPES,
+  ACTION_TYPES,
   CONFIG,
   ERROR_CATEGORIES,
   DYNAMIC_CONFIG_KEYS,
@@ -1270,7 +1271,14 @@ class ConnectionManager {
 
   async handleMessage(message, sender) {
     // Avoid circular imports by interacting through stateManager singleton
-    return stateManager.handleTabAction(message);
+    switch (message?.type) {
+      case MESSAGE_TYPES.SESSION_ACTION:
+        return stateManager.handleSessionMessage(message);
+      case MESSAGE_TYPES.GET_SESSIONS:
+        return stateManager.handleSessionMessage({ action: ACTION_TYPES.SESSION.GET_SESSIONS });
+      default:
+        return stateManager.handleTabAction(message, sender);
+    }
   }
 
   handlePortConnection(port) {
@@ -26,31 +26,214 @@ import deepEqual from 'fast-deep-equal'; // Changed import source from 'reselect
  * @property {Tab[]} tabs
  */
 
+/**
+ * @typedef {Object} SessionTab
+ * @property {string} url
+ * @property {string} title
+ * @property {boolean} pinned
+ * @property {boolean} muted
+ * @property {{title: string, color: string, collapsed: boolean}|null} group
+ * @property {string[]} tags
+ * @property {{x: number, y: number}|null} scroll - Null when the page could not report it
+ */
+
+/**
+ * @typedef {Object} SessionWindow
+ * @property {number} [left]
+ * @property {number} [top]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} state - 'normal', 'minimized', 'maximized' or 'fullscreen'
+ * @property {boolean} focused
+ * @property {boolean} incognito
+ * @property {SessionTab[]} tabs - In tab strip order
+ */
+
+/**
+ * @typedef {Object} SavedSession - A full browser session, kept in `savedSessions` by id
+ * @property {string} id
+ * @property {string} name
+ * @property {SessionWindow[]} windows
+ * @property {number} tabCount
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {Object} SessionSnapshot - An unnamed SavedSession taken automatically, kept in `snapshots` by id
+ * @property {string} trigger - One of SNAPSHOT_TRIGGERS
+ * @property {number} createdAt - When this state was first seen
+ * @property {number} updatedAt - When it was last seen; identical snapshots only move this forward
+ */
+
+/**
+ * @typedef {Object} SessionRestoreOptions
+ * @property {string} [mode] - One of SESSION_RESTORE_MODES; defaults to WINDOWS
+ * @property {Array<[number, number]>} [selected] - `[windowIndex, tabIndex]` pairs to restore; all tabs when left out
+ */
+
+/**
+ * @typedef {Object} SessionDiff - How a session differs from a base one, comparing tabs by normalized URL
+ * @property {Array<{url: string, title: string, at: [number, number]}>} added - Only in the other session
+ * @property {Array<{url: string, title: string, at: [number, number]}>} removed - Only in the base session
+ * @property {Array<{url: string, title: string, from: [number, number], to: [number, number]}>} moved - To another
+ *   window, or out of order among the tabs both windows share
+ * @property {number} unchanged
+ * @property {{added: Object[], removed: Object[], changed: Object[]}} groups - Groups by title; changed ones list
+ *   their `before` and `after` color and collapsed state and the URLs that joined or left
+ */
+
+/**
+ * @typedef {Object} SessionImportPreview - One session found in an import file, before it is saved
+ * @property {string} name - Name it will be saved under; taken names get a number
+ * @property {number} windowCount
+ * @property {number} tabCount - After duplicates are dropped
+ * @property {number} duplicateTabs - Pages repeated within the session, dropped on import
+ * @property {string|null} identicalTo - Name of a saved session with the same pages; such sessions are not imported
+ */
+
 /**
  * @typedef {Object} Rule
  * @property {number} id
- * @property {string} condition
- * @property {string} action
+ * @property {Object|string} condition - Condition tree (see CONDITION_FIELDS); strings are legacy rules
+ * @property {RuleAction[]} actions - Executed in order when the condition matches
+ * @property {boolean} [stopProcessing] - Skip the remaining rules after this one matches
+ * @property {RuleSchedule} [schedule] - Run at set times against every open tab instead of on tab events
+ * @property {string} [action] - Legacy single action such as "Tag: Research"
+ */
+
+/**
+ * @typedef {Object} RuleSchedule
+ * @property {number[]} days - Weekdays to run on, Sunday = 0
+ * @property {string} at - Time of day as HH:MM
+ * @property {string} [timeZone] - IANA time zone; defaults to the browser's
+ */
+
+/**
+ * @typedef {Object} RuleAction
+ * @property {string} type - One of RULE_ACTION_TYPES
+ * @property {string|number} [value] - Tag, group name, session name or window id
+ * @property {string} [color] - Group color
+ * @property {number} [minutes] - Inactivity before a discard action applies
  */
 
 /**
  * @typedef {Object} DeclarativeRule
- * @property {number} id
- * @property {number} priority
+ * @property {number|string} id - Owner's id; mapped to a dynamic rule id by toDynamicRuleId
+ * @property {number} [priority]
  * @property {Object} condition
  * @property {string} condition.urlFilter
  * @property {string[]} condition.resourceTypes
  * @property {string[]} [condition.domains]
- * @property {Object} action
+ * @property {Object} action - declarativeNetRequest RuleAction
+ */
+
+/**
+ * @typedef {Object} SuspendedTab
+ * @property {number} tabId - Id of the tab; archived tabs keep the id they had when closed
+ * @property {string} strategy - One of SUSPENSION_STRATEGIES
+ * @property {string} url
+ * @property {string} [title]
+ * @property {string} [favIconUrl]
+ * @property {number} windowId
+ * @property {number} index
+ * @property {boolean} [pinned]
+ * @property {number} suspendedAt
+ * @property {string} [bookmarkId] - Bookmark holding an archived tab
+ * @property {string} [screenshotId] - Screenshot taken before a placeholder replaced the page
+ */
+
+/**
+ * @typedef {Object} SuspensionExemption
+ * @property {number} tabId
+ * @property {string} reason - One of SUSPENSION_EXEMPTIONS
+ * @property {string} [title]
+ * @property {string} [url]
+ * @property {number} checkedAt - When suspension was last refused
  */
 
 /**
  * @typedef {Object} TabActivity
- * @property {number} lastAccessed
+ * @property {number} lastAccessed - Last time the user had the tab in front of them
+ * @property {number} [lastFocused] - Last time the tab came to the foreground
+ * @property {number} [foregroundTime] - Total milliseconds spent in the foreground
+ * @property {number} [awayMark] - `away.total` when lastAccessed was recorded
  * @property {keyof typeof TAB_STATES} suspensionStatus
  * @property {string[]} [tags]
  */
 
+/**
+ * @typedef {Object} ForegroundTab
+ * @property {number} tabId - Active tab of the focused window
+ * @property {number} windowId
+ * @property {number} since - When it came to the foreground
+ */
+
+/**
+ * @typedef {Object} TabReminder - `reminder` entry of a tab's metadata
+ * @property {number} [remindedAt] - When the last notification was raised
+ * @property {string} [decision] - One of REMINDER_DECISIONS
+ * @property {number} [decidedAt]
+ * @property {number} [snoozedUntil] - No reminders before this time
+ */
+
+/**
+ * @typedef {Object} SnoozeTrigger
+ * @property {string} type - One of SNOOZE_TRIGGERS
+ * @property {number} [at] - Wake-up time of a time trigger
+ */
+
+/**
+ * @typedef {Object} SnoozedTab - Entry of the `snoozed` slice, keyed by id
+ * @property {string} id
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [favIconUrl]
+ * @property {boolean} pinned
+ * @property {{title: string, color: string}|null} group - Tab group the tab was in
+ * @property {string[]} tags
+ * @property {SnoozeTrigger} trigger
+ * @property {number} snoozedAt
+ */
+
+/**
+ * @typedef {Object} TabLimitStatus
+ * @property {number} globalLimit
+ * @property {number|null} windowLimit - Null when windows are not limited
+ * @property {string} policy - One of TAB_LIMIT_POLICIES
+ * @property {number} total - Open tabs in all windows
+ * @property {number} inWindow - Open tabs in the window checked
+ * @property {string|null} exceeded - 'window', 'global' or null
+ */
+
+/**
+ * @typedef {Object} TabCandidate - A tab ranked for closing by the tab ranker
+ * @property {Object} tab
+ * @property {number} score - Higher means a better candidate
+ * @property {number} idleTime - Milliseconds since the tab was last used
+ * @property {number} foregroundTime - Milliseconds the tab has spent in front of the user
+ * @property {string|null} exemption - One of SUSPENSION_EXEMPTIONS
+ * @property {string[]} reasons - Why the tab ranks where it does, for display
+ */
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} name
+ * @property {number} periodMinutes
+ * @property {number|null} lastRun - When the last run started
+ * @property {number|null} lastDuration - Milliseconds the last run took
+ * @property {string|null} lastError - Error of the last run, null when it succeeded
+ * @property {number} nextRun
+ * @property {number} runs - Completed runs
+ * @property {boolean} running
+ */
+
+/**
+ * @typedef {Object} AwayClock
+ * @property {number} total - Milliseconds the system has spent idle or locked
+ * @property {number|null} since - Start of the current idle period, null while the user is present
+ */
+
 /**
  * @typedef {Object} AppState
  * @property {Tab[]} tabs
@@ -58,7 +241,7 @@ import deepEqual from 'fast-deep-equal'; // Changed import source from 'reselect
  * @property {(Rule|DeclarativeRule)[]} rules
  * @property {Record<number, Tab>} archivedTabs
  * @property {Record<number, TabActivity>} tabActivity
- * @property {Record<string, Session>} savedSessions
+ * @property {Record<string, SavedSession>} savedSessions
  * @property {boolean} isTaggingPromptActive
  * @property {DeclarativeRule[]} declarativeRules
  * @property {Object} serviceWorker
@@ -160,6 +343,12 @@ export const ACTION_TYPES = Object.freeze({
     SAVE_SESSION: 'SAVE_SESSION',
     RESTORE_SESSION: 'RESTORE_SESSION',
     DELETE_SESSION: 'DELETE_SESSION',
+    GET_SESSIONS: 'GET_SESSIONS',
+    DIFF_SESSIONS: 'DIFF_SESSIONS',
+    MERGE_SESSIONS: 'MERGE_SESSIONS',
+    EXPORT_SESSIONS: 'EXPORT_SESSIONS',
+    PREVIEW_SESSION_IMPORT: 'PREVIEW_SESSION_IMPORT',
+    IMPORT_SESSIONS: 'IMPORT_SESSIONS',
   },
   RULES: {
     UPDATE_RULES: 'UPDATE_RULES',
@@ -215,6 +404,7 @@ export const CONFIG = Object.freeze({
     SYNC: 10000,
     CLEANUP: 300000,
     RULE_VALIDATION: 60000,
+    RULE_EVALUATION_DEBOUNCE: 750, // Navigation and title events arrive in bursts
     CONNECTION: 5000,
     MESSAGE: 3000,
     BATCH: 30000,
@@ -341,7 +531,33 @@ export const TAB_OPERATIONS = Object.freeze({
   CHECK_LIMIT: 'CHECK_LIMIT',
   ENFORCE_LIMIT: 'ENFORCE_LIMIT',
   SUSPEND_INACTIVE: 'SUSPEND_INACTIVE',
-  SUSPEND: 'SUSPEND'
+  SUSPEND: 'SUSPEND',
+  UNSUSPEND: 'UNSUSPEND',
+  UNSUSPEND_ALL: 'UNSUSPEND_ALL',
+  REPORT_FORM_STATE: 'REPORT_FORM_STATE',
+  GET_SCROLL_POSITION: 'GET_SCROLL_POSITION',
+  SET_SCROLL_POSITION: 'SET_SCROLL_POSITION',
+  GROUP_BY_DOMAIN: 'GROUP_BY_DOMAIN',
+  APPLY_RULES: 'APPLY_RULES',
+  PREVIEW_RULES: 'PREVIEW_RULES',
+  EXPORT_RULES: 'EXPORT_RULES',
+  IMPORT_RULES: 'IMPORT_RULES',
+  SYNC_DECLARATIVE_RULES: 'SYNC_DECLARATIVE_RULES',
+  START_FOCUS: 'START_FOCUS',
+  STOP_FOCUS: 'STOP_FOCUS',
+  UPDATE_FOCUS_SETTINGS: 'UPDATE_FOCUS_SETTINGS',
+  GET_FOCUS_STATUS: 'GET_FOCUS_STATUS',
+  GET_JOB_STATUS: 'GET_JOB_STATUS',
+  RUN_JOB: 'RUN_JOB',
+  UPDATE_JOB_PERIOD: 'UPDATE_JOB_PERIOD',
+  REMINDER_DECISION: 'REMINDER_DECISION',
+  SNOOZE_TAB: 'SNOOZE_TAB',
+  UPDATE_SNOOZE: 'UPDATE_SNOOZE',
+  WAKE_SNOOZED: 'WAKE_SNOOZED',
+  CANCEL_SNOOZE: 'CANCEL_SNOOZE',
+  GET_TAB_LIMIT_STATUS: 'GET_TAB_LIMIT_STATUS',
+  GET_CLOSE_CANDIDATES: 'GET_CLOSE_CANDIDATES',
+  RESOLVE_TAB_LIMIT: 'RESOLVE_TAB_LIMIT'
 });
 
 export const INACTIVITY_THRESHOLDS = {
@@ -357,7 +573,151 @@ export const TAG_TYPES = Object.freeze({
 
 export const RULE_TYPES = Object.freeze({
   URL_PATTERN: 'urlPattern',
-  TITLE_PATTERN: 'titlePattern'
+  TITLE_PATTERN: 'titlePattern',
+  URL_GLOB: 'urlGlob',
+  URL_REGEX: 'urlRegex',
+  TITLE_REGEX: 'titleRegex',
+  TAG: 'tag'
+});
+
+// Condition fields and the value kind each one compares against
+export const CONDITION_FIELDS = Object.freeze({
+  host: 'string',
+  path: 'string',
+  query: 'query',
+  url: 'string',
+  title: 'string',
+  tag: 'tag',
+  pinned: 'boolean',
+  audible: 'boolean',
+  age: 'number', // Minutes since the tab was last accessed
+  schedule: 'schedule' // `{ days, start, end, timeZone? }`; windows ending before they start span midnight
+});
+
+export const CONDITION_OPERATORS = Object.freeze({
+  string: ['equals', 'contains', 'startsWith', 'endsWith', 'matches', 'glob'],
+  query: ['equals', 'contains', 'startsWith', 'endsWith', 'matches', 'glob', 'exists'],
+  tag: ['has'],
+  boolean: ['is'],
+  number: ['gt', 'lt'],
+  schedule: ['within']
+});
+
+export const RULE_ACTION_TYPES = Object.freeze({
+  TAG: 'tag',
+  GROUP: 'group',
+  PIN: 'pin',
+  MUTE: 'mute',
+  DISCARD: 'discard', // Discards once the tab has been inactive for `minutes`
+  BOOKMARK_CLOSE: 'bookmarkAndClose',
+  MOVE_TO_WINDOW: 'moveToWindow', // `value` is a window id or 'new'
+  NEVER_SUSPEND: 'neverSuspend',
+  // Scheduled rules only: park matching tabs in the named session, or reopen it
+  SAVE_SESSION: 'saveToSession',
+  RESTORE_SESSION: 'restoreSession'
+});
+
+export const SUSPENSION_STRATEGIES = Object.freeze({
+  DISCARD: 'discard', // Native tabs.discard; the browser reloads the tab when it is focused
+  PLACEHOLDER: 'placeholder', // Navigates to a lightweight extension page holding the original URL
+  ARCHIVE: 'archive' // Bookmarks and closes the tab
+});
+
+export const SUSPENSION_CONFIG = Object.freeze({
+  DEFAULT_STRATEGY: 'discard',
+  PLACEHOLDER_PAGE: 'suspended/suspended.html',
+  // Screenshots live in storage.local under the prefix; the index keeps the newest MAX_SCREENSHOTS
+  SCREENSHOT_PREFIX: 'screenshot:',
+  SCREENSHOT_INDEX: 'screenshots',
+  MAX_SCREENSHOTS: 50,
+  SCREENSHOT_QUALITY: 50,
+  // A placeholder loaded in the foreground this long after suspension was reopened, so it restores at once
+  RESTORE_GRACE_PERIOD: 5000,
+  // Tabs carrying this tag are never suspended
+  KEEP_TAG: 'keep'
+});
+
+// Why a tab was kept awake, in the order they are checked
+export const SUSPENSION_EXEMPTIONS = Object.freeze({
+  ACTIVE: 'active',
+  PINNED: 'pinned',
+  AUDIBLE: 'audible',
+  MEDIA_CAPTURE: 'mediaCapture',
+  UNSAVED_FORM: 'unsavedForm',
+  NEVER_SUSPEND_DOMAIN: 'neverSuspendDomain',
+  KEEP_TAG: 'keepTag',
+  NEVER_SUSPEND_RULE: 'neverSuspendRule'
+});
+
+export const SUSPENSION_EXEMPTION_LABELS = Object.freeze({
+  [SUSPENSION_EXEMPTIONS.ACTIVE]: 'Showing in its window',
+  [SUSPENSION_EXEMPTIONS.PINNED]: 'Pinned',
+  [SUSPENSION_EXEMPTIONS.AUDIBLE]: 'Playing audio',
+  [SUSPENSION_EXEMPTIONS.MEDIA_CAPTURE]: 'Using camera, microphone or screen',
+  [SUSPENSION_EXEMPTIONS.UNSAVED_FORM]: 'Unsaved form input',
+  [SUSPENSION_EXEMPTIONS.NEVER_SUSPEND_DOMAIN]: 'Never-suspend site',
+  [SUSPENSION_EXEMPTIONS.KEEP_TAG]: 'Tagged "keep"',
+  [SUSPENSION_EXEMPTIONS.NEVER_SUSPEND_RULE]: 'Kept by a rule'
+});
+
+export const RULE_SCHEDULE_CONFIG = Object.freeze({
+  // Alarm names are the prefix followed by the rule id
+  ALARM_PREFIX: 'rule:'
+});
+
+export const JOB_CONFIG = Object.freeze({
+  // Alarm names are the prefix followed by the job name
+  ALARM_PREFIX: 'job:',
+  // storage.local key holding the bookkeeping of every job
+  STORAGE_KEY: 'jobs',
+  // Chrome does not fire alarms more often than this
+  MIN_PERIOD_MINUTES: 1,
+  MAX_PERIOD_MINUTES: 1440,
+  JOBS: {
+    INACTIVITY: 'inactivity',
+    TAB_LIMITS: 'tabLimits',
+    REMINDERS: 'reminders',
+    SNAPSHOTS: 'snapshots'
+  }
+});
+
+export const REMINDER_CONFIG = Object.freeze({
+  // Notification ids are the prefix followed by the tab id
+  NOTIFICATION_PREFIX: 'reminder:',
+  PAGE: 'reminder/reminder.html',
+  ICON: 'icons/icon48.png',
+  SNOOZE_MINUTES: 1440,
+  // Oldest dormant tabs first; the rest wait for the next run
+  MAX_PER_RUN: 3
+});
+
+export const REMINDER_DECISIONS = Object.freeze({
+  KEEP: 'keep',
+  SNOOZE: 'snooze',
+  BOOKMARK: 'bookmark', // Close & bookmark
+  TAG: 'tag'
+});
+
+export const SNOOZE_CONFIG = Object.freeze({
+  // Alarm names are the prefix followed by the entry id
+  ALARM_PREFIX: 'snooze:',
+  LATER_TODAY_HOURS: 3,
+  // Local hour tomorrow-morning and next-week snoozes wake up at
+  MORNING_HOUR: 9,
+  // Next week starts on Monday
+  WEEK_START_DAY: 1
+});
+
+export const SNOOZE_TRIGGERS = Object.freeze({
+  TIME: 'time',
+  STARTUP: 'startup', // Next browser start
+  WINDOW: 'window' // Next new browser window
+});
+
+export const SNOOZE_PRESETS = Object.freeze({
+  LATER_TODAY: 'laterToday',
+  TOMORROW: 'tomorrow',
+  NEXT_WEEK: 'nextWeek'
 });
 
 export const TAG_OPERATIONS = Object.freeze({
@@ -381,6 +741,69 @@ export const BOOKMARK_CONFIG = Object.freeze({
   DEFAULT_FOLDER_ID: null // Will be set during initialization
 });
 
+export const DNR_CONFIG = Object.freeze({
+  // Dynamic rule ids are 32-bit integers
+  MAX_RULE_ID: 2147483647,
+  // Used when the browser does not expose MAX_NUMBER_OF_DYNAMIC_RULES
+  DEFAULT_MAX_DYNAMIC_RULES: 5000,
+  DEFAULT_RESOURCE_TYPES: ['main_frame']
+});
+
+export const ACTIVITY_CONFIG = Object.freeze({
+  // Seconds without input before idle.onStateChanged reports the user as away
+  IDLE_DETECTION_INTERVAL: 60,
+  IDLE_SUSPEND_ALARM: 'idle:suspend',
+  DEFAULT_IDLE_SUSPEND_MINUTES: 30
+});
+
+export const FOCUS_CONFIG = Object.freeze({
+  // Prefix of the declarative rule ids owned by the focus manager
+  RULE_OWNER: 'focus',
+  ALARMS: {
+    START: 'focus:start',
+    END: 'focus:end'
+  },
+  // Allow rules outrank block/redirect rules so the allowlist always wins
+  PRIORITIES: {
+    BLOCK: 1,
+    ALLOW: 2
+  },
+  REASONS: {
+    BLOCKLIST: 'blocklist',
+    FOCUS: 'focus'
+  },
+  BLOCKED_PAGE: 'blocked/blocked.html',
+  DEFAULT_MINUTES: 25
+});
+
+// Shareable rule pack file. Version 1 is the bare `[{ id, condition, action }]` array stored before packs existed.
+export const RULE_PACK = Object.freeze({
+  FORMAT: 'tabcurator-rules',
+  VERSION: 2,
+  IMPORT_MODES: {
+    REPLACE: 'replace',
+    MERGE: 'merge', // Incoming rules replace stored rules with the same id
+    APPEND: 'append' // Incoming rules are added with fresh ids
+  }
+});
+
+export const GROUPING_CONFIG = Object.freeze({
+  MIN_TABS_PER_GROUP: 2,
+  // Colors accepted by tabGroups.update()
+  COLORS: ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'],
+  // Public suffixes spanning more than one label; everything else is treated as a single-label TLD
+  MULTI_PART_SUFFIXES: [
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au',
+    'co.jp', 'co.nz', 'co.in', 'com.br', 'com.cn', 'com.mx',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'blogspot.com', 'appspot.com',
+    'vercel.app', 'netlify.app', 'pages.dev'
+  ],
+  SOURCES: {
+    DOMAIN: 'domain',
+    CATEGORY: 'category'
+  }
+});
+
 export const TAB_LIMITS = Object.freeze({
   MIN: 1,
   MAX: 1000,
@@ -388,6 +811,80 @@ export const TAB_LIMITS = Object.freeze({
   WARNING_THRESHOLD: 0.9 // 90% of max tabs
 });
 
+// What happens when a new tab goes over the global or per-window limit
+export const TAB_LIMIT_POLICIES = Object.freeze({
+  BLOCK: 'block', // Close the new tab
+  ARCHIVE_LRU: 'archiveLru', // Archive the least recently used tab to bookmarks
+  PROMPT: 'prompt' // Ask which tab to tag or close
+});
+
+// Weights of the tab ranker; a tab's score starts at the minutes since it was last used
+export const RANKING_CONFIG = Object.freeze({
+  // Foreground time that halves a tab's score; much-used tabs stay open longer
+  FOREGROUND_HALF_MINUTES: 30,
+  GROUPED_FACTOR: 0.75,
+  PINNED_FACTOR: 0.1,
+  EXEMPT_FACTOR: 0.1,
+  DEFAULT_CANDIDATES: 5
+});
+
+export const SESSION_CONFIG = Object.freeze({
+  // Pages that do not answer in time (frozen, still loading) are saved without a scroll position
+  SCROLL_TIMEOUT_MS: 500,
+  MAX_NAME_LENGTH: 100
+});
+
+export const SNAPSHOT_CONFIG = Object.freeze({
+  // Default period of the snapshots job; it can be changed with the other jobs
+  PERIOD_MINUTES: 10,
+  // The newest snapshot of each of the last so many hours and days is kept
+  HOURLY_KEEP: 24,
+  DAILY_KEEP: 7,
+  // When the last window closes, only a snapshot updated this recently is labelled as the shutdown one
+  SHUTDOWN_MAX_AGE_MINUTES: 15
+});
+
+export const SNAPSHOT_TRIGGERS = Object.freeze({
+  SCHEDULED: 'scheduled',
+  STARTUP: 'startup',
+  SHUTDOWN: 'shutdown'
+});
+
+export const SESSION_RESTORE_MODES = Object.freeze({
+  // Every saved window again, with its bounds and state
+  WINDOWS: 'windows',
+  NEW_WINDOW: 'newWindow',
+  CURRENT_WINDOW: 'currentWindow'
+});
+
+export const SESSION_PACK = Object.freeze({
+  FORMAT: 'tabcurator-sessions',
+  VERSION: 1,
+  FORMATS: {
+    JSON: 'json',
+    ONETAB: 'onetab', // `url | title` lines, one block per session
+    HTML: 'html', // Netscape bookmark file, one folder per session and subfolders per window
+    URLS: 'urls' // One URL per line, one block per window
+  },
+  FILES: {
+    json: { extension: 'json', mimeType: 'application/json' },
+    onetab: { extension: 'txt', mimeType: 'text/plain' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    urls: { extension: 'txt', mimeType: 'text/plain' }
+  },
+  // Pages a restored tab may open; anything else in an imported file is skipped
+  ALLOWED_PROTOCOLS: ['http:', 'https:', 'ftp:'],
+  // Name of imported sessions when the file has none, numbered from the second one
+  DEFAULT_NAME: 'Imported'
+});
+
+export const TAB_LIMIT_CONFIG = Object.freeze({
+  DEFAULT_POLICY: 'prompt',
+  PROMPT_PAGE: 'tablimit/tablimit.html',
+  NOTIFICATION_ID: 'tab-limit',
+  ICON: 'icons/icon48.png'
+});
+
 // Set the TABS.LIMITS in CONFIG now that TAB_LIMITS is defined
 CONFIG.TABS.LIMITS = TAB_LIMITS;
 
@@ -408,6 +905,7 @@ export const selectors = {
   selectTabActivity: state => selectTabManagementState(state).activity,
   selectTabMetadata: state => selectTabManagementState(state).metadata,
   selectSuspendedTabs: state => selectTabManagementState(state).suspended,
+  selectTabGroups: state => selectTabManagementState(state).groups || {},
   selectOldestTab: state => selectTabManagementState(state).oldestTab,
 
   // Sessions
@@ -424,6 +922,10 @@ export const selectors = {
     settings => settings.maxTabs
   ),
 
+  // Rules
+  selectCategories: state => state.categories || {},
+  selectDeclarativeRules: state => state.declarativeRules || [],
+
   // Other
   selectPermissions: state => state.permissions,
   selectArchivedTabs: state => state.archivedTabs,
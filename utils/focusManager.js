@@ -0,0 +1,285 @@
+// utils/focusManager.js
+/**
+ * @fileoverview Focus Manager Module - Site blocklist and focus mode sessions enforced
+ * through dynamic declarativeNetRequest rules
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { FOCUS_CONFIG } from './constants.js';
+import { connection } from './connectionManager.js';
+import { syncDynamicRules } from './tabManager.js';
+import {
+  getNextScheduledRun,
+  getZonedTime,
+  isWithinSchedule,
+  toScheduleMinutes,
+  validateTimeWindow
+} from './schedule.js';
+
+/**
+ * Normalizes a user-entered site (`reddit.com`, `https://www.reddit.com/r/x`) to a hostname.
+ * @param {string} entry - The site as typed.
+ * @returns {string|null} Hostname without `www.`, or null when it is not a site.
+ */
+export function normalizeSite(entry) {
+  if (typeof entry !== 'string' || !entry.trim()) return null;
+
+  let hostname;
+  try {
+    const value = entry.trim().toLowerCase();
+    hostname = new URL(value.includes('://') ? value : `http://${value}`).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  hostname = hostname.replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(hostname) ? hostname : null;
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Collects errors for focus schedules (`{ id, days: [0-6], start: 'HH:MM', end: 'HH:MM', timeZone? }`,
+ * local time unless a time zone is given, Sunday = 0). Windows cannot span midnight.
+ * @param {Array<Object>} schedules - The schedules to validate.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateSchedules(schedules) {
+  if (!Array.isArray(schedules)) {
+    return [{ path: 'schedules', message: 'must be an array' }];
+  }
+
+  return schedules.flatMap((schedule, index) =>
+    validateTimeWindow(schedule, `schedules[${index}]`, { spanMidnight: false }));
+}
+
+/**
+ * Finds the schedule window containing `now`.
+ * @param {Array<Object>} schedules - Valid schedules.
+ * @param {number} [now] - Timestamp to test.
+ * @returns {{scheduleId, startsAt: number, endsAt: number}|null} The window ending last, if several overlap.
+ */
+export function getActiveScheduleWindow(schedules, now = Date.now()) {
+  const startOfMinute = Math.floor(now / 60000) * 60000;
+  return schedules
+    .filter(schedule => isWithinSchedule(schedule, now))
+    .map((schedule) => {
+      const { minutes } = getZonedTime(now, schedule.timeZone);
+      return {
+        scheduleId: schedule.id,
+        startsAt: startOfMinute - (minutes - toScheduleMinutes(schedule.start)) * 60000,
+        endsAt: startOfMinute + (toScheduleMinutes(schedule.end) - minutes) * 60000
+      };
+    })
+    .sort((a, b) => b.endsAt - a.endsAt)[0] || null;
+}
+
+/**
+ * Finds the next time a schedule window opens after `now`.
+ * @param {Array<Object>} schedules - Valid schedules.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {number|null} Timestamp of the next window start.
+ */
+export function getNextScheduleStart(schedules, now = Date.now()) {
+  return schedules.reduce((next, schedule) => {
+    const { days, start, timeZone } = schedule;
+    const startsAt = getNextScheduledRun({ days, at: start, timeZone }, now);
+    return next === null || startsAt < next ? startsAt : next;
+  }, null);
+}
+
+/**
+ * Builds the declarative rules for the blocklist, the active focus session and the
+ * allowlist. Blocked main-frame navigations redirect to the blocked page with the
+ * reason and the original URL (always the last query parameter).
+ * @param {Object} focus - Focus state.
+ * @param {string} pageUrl - Absolute URL of the blocked page.
+ * @returns {DeclarativeRule[]}
+ */
+export function buildFocusRules(focus, pageUrl) {
+  const owner = FOCUS_CONFIG.RULE_OWNER;
+  const redirect = (site, reason, query = '') => ({
+    id: `${owner}:${reason}:${site}`,
+    priority: FOCUS_CONFIG.PRIORITIES.BLOCK,
+    condition: {
+      regexFilter: `^https?://([^/?#]*\\.)?${escapeRegExp(site)}([:/?#].*)?$`,
+      resourceTypes: ['main_frame']
+    },
+    action: {
+      type: 'redirect',
+      redirect: { regexSubstitution: `${pageUrl}?reason=${reason}${query}&url=\\0` }
+    }
+  });
+
+  const rules = focus.blocklist.map(site => redirect(site, FOCUS_CONFIG.REASONS.BLOCKLIST));
+  if (focus.session) {
+    rules.push(...focus.focusSites.map(site =>
+      redirect(site, FOCUS_CONFIG.REASONS.FOCUS, `&until=${focus.session.endsAt}`)
+    ));
+  }
+  if (rules.length > 0) {
+    rules.push(...focus.allowlist.map(site => ({
+      id: `${owner}:allow:${site}`,
+      priority: FOCUS_CONFIG.PRIORITIES.ALLOW,
+      condition: { requestDomains: [site], resourceTypes: ['main_frame'] },
+      action: { type: 'allow' }
+    })));
+  }
+  return rules;
+}
+
+export class FocusManager {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+    await this.refresh();
+    logger.info('Focus manager initialized', { time: Date.now() });
+  }
+
+  getFocusState() {
+    return this.stateManager.getState().focus;
+  }
+
+  getStatus() {
+    const focus = this.getFocusState();
+    return { ...focus, active: Boolean(focus.session) };
+  }
+
+  /**
+   * Starts a manual focus session.
+   * @param {Object} [options] - { minutes }
+   * @returns {Promise<Object>} Refresh result with the new status.
+   */
+  async startFocus({ minutes = FOCUS_CONFIG.DEFAULT_MINUTES } = {}) {
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { success: false, error: 'Focus duration must be a positive number of minutes' };
+    }
+    const startedAt = Date.now();
+    await this._startSession({ startedAt, endsAt: startedAt + minutes * 60000, source: 'manual' });
+    return this.refresh();
+  }
+
+  /**
+   * Ends the current focus session. Ending a scheduled session keeps it from
+   * restarting until its window closes.
+   * @returns {Promise<Object>} Refresh result with the new status.
+   */
+  async stopFocus() {
+    const { session } = this.getFocusState();
+    this.stateManager.dispatch(this.stateManager.actions.focus.endFocusSession({
+      dismissedUntil: session?.source === 'schedule' ? session.endsAt : null
+    }));
+    await browser.alarms.clear(FOCUS_CONFIG.ALARMS.END);
+    return this.refresh();
+  }
+
+  /**
+   * Replaces the blocklist, focus sites, allowlist and/or schedules.
+   * @param {Object} settings - Any of { blocklist, focusSites, allowlist, schedules }.
+   * @returns {Promise<Object>} Refresh result, or `{ success: false, errors }`.
+   */
+  async updateSettings(settings = {}) {
+    const errors = [];
+    const update = {};
+
+    for (const key of ['blocklist', 'focusSites', 'allowlist']) {
+      if (settings[key] === undefined) continue;
+      if (!Array.isArray(settings[key])) {
+        errors.push({ path: key, message: 'must be an array' });
+        continue;
+      }
+      const sites = settings[key].map(normalizeSite);
+      sites.forEach((site, index) => {
+        if (!site) errors.push({ path: `${key}[${index}]`, message: `"${settings[key][index]}" is not a site` });
+      });
+      update[key] = [...new Set(sites.filter(Boolean))];
+    }
+
+    if (settings.schedules !== undefined) {
+      errors.push(...validateSchedules(settings.schedules));
+      update.schedules = settings.schedules;
+    }
+
+    if (errors.length > 0) {
+      return { success: false, error: 'Invalid focus settings', errors };
+    }
+
+    this.stateManager.dispatch(this.stateManager.actions.focus.updateFocusSettings(update));
+    return this.refresh();
+  }
+
+  async handleAlarm(alarm) {
+    try {
+      if (alarm.name === FOCUS_CONFIG.ALARMS.END) {
+        await this.stopFocus();
+      } else if (alarm.name === FOCUS_CONFIG.ALARMS.START) {
+        await this.refresh();
+      }
+    } catch (error) {
+      logger.error('Focus alarm failed', { alarm: alarm.name, error: error.message });
+    }
+  }
+
+  /**
+   * Reconciles sessions, alarms and declarative rules with the current time and settings.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, status, failed }` where `failed` lists rules the browser did not install.
+   */
+  async refresh(now = Date.now()) {
+    try {
+      let focus = this.getFocusState();
+
+      if (focus.session && focus.session.endsAt <= now) {
+        this.stateManager.dispatch(this.stateManager.actions.focus.endFocusSession({ dismissedUntil: null }));
+        focus = this.getFocusState();
+      }
+
+      if (!focus.session && !(focus.dismissedUntil > now)) {
+        const window = getActiveScheduleWindow(focus.schedules, now);
+        if (window) {
+          await this._startSession({ startedAt: now, endsAt: window.endsAt, source: 'schedule' });
+          focus = this.getFocusState();
+        }
+      }
+
+      const nextStart = getNextScheduleStart(focus.schedules, now);
+      if (nextStart !== null) {
+        await connection.createAlarm(FOCUS_CONFIG.ALARMS.START, { when: nextStart });
+      } else {
+        await browser.alarms.clear(FOCUS_CONFIG.ALARMS.START);
+      }
+
+      this.stateManager.dispatch(this.stateManager.actions.declarativeRules.replaceOwnedRules({
+        owner: FOCUS_CONFIG.RULE_OWNER,
+        rules: buildFocusRules(focus, browser.runtime.getURL(FOCUS_CONFIG.BLOCKED_PAGE))
+      }));
+      const report = await syncDynamicRules(
+        this.stateManager.selectors.selectDeclarativeRules(this.stateManager.getState())
+      );
+
+      return { success: report.success, status: this.getStatus(), failed: report.failed };
+    } catch (error) {
+      logger.error('Error refreshing focus rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async _startSession(session) {
+    this.stateManager.dispatch(this.stateManager.actions.focus.startFocusSession(session));
+    await connection.createAlarm(FOCUS_CONFIG.ALARMS.END, { when: session.endsAt });
+  }
+}
+
+const focusManager = new FocusManager();
+export { focusManager };
@@ -0,0 +1,201 @@
+// utils/jobScheduler.js
+/**
+ * @fileoverview Job Scheduler Module - Runs named background jobs on alarms, since
+ * MV3 service workers are stopped between events and lose their intervals. Each job's
+ * last and next run are kept in storage.local, so a worker that wakes up late runs
+ * overdue jobs once it is up.
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { JOB_CONFIG } from './constants.js';
+import { connection } from './connectionManager.js';
+
+/**
+ * @param {string} name - Job name.
+ * @returns {string} Name of the job's alarm.
+ */
+export const getJobAlarmName = name => `${JOB_CONFIG.ALARM_PREFIX}${name}`;
+
+/**
+ * @param {*} minutes - Requested period.
+ * @returns {string|null} Why the period is invalid, or null.
+ */
+export function validateJobPeriod(minutes) {
+  if (!Number.isInteger(minutes)) {
+    return 'Period must be a whole number of minutes';
+  }
+  if (minutes < JOB_CONFIG.MIN_PERIOD_MINUTES || minutes > JOB_CONFIG.MAX_PERIOD_MINUTES) {
+    return `Period must be between ${JOB_CONFIG.MIN_PERIOD_MINUTES} and ${JOB_CONFIG.MAX_PERIOD_MINUTES} minutes`;
+  }
+  return null;
+}
+
+export class JobScheduler {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+    this.jobs = new Map();
+    this.records = {};
+    this.running = new Set();
+  }
+
+  /**
+   * Adds a job. Jobs are registered before initialize so overdue runs are caught up.
+   * @param {string} name - Job name, also used in its alarm name.
+   * @param {Function} run - Async work of the job.
+   * @param {Object} options - { periodMinutes } used until the period is changed.
+   */
+  register(name, run, { periodMinutes }) {
+    this.jobs.set(name, { run, periodMinutes });
+  }
+
+  async initialize(stateManagerInstance, now = Date.now()) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+
+    const { [JOB_CONFIG.STORAGE_KEY]: stored = {} } = await browser.storage.local.get(JOB_CONFIG.STORAGE_KEY);
+    this.records = {};
+    for (const [name, job] of this.jobs) {
+      this.records[name] = {
+        periodMinutes: job.periodMinutes,
+        lastRun: null,
+        lastDuration: null,
+        lastError: null,
+        runs: 0,
+        nextRun: now,
+        ...stored[name]
+      };
+    }
+    await this.save();
+
+    // Overdue jobs are left to runOverdueJobs, so initialization does not wait on them
+    for (const name of this.jobs.keys()) {
+      if (this.records[name].nextRun > now) {
+        await this.scheduleAlarm(name);
+      }
+    }
+    logger.info('Job scheduler initialized', { jobs: [...this.jobs.keys()] });
+  }
+
+  /**
+   * Runs the jobs that came due while the worker was stopped, one after another.
+   * Each run schedules the job's next alarm.
+   * @param {number} [now] - Reference timestamp.
+   */
+  async runOverdueJobs(now = Date.now()) {
+    for (const name of this.jobs.keys()) {
+      if (this.records[name]?.nextRun <= now) {
+        await this.runJob(name, now);
+      }
+    }
+  }
+
+  async save() {
+    await browser.storage.local.set({ [JOB_CONFIG.STORAGE_KEY]: this.records });
+  }
+
+  async scheduleAlarm(name) {
+    await connection.createAlarm(getJobAlarmName(name), { when: this.records[name].nextRun });
+  }
+
+  /**
+   * Runs a job now and schedules its next run one period later. A job that is
+   * already running is not started twice.
+   * @param {string} name - Job name.
+   * @param {number} [now] - Start time of the run.
+   * @returns {Promise<Object>} `{ success, error?, jobs }` with the status of every job.
+   */
+  async runJob(name, now = Date.now()) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return { success: false, error: `Unknown job: ${name}`, jobs: this.getStatus() };
+    }
+    if (this.running.has(name)) {
+      return { success: false, error: `Job ${name} is already running`, jobs: this.getStatus() };
+    }
+
+    this.running.add(name);
+    const startedAt = Date.now();
+    let lastError = null;
+    try {
+      await job.run();
+    } catch (error) {
+      lastError = error.message;
+      logger.error('Background job failed', { job: name, error: error.message });
+    } finally {
+      this.running.delete(name);
+    }
+
+    const record = this.records[name];
+    this.records[name] = {
+      ...record,
+      lastRun: now,
+      lastDuration: Date.now() - startedAt,
+      lastError,
+      runs: record.runs + 1,
+      nextRun: now + record.periodMinutes * 60000
+    };
+    await this.save();
+    await this.scheduleAlarm(name);
+
+    return lastError
+      ? { success: false, error: lastError, jobs: this.getStatus() }
+      : { success: true, jobs: this.getStatus() };
+  }
+
+  /**
+   * Changes how often a job runs. The next run moves to one new period after the last run.
+   * @param {string} name - Job name.
+   * @param {number} periodMinutes - New period.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, error?, jobs }`.
+   */
+  async updatePeriod(name, periodMinutes, now = Date.now()) {
+    const record = this.records[name];
+    if (!record) {
+      return { success: false, error: `Unknown job: ${name}`, jobs: this.getStatus() };
+    }
+    const error = validateJobPeriod(periodMinutes);
+    if (error) {
+      return { success: false, error, jobs: this.getStatus() };
+    }
+
+    this.records[name] = {
+      ...record,
+      periodMinutes,
+      nextRun: Math.max(now, (record.lastRun ?? now) + periodMinutes * 60000)
+    };
+    await this.save();
+    await this.scheduleAlarm(name);
+    return { success: true, jobs: this.getStatus() };
+  }
+
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(JOB_CONFIG.ALARM_PREFIX)) return;
+
+    const name = alarm.name.slice(JOB_CONFIG.ALARM_PREFIX.length);
+    if (!this.jobs.has(name)) {
+      await browser.alarms.clear(alarm.name);
+      return;
+    }
+    await this.runJob(name);
+  }
+
+  /**
+   * @returns {JobStatus[]} Bookkeeping of every registered job.
+   */
+  getStatus() {
+    return [...this.jobs.keys()]
+      .filter(name => this.records[name])
+      .map(name => ({ name, ...this.records[name], running: this.running.has(name) }));
+  }
+}
+
+const jobScheduler = new JobScheduler();
+export { jobScheduler };
@@ -0,0 +1,40 @@
+// utils/placeholder.js
+/**
+ * @fileoverview Query string of the suspended-tab placeholder page, shared by the
+ * background and the page. The URL alone must be enough to restore the tab, since
+ * it is all that survives a browser restart or a session restore.
+ */
+
+/**
+ * @param {SuspendedTab} entry - The suspension record.
+ * @returns {string} Query string without the leading `?`.
+ */
+export function buildPlaceholderQuery(entry) {
+  const params = new URLSearchParams({
+    url: entry.url,
+    title: entry.title || '',
+    suspendedAt: String(entry.suspendedAt)
+  });
+  if (entry.favIconUrl) {
+    params.set('favIconUrl', entry.favIconUrl);
+  }
+  if (entry.screenshotId) {
+    params.set('screenshot', entry.screenshotId);
+  }
+  return params.toString();
+}
+
+/**
+ * @param {string} search - Query string of a placeholder page URL.
+ * @returns {{url: string, title: string, favIconUrl: string, suspendedAt: number|null, screenshotId: string|null}}
+ */
+export function parsePlaceholderQuery(search) {
+  const params = new URLSearchParams(search);
+  return {
+    url: params.get('url') || '',
+    title: params.get('title') || '',
+    favIconUrl: params.get('favIconUrl') || '',
+    suspendedAt: Number(params.get('suspendedAt')) || null,
+    screenshotId: params.get('screenshot')
+  };
+}
@@ -0,0 +1,234 @@
+// utils/reminderManager.js
+/**
+ * @fileoverview Reminder Manager Module - Raises a notification when a tab has gone
+ * unused past the prompt threshold and applies the user's answer: keep it, snooze
+ * the reminder for a day, close and bookmark it, or tag it. Answers are recorded in
+ * the tab's metadata under `reminder`.
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { CONFIG, REMINDER_CONFIG, REMINDER_DECISIONS } from './constants.js';
+import { getLastActivity, getInactiveTime, isPlaceholderUrl, bookmarkAndCloseTab, validateTag } from './tabManager.js';
+
+/**
+ * @param {number} tabId - The tab a reminder is about.
+ * @returns {string} Notification id.
+ */
+export const getReminderNotificationId = tabId => `${REMINDER_CONFIG.NOTIFICATION_PREFIX}${tabId}`;
+
+// Notification buttons, by index; Chrome shows at most two
+const getNotificationButtons = () => [
+  { title: 'Keep', decision: REMINDER_DECISIONS.KEEP },
+  { title: 'Snooze 1 day', decision: REMINDER_DECISIONS.SNOOZE }
+];
+
+/**
+ * Picks the tabs to remind about: unused past the prompt threshold, not snoozed, and
+ * not reminded about or answered since they were last used or their snooze ran out.
+ * Oldest first.
+ * @param {Array<Object>} tabs - Open tabs.
+ * @param {Object} tabManagement - The tabManagement state.
+ * @param {number} [now] - Reference timestamp.
+ * @param {Object} [options] - { pauseWhenIdle, limit }
+ * @returns {Array<{tab: Object, inactiveTime: number}>}
+ */
+export function getDueReminders(tabs, tabManagement, now = Date.now(), {
+  pauseWhenIdle = true,
+  limit = REMINDER_CONFIG.MAX_PER_RUN
+} = {}) {
+  return tabs
+    .filter(tab => !tab.active && !tab.pinned)
+    .map(tab => ({ tab, inactiveTime: getInactiveTime(tab, tabManagement, now, { pauseWhenIdle }) }))
+    .filter(({ tab, inactiveTime }) => {
+      if (inactiveTime < CONFIG.INACTIVITY_THRESHOLDS.PROMPT) return false;
+
+      const reminder = tabManagement.metadata?.[tab.id]?.reminder;
+      if (!reminder) return true;
+      if (reminder.snoozedUntil > now) return false;
+      // Due again once the tab has been used, or its snooze has run out, since the last reminder
+      const answeredAt = Math.max(reminder.remindedAt ?? -Infinity, reminder.decidedAt ?? -Infinity);
+      return answeredAt < Math.max(getLastActivity(tab, tabManagement, now), reminder.snoozedUntil ?? -Infinity);
+    })
+    .sort((a, b) => b.inactiveTime - a.inactiveTime)
+    .slice(0, limit);
+}
+
+export class ReminderManager {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+    logger.info('Reminder manager initialized', { time: Date.now() });
+  }
+
+  updateReminder(tabId, changes) {
+    const current = this.stateManager.getState().tabManagement?.metadata?.[tabId]?.reminder;
+    this.stateManager.dispatch(this.stateManager.actions.tabManagement.updateMetadata({
+      tabId,
+      metadata: { reminder: { ...current, ...changes } }
+    }));
+  }
+
+  /**
+   * Raises reminders for the tabs that are due. Run by the reminders job.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<{reminded: number[]}>} Ids of the tabs reminded about.
+   */
+  async checkReminders(now = Date.now()) {
+    if (!browser.notifications) return { reminded: [] };
+
+    const { remindersEnabled, pauseInactivityWhenIdle } =
+      await browser.storage.sync.get(['remindersEnabled', 'pauseInactivityWhenIdle']);
+    if (remindersEnabled === false) return { reminded: [] };
+
+    const tabs = await browser.tabs.query({});
+    const due = getDueReminders(tabs, this.stateManager.getState().tabManagement || {}, now, {
+      pauseWhenIdle: pauseInactivityWhenIdle !== false
+    });
+
+    const reminded = [];
+    for (const { tab, inactiveTime } of due) {
+      try {
+        await this.notify(tab, inactiveTime);
+        this.updateReminder(tab.id, { remindedAt: now });
+        reminded.push(tab.id);
+      } catch (error) {
+        logger.error('Could not raise reminder', { tabId: tab.id, error: error.message });
+      }
+    }
+    return { reminded };
+  }
+
+  async notify(tab, inactiveTime) {
+    const minutes = Math.round(inactiveTime / 60000);
+    const options = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL(REMINDER_CONFIG.ICON),
+      title: `Still need "${tab.title || tab.url}"?`,
+      message: `${isPlaceholderUrl(tab.url) ? 'Suspended and unused' : 'Unused'} for ${
+        minutes >= 120 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`
+      }. Click for more options.`
+    };
+
+    try {
+      await browser.notifications.create(getReminderNotificationId(tab.id), {
+        ...options,
+        buttons: getNotificationButtons().map(({ title }) => ({ title }))
+      });
+    } catch (error) {
+      // Firefox rejects notification buttons; the reminder page offers every option
+      await browser.notifications.create(getReminderNotificationId(tab.id), options);
+    }
+  }
+
+  /**
+   * @param {string} notificationId - Id of a notification.
+   * @returns {number|null} The tab a reminder is about, or null for other notifications.
+   */
+  getReminderTabId(notificationId) {
+    if (!notificationId?.startsWith(REMINDER_CONFIG.NOTIFICATION_PREFIX)) return null;
+    const tabId = Number(notificationId.slice(REMINDER_CONFIG.NOTIFICATION_PREFIX.length));
+    return Number.isInteger(tabId) ? tabId : null;
+  }
+
+  async handleButtonClicked(notificationId, buttonIndex) {
+    const tabId = this.getReminderTabId(notificationId);
+    const button = getNotificationButtons()[buttonIndex];
+    if (tabId === null || !button) return;
+
+    await this.decide(tabId, button.decision);
+  }
+
+  // Opens the reminder page with every option, including those without a button
+  async handleClicked(notificationId) {
+    const tabId = this.getReminderTabId(notificationId);
+    if (tabId === null) return;
+
+    try {
+      const url = `${browser.runtime.getURL(REMINDER_CONFIG.PAGE)}?tabId=${tabId}`;
+      if (browser.windows) {
+        await browser.windows.create({ url, type: 'popup', width: 420, height: 360 });
+      } else {
+        await browser.tabs.create({ url });
+      }
+      await browser.notifications.clear(notificationId);
+    } catch (error) {
+      logger.error('Could not open reminder', { tabId, error: error.message });
+    }
+  }
+
+  /**
+   * Applies the answer to a reminder and records it in the tab's metadata.
+   * @param {number} tabId - The tab the reminder is about.
+   * @param {string} decision - One of REMINDER_DECISIONS.
+   * @param {Object} [options] - { tag } for the tag decision.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, tabId, decision }` or `{ success: false, error }`.
+   */
+  async decide(tabId, decision, { tag } = {}, now = Date.now()) {
+    if (!Object.values(REMINDER_DECISIONS).includes(decision)) {
+      return { success: false, error: `Unknown reminder decision: ${decision}` };
+    }
+    const trimmedTag = typeof tag === 'string' ? tag.trim() : '';
+    if (decision === REMINDER_DECISIONS.TAG && !trimmedTag) {
+      return { success: false, error: 'A tag is required' };
+    }
+    if (decision === REMINDER_DECISIONS.TAG) {
+      try {
+        validateTag(trimmedTag);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    try {
+      const tab = await browser.tabs.get(tabId);
+      const record = { decision, decidedAt: now };
+
+      switch (decision) {
+        case REMINDER_DECISIONS.SNOOZE:
+          this.updateReminder(tabId, { ...record, snoozedUntil: now + REMINDER_CONFIG.SNOOZE_MINUTES * 60000 });
+          break;
+
+        case REMINDER_DECISIONS.TAG: {
+          const tags = this.stateManager.getState().tabManagement?.metadata?.[tabId]?.tags || [];
+          this.stateManager.dispatch(this.stateManager.actions.tabManagement.updateMetadata({
+            tabId,
+            metadata: { tags: tags.includes(trimmedTag) ? tags : [...tags, trimmedTag] }
+          }));
+          this.updateReminder(tabId, record);
+          break;
+        }
+
+        case REMINDER_DECISIONS.BOOKMARK:
+          // Recorded first; the tab's metadata goes away with the tab
+          this.updateReminder(tabId, record);
+          await bookmarkAndCloseTab(tab);
+          break;
+
+        default:
+          this.updateReminder(tabId, record);
+      }
+
+      await browser.notifications?.clear(getReminderNotificationId(tabId));
+      logger.info('Reminder answered', { tabId, decision });
+      return { success: true, tabId, decision };
+    } catch (error) {
+      logger.error('Error applying reminder decision', { tabId, decision, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+const reminderManager = new ReminderManager();
+export { reminderManager };
@@ -0,0 +1,189 @@
+// utils/ruleScheduler.js
+/**
+ * @fileoverview Rule Scheduler Module - Runs rules that carry a `schedule` at set
+ * times of day through browser alarms
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { RULE_ACTION_TYPES, RULE_SCHEDULE_CONFIG } from './constants.js';
+import { connection } from './connectionManager.js';
+import {
+  normalizeActions,
+  matchesRule,
+  executeRuleActions,
+  validateRuleDefinition,
+  getLastActivity
+} from './tabManager.js';
+import { getNextScheduledRun } from './schedule.js';
+import { sessionManager } from './sessionManager.js';
+
+/**
+ * @param {number|string} ruleId - Id of a scheduled rule.
+ * @returns {string} Name of the rule's alarm.
+ */
+export const getRuleAlarmName = ruleId => `${RULE_SCHEDULE_CONFIG.ALARM_PREFIX}${ruleId}`;
+
+const hasCondition = rule =>
+  rule.condition !== undefined && rule.condition !== null && rule.condition !== '';
+
+export class RuleScheduler {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+    await this.syncAlarms();
+    logger.info('Rule scheduler initialized', { time: Date.now() });
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Stored rules with a valid schedule.
+   */
+  async getScheduledRules() {
+    const { rules = [] } = await browser.storage.sync.get('rules');
+    return rules.filter(rule => rule.schedule && validateRuleDefinition(rule).valid);
+  }
+
+  /**
+   * Sets an alarm for the next run of every scheduled rule and clears the alarms
+   * of rules that were deleted or lost their schedule.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, scheduled }` with the alarm times by name.
+   */
+  async syncAlarms(now = Date.now()) {
+    try {
+      const rules = await this.getScheduledRules();
+      const scheduled = Object.fromEntries(
+        rules.map(rule => [getRuleAlarmName(rule.id), getNextScheduledRun(rule.schedule, now)])
+      );
+
+      const alarms = await browser.alarms.getAll();
+      for (const alarm of alarms) {
+        if (alarm.name.startsWith(RULE_SCHEDULE_CONFIG.ALARM_PREFIX) && !(alarm.name in scheduled)) {
+          await browser.alarms.clear(alarm.name);
+        }
+      }
+      for (const [name, when] of Object.entries(scheduled)) {
+        await connection.createAlarm(name, { when });
+      }
+
+      return { success: true, scheduled };
+    } catch (error) {
+      logger.error('Error scheduling rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(RULE_SCHEDULE_CONFIG.ALARM_PREFIX)) return;
+
+    try {
+      const ruleId = alarm.name.slice(RULE_SCHEDULE_CONFIG.ALARM_PREFIX.length);
+      const rule = (await this.getScheduledRules()).find(candidate => String(candidate.id) === ruleId);
+      if (!rule) {
+        await browser.alarms.clear(alarm.name);
+        return;
+      }
+
+      const now = Math.max(Date.now(), alarm.scheduledTime || 0);
+      await this.runRule(rule, now);
+      await connection.createAlarm(alarm.name, { when: getNextScheduledRun(rule.schedule, now) });
+    } catch (error) {
+      logger.error('Scheduled rule failed', { alarm: alarm.name, error: error.message });
+    }
+  }
+
+  /**
+   * Runs a scheduled rule against every open tab. Tabs parked by a save-to-session
+   * action are stored first and closed afterwards; restore actions run once per run.
+   * @param {Object} rule - A valid scheduled rule.
+   * @param {number} [now] - Time of the run, used for schedule and age conditions.
+   * @returns {Promise<Object>} `{ ruleId, matches: [{ tabId, results }], saved, restored }`.
+   */
+  async runRule(rule, now = Date.now()) {
+    const actions = normalizeActions(rule);
+    const tabActions = actions.filter(action => action.type !== RULE_ACTION_TYPES.RESTORE_SESSION);
+    const tabManagement = this.stateManager.getState().tabManagement || {};
+    const sessions = {};
+    const matches = [];
+
+    if (tabActions.length > 0) {
+      const tabs = await browser.tabs.query({});
+      for (const tab of tabs) {
+        const { tags = [], ruleTags = [] } = tabManagement.metadata?.[tab.id] || {};
+        const lastAccessed = getLastActivity(tab, tabManagement, now);
+        if (hasCondition(rule) && !matchesRule(rule, tab, tags, { lastAccessed, now })) continue;
+
+        const context = { tags, ruleTags, lastAccessed, closed: false, sessions };
+        matches.push({ tabId: tab.id, results: await executeRuleActions(tab, tabActions, context) });
+      }
+    }
+
+    const saved = [];
+    for (const [name, tabs] of Object.entries(sessions)) {
+      saved.push(await this.saveSession(name, tabs, now));
+    }
+
+    const restored = [];
+    for (const action of actions) {
+      if (action.type === RULE_ACTION_TYPES.RESTORE_SESSION) {
+        restored.push(await this.restoreSession(action.value));
+      }
+    }
+
+    logger.info('Ran scheduled rule', { ruleId: rule.id, tabs: matches.length });
+    return { ruleId: rule.id, matches, saved, restored };
+  }
+
+  /**
+   * Adds tabs to a named saved session, then closes them. Tabs parked earlier under
+   * the same name and not yet restored are kept. Tabs stay open if saving fails.
+   * @param {string} name - Session name.
+   * @param {Array<Object>} tabs - Tabs to park.
+   * @param {number} [now] - Session timestamp.
+   * @returns {Promise<Object>} `{ session, tabs }` or `{ session, error }`.
+   */
+  async saveSession(name, tabs, now = Date.now()) {
+    const tabIds = tabs.map(tab => tab.id);
+    const saved = await sessionManager.saveSession(name, { tabIds, append: true }, now);
+    if (!saved.success) {
+      return { session: name, error: saved.error };
+    }
+    await browser.tabs.remove(tabIds);
+    return { session: name, tabs: tabIds.length };
+  }
+
+  /**
+   * Reopens a named saved session and deletes it. A session with tabs that failed to
+   * open is kept; restoring it again skips the tabs that are already open.
+   * @param {string} name - Session name.
+   * @returns {Promise<Object>} `{ session, restored, failed }` or `{ session, error }`.
+   */
+  async restoreSession(name) {
+    const session = sessionManager.getSessions().find(candidate => candidate.name === name);
+    if (!session) {
+      return { session: name, restored: 0, failed: 0 };
+    }
+
+    const result = await sessionManager.restoreSession(session.id);
+    if (!result.success) {
+      return { session: name, error: result.error };
+    }
+    if (result.failed === 0) {
+      sessionManager.deleteSession(session.id);
+    }
+    return { session: name, restored: result.restored, failed: result.failed };
+  }
+}
+
+const ruleScheduler = new RuleScheduler();
+export { ruleScheduler };
@@ -0,0 +1,168 @@
+// utils/schedule.js
+/**
+ * @fileoverview Schedule Module - Weekly time windows and run times shared by focus
+ * schedules, schedule conditions and scheduled rules. Times are 'HH:MM' wall-clock
+ * times in an optional IANA time zone (the browser's by default); weekdays count
+ * from Sunday = 0.
+ */
+
+export const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * @param {string} time - A valid 'HH:MM' time.
+ * @returns {number} Minutes since midnight.
+ */
+export const toScheduleMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const zonedFormatters = new Map();
+
+/**
+ * Reads the weekday and time of day of a timestamp in a time zone.
+ * @param {number} timestamp - The instant to read.
+ * @param {string} [timeZone] - IANA time zone; defaults to the browser's.
+ * @returns {{day: number, minutes: number}} Weekday (Sunday = 0) and minutes since midnight.
+ */
+export function getZonedTime(timestamp, timeZone) {
+  const key = timeZone || '';
+  if (!zonedFormatters.has(key)) {
+    zonedFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(
+    zonedFormatters.get(key).formatToParts(timestamp).map(part => [part.type, part.value])
+  );
+  return {
+    day: WEEKDAY_INDEX[parts.weekday],
+    minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+  };
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Collects errors for the parts every schedule has: a non-empty weekday list and an
+ * optional time zone.
+ * @param {Object} schedule - `{ days, timeZone? }`
+ * @param {string} path - Path of the schedule, used in error entries.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateScheduleDays(schedule, path) {
+  const errors = [];
+  if (!Array.isArray(schedule?.days) || schedule.days.length === 0 ||
+      !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push({ path: `${path}.days`, message: 'must list at least one weekday' });
+  }
+  if (schedule?.timeZone !== undefined && schedule.timeZone !== '' && !isValidTimeZone(schedule.timeZone)) {
+    errors.push({ path: `${path}.timeZone`, message: `unknown time zone "${schedule.timeZone}"` });
+  }
+  return errors;
+}
+
+/**
+ * Collects errors for a weekly time window.
+ * @param {Object} window - `{ days, start: 'HH:MM', end: 'HH:MM', timeZone? }`
+ * @param {string} path - Path of the window, used in error entries.
+ * @param {Object} [options] - { spanMidnight }: whether the end may come before the start.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateTimeWindow(window, path, { spanMidnight = true } = {}) {
+  const errors = validateScheduleDays(window, path);
+  for (const key of ['start', 'end']) {
+    if (!SCHEDULE_TIME_PATTERN.test(window?.[key])) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a HH:MM time' });
+    }
+  }
+  if (SCHEDULE_TIME_PATTERN.test(window?.start) && SCHEDULE_TIME_PATTERN.test(window?.end)) {
+    const startsAt = toScheduleMinutes(window.start);
+    const endsAt = toScheduleMinutes(window.end);
+    if (spanMidnight && startsAt === endsAt) {
+      errors.push({ path: `${path}.end`, message: 'must differ from the start time' });
+    } else if (!spanMidnight && endsAt <= startsAt) {
+      errors.push({ path: `${path}.end`, message: 'must be after the start time' });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Collects errors for a run schedule, `{ days, at: 'HH:MM', timeZone? }`.
+ * @param {Object} schedule - The schedule to validate.
+ * @param {string} [path] - Path of the schedule, used in error entries.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateRuleSchedule(schedule, path = 'schedule') {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return [{ path, message: 'must be a schedule object' }];
+  }
+  const errors = validateScheduleDays(schedule, path);
+  if (!SCHEDULE_TIME_PATTERN.test(schedule.at)) {
+    errors.push({ path: `${path}.at`, message: 'must be a HH:MM time' });
+  }
+  return errors;
+}
+
+/**
+ * Tests whether a timestamp falls inside a weekly time window. A window whose end
+ * is before its start spans midnight and belongs to the weekday it starts on.
+ * @param {Object} window - `{ days, start: 'HH:MM', end: 'HH:MM', timeZone? }`
+ * @param {number} now - Timestamp to test.
+ * @returns {boolean}
+ */
+export function isWithinSchedule({ days, start, end, timeZone }, now) {
+  const { day, minutes } = getZonedTime(now, timeZone);
+  const startsAt = toScheduleMinutes(start);
+  const endsAt = toScheduleMinutes(end);
+  if (startsAt < endsAt) {
+    return days.includes(day) && minutes >= startsAt && minutes < endsAt;
+  }
+  return (days.includes(day) && minutes >= startsAt) ||
+    (days.includes((day + 6) % 7) && minutes < endsAt);
+}
+
+/**
+ * Finds the next time a run schedule fires after `now`. Wall-clock times are
+ * resolved in the schedule's time zone, so runs follow daylight saving changes.
+ * @param {Object} schedule - A valid `{ days, at, timeZone? }` schedule.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {number|null} Timestamp of the next run.
+ */
+export function getNextScheduledRun({ days, at, timeZone }, now = Date.now()) {
+  const base = Math.floor(now / 60000) * 60000;
+  const current = getZonedTime(base, timeZone);
+  const target = toScheduleMinutes(at);
+  let next = null;
+
+  for (const day of new Set(days)) {
+    let delta = ((day - current.day + 7) % 7) * MINUTES_PER_DAY + target - current.minutes;
+    if (delta <= 0) delta += MINUTES_PER_WEEK;
+    let when = base + delta * 60000;
+
+    // Offsets change across daylight saving transitions; shift by the wall-clock drift
+    const actual = getZonedTime(when, timeZone);
+    let drift = (actual.day * MINUTES_PER_DAY + actual.minutes) - (day * MINUTES_PER_DAY + target);
+    drift = ((drift % MINUTES_PER_WEEK) + MINUTES_PER_WEEK + MINUTES_PER_WEEK / 2) % MINUTES_PER_WEEK - MINUTES_PER_WEEK / 2;
+    when -= drift * 60000;
+    if (when <= now) when += MINUTES_PER_WEEK * 60000;
+
+    if (next === null || when < next) next = when;
+  }
+  return next;
+}
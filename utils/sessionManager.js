@@ -0,0 +1,1166 @@
+// utils/sessionManager.js
+/**
+ * @fileoverview Session Manager Module - Saves, snapshots and restores whole browser
+ * sessions (windows, groups, tags, scroll positions), and compares, merges, imports
+ * and exports them
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import {
+  SESSION_CONFIG,
+  SESSION_RESTORE_MODES,
+  SNAPSHOT_CONFIG,
+  SNAPSHOT_TRIGGERS,
+  SESSION_PACK,
+  GROUPING_CONFIG,
+  MESSAGE_TYPES,
+  TAB_OPERATIONS
+} from './constants.js';
+import { parsePlaceholderQuery } from './placeholder.js';
+import { isPlaceholderUrl, withoutTabLimit } from './tabManager.js';
+
+/**
+ * The form URLs are compared in: no fragment and no trailing slash.
+ * @param {string} url - A URL.
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+// A suspended tab counts as the page it stands in for
+const getOpenUrl = tab => (isPlaceholderUrl(tab.url)
+  ? parsePlaceholderQuery(new URL(tab.url).search).url
+  : tab.url || tab.pendingUrl || '');
+
+/**
+ * Narrows a session to the chosen tabs.
+ * @param {SavedSession} session - The session.
+ * @param {Array<[number, number]>} [selected] - `[windowIndex, tabIndex]` pairs; all tabs when left out.
+ * @returns {SessionWindow[]} Windows that still have tabs.
+ */
+export function selectSessionTabs(session, selected) {
+  const isSelected = getSelection(selected);
+  return session.windows
+    .map((window, windowIndex) => ({
+      ...window,
+      tabs: window.tabs.filter((tab, tabIndex) => isSelected(windowIndex, tabIndex))
+    }))
+    .filter(window => window.tabs.length > 0);
+}
+
+function getSelection(selected) {
+  if (!selected) return () => true;
+  const keys = new Set(selected.map(([windowIndex, tabIndex]) => `${windowIndex}:${tabIndex}`));
+  return (windowIndex, tabIndex) => keys.has(`${windowIndex}:${tabIndex}`);
+}
+
+// Where each page first appears in a session, by normalized URL
+function indexSessionTabs(session) {
+  const tabs = new Map();
+  session.windows.forEach((window, windowIndex) => window.tabs.forEach((tab, tabIndex) => {
+    const key = normalizeUrl(tab.url);
+    if (!tabs.has(key)) tabs.set(key, { url: tab.url, title: tab.title, at: [windowIndex, tabIndex] });
+  }));
+  return tabs;
+}
+
+// Groups by title, with the pages in each
+function indexSessionGroups(session) {
+  const groups = new Map();
+  for (const window of session.windows) {
+    for (const tab of window.tabs) {
+      if (!tab.group) continue;
+      const title = tab.group.title || '';
+      if (!groups.has(title)) groups.set(title, { ...tab.group, title, urls: new Set() });
+      groups.get(title).urls.add(normalizeUrl(tab.url));
+    }
+  }
+  return groups;
+}
+
+// The keys of the longest common subsequence of two key lists
+function getCommonSequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const common = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) {
+      common.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return common;
+}
+
+const byPosition = ([, a], [, b]) => a.at[0] - b.at[0] || a.at[1] - b.at[1];
+
+/**
+ * Compares two sessions page by page. Windows are matched by their order; within a
+ * window, a tab only counts as moved when it is out of order among the pages both
+ * sessions have there, so one insertion does not move everything after it. A page
+ * open more than once is compared where it first appears.
+ * @param {SavedSession} base - The session compared against, usually the older one.
+ * @param {SavedSession} other - The session compared.
+ * @returns {SessionDiff}
+ */
+export function diffSessions(base, other) {
+  const before = indexSessionTabs(base);
+  const after = indexSessionTabs(other);
+  const diff = { added: [], removed: [], moved: [], unchanged: 0 };
+
+  for (const [key, tab] of after) {
+    if (!before.has(key)) diff.added.push(tab);
+  }
+  for (const [key, tab] of before) {
+    if (!after.has(key)) diff.removed.push(tab);
+  }
+
+  // Pages in both sessions that stayed in the same window, in each session's order
+  const stayed = (tabs, counterpart) => [...tabs]
+    .filter(([key, tab]) => counterpart.get(key)?.at[0] === tab.at[0])
+    .sort(byPosition);
+  const windowKeys = (entries, windowIndex) => entries
+    .filter(([, tab]) => tab.at[0] === windowIndex)
+    .map(([key]) => key);
+  const stayedBefore = stayed(before, after);
+  const stayedAfter = stayed(after, before);
+  const inOrder = new Set();
+  const windowCount = Math.max(base.windows.length, other.windows.length);
+  for (let windowIndex = 0; windowIndex < windowCount; windowIndex++) {
+    getCommonSequence(windowKeys(stayedBefore, windowIndex), windowKeys(stayedAfter, windowIndex))
+      .forEach(key => inOrder.add(key));
+  }
+
+  for (const [key, tab] of [...after].sort(byPosition)) {
+    const previous = before.get(key);
+    if (!previous) continue;
+    if (inOrder.has(key)) {
+      diff.unchanged++;
+    } else {
+      diff.moved.push({ url: tab.url, title: tab.title, from: previous.at, to: tab.at });
+    }
+  }
+
+  const groupsBefore = indexSessionGroups(base);
+  const groupsAfter = indexSessionGroups(other);
+  const describeGroup = ({ title, color, collapsed, urls }) => ({ title, color, collapsed, tabCount: urls.size });
+  diff.groups = {
+    added: [...groupsAfter.values()].filter(group => !groupsBefore.has(group.title)).map(describeGroup),
+    removed: [...groupsBefore.values()].filter(group => !groupsAfter.has(group.title)).map(describeGroup),
+    changed: []
+  };
+  for (const group of groupsAfter.values()) {
+    const previous = groupsBefore.get(group.title);
+    if (!previous) continue;
+    const added = [...group.urls].filter(url => !previous.urls.has(url));
+    const removed = [...previous.urls].filter(url => !group.urls.has(url));
+    if (added.length || removed.length || group.color !== previous.color || group.collapsed !== previous.collapsed) {
+      diff.groups.changed.push({
+        title: group.title,
+        before: { color: previous.color, collapsed: previous.collapsed },
+        after: { color: group.color, collapsed: group.collapsed },
+        added,
+        removed
+      });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Builds windows from the chosen tabs of several sessions: window N holds the chosen
+ * tabs of window N of each source in turn. Each page is taken once, from the first
+ * source that has it, and a window keeps the bounds of the first source it came from.
+ * @param {Array<{session: SavedSession, selected?: Array<[number, number]>}>} sources
+ * @returns {SessionWindow[]} Windows that have tabs.
+ */
+export function mergeSessionWindows(sources) {
+  const seen = new Set();
+  const windows = [];
+  for (const { session, selected } of sources) {
+    const isSelected = getSelection(selected);
+    session.windows.forEach((window, windowIndex) => {
+      window.tabs.forEach((tab, tabIndex) => {
+        const key = normalizeUrl(tab.url);
+        if (!isSelected(windowIndex, tabIndex) || seen.has(key)) return;
+        seen.add(key);
+        windows[windowIndex] = windows[windowIndex] || { ...window, tabs: [] };
+        windows[windowIndex].tabs.push(tab);
+      });
+    });
+  }
+  return windows.filter(Boolean);
+}
+
+// Trimmed and within MAX_NAME_LENGTH, or the reason it is not
+function validateSessionName(name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) return { error: 'A session name is required' };
+  if (trimmedName.length > SESSION_CONFIG.MAX_NAME_LENGTH) {
+    return { error: `Session names are limited to ${SESSION_CONFIG.MAX_NAME_LENGTH} characters` };
+  }
+  return { name: trimmedName };
+}
+
+/**
+ * What makes two snapshots the same: the pages open in each window, in order.
+ * @param {SessionWindow[]} windows - Captured windows.
+ * @returns {string}
+ */
+export const getSnapshotSignature = windows => JSON.stringify(
+  windows.map(window => window.tabs.map(tab => [normalizeUrl(tab.url), tab.pinned, tab.group?.title ?? null]))
+);
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Picks the snapshots to keep: the newest one of each of the last HOURLY_KEEP hours
+ * and of each of the last DAILY_KEEP days, in local time.
+ * @param {SessionSnapshot[]} snapshots - All snapshots.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {Set<string>} Ids of the snapshots to keep.
+ */
+export function getRetainedSnapshots(snapshots, now = Date.now()) {
+  const currentHour = Math.floor(now / 3600000);
+  const today = startOfDay(now);
+  const hours = new Set();
+  const days = new Set();
+  const keep = new Set();
+
+  for (const snapshot of [...snapshots].sort((a, b) => b.updatedAt - a.updatedAt)) {
+    const hour = Math.floor(snapshot.updatedAt / 3600000);
+    if (currentHour - hour < SNAPSHOT_CONFIG.HOURLY_KEEP && !hours.has(hour)) {
+      hours.add(hour);
+      keep.add(snapshot.id);
+    }
+    const day = startOfDay(snapshot.updatedAt);
+    if (Math.round((today - day) / 86400000) < SNAPSHOT_CONFIG.DAILY_KEEP && !days.has(day)) {
+      days.add(day);
+      keep.add(snapshot.id);
+    }
+  }
+  return keep;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+function decodeHtml(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .trim();
+}
+
+function createBookmarkFile(sessions, now) {
+  const addDate = Math.floor(now / 1000);
+  const indent = depth => '    '.repeat(depth);
+  const folder = (title, depth, children) => [
+    `${indent(depth)}<DT><H3 ADD_DATE="${addDate}">${escapeHtml(title)}</H3>`,
+    `${indent(depth)}<DL><p>`,
+    ...children,
+    `${indent(depth)}</DL><p>`
+  ];
+  const link = (tab, depth) =>
+    `${indent(depth)}<DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`;
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+  for (const session of sessions) {
+    // Windows only get a folder of their own when there is more than one
+    const children = session.windows.length === 1
+      ? session.windows[0].tabs.map(tab => link(tab, 2))
+      : session.windows.flatMap((window, index) => folder(`Window ${index + 1}`, 2, window.tabs.map(tab => link(tab, 3))));
+    lines.push(...folder(session.name, 1, children));
+  }
+  lines.push('</DL><p>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes saved sessions in one of the SESSION_PACK formats. Only the JSON format keeps
+ * window bounds, pinned and muted state, groups, tags and scroll positions.
+ * @param {SavedSession[]} sessions - Sessions to export.
+ * @param {string} format - One of SESSION_PACK.FORMATS.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {string} File contents.
+ */
+export function serializeSessions(sessions, format, now = Date.now()) {
+  const { FORMATS } = SESSION_PACK;
+  switch (format) {
+    case FORMATS.JSON:
+      return JSON.stringify({
+        format: SESSION_PACK.FORMAT,
+        version: SESSION_PACK.VERSION,
+        exportedAt: new Date(now).toISOString(),
+        sessions: sessions.map(({ name, windows, createdAt, updatedAt }) => ({ name, windows, createdAt, updatedAt }))
+      }, null, 2);
+    case FORMATS.ONETAB:
+      return `${sessions
+        .map(session => session.windows
+          .flatMap(window => window.tabs)
+          .map(tab => `${tab.url} | ${tab.title || tab.url}`)
+          .join('\n'))
+        .join('\n\n')}\n`;
+    case FORMATS.HTML:
+      return createBookmarkFile(sessions, now);
+    case FORMATS.URLS:
+      return `${sessions
+        .flatMap(session => session.windows)
+        .map(window => window.tabs.map(tab => tab.url).join('\n'))
+        .join('\n\n')}\n`;
+    default:
+      throw new Error(`Unknown session format: ${format}`);
+  }
+}
+
+/**
+ * Guesses the format of an import file from its contents.
+ * @param {string} text - File contents.
+ * @returns {string} One of SESSION_PACK.FORMATS.
+ */
+export function detectSessionFormat(text) {
+  const { FORMATS } = SESSION_PACK;
+  const start = text.trimStart();
+  if (start.startsWith('{')) return FORMATS.JSON;
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(start) || /<DL\b/i.test(start)) return FORMATS.HTML;
+  if (/^\S+ \| /m.test(start)) return FORMATS.ONETAB;
+  return FORMATS.URLS;
+}
+
+/**
+ * Turns a tab from an import file into a SessionTab, or reports why it cannot be restored.
+ * @returns {SessionTab|null}
+ */
+function toSessionTab(tab, path, warnings) {
+  const url = typeof tab?.url === 'string' ? tab.url.trim() : '';
+  let protocol = null;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (error) {
+    // Not a URL; reported below
+  }
+  if (!SESSION_PACK.ALLOWED_PROTOCOLS.includes(protocol)) {
+    warnings.push({ path, message: url ? `"${url.slice(0, 80)}" is not a page that can be restored` : 'has no URL' });
+    return null;
+  }
+
+  const group = tab.group && typeof tab.group === 'object'
+    ? {
+      title: typeof tab.group.title === 'string' ? tab.group.title : '',
+      color: GROUPING_CONFIG.COLORS.includes(tab.group.color) ? tab.group.color : GROUPING_CONFIG.COLORS[0],
+      collapsed: Boolean(tab.group.collapsed)
+    }
+    : null;
+  return {
+    url,
+    title: typeof tab.title === 'string' && tab.title.trim() ? tab.title.trim() : url,
+    pinned: Boolean(tab.pinned),
+    muted: Boolean(tab.muted),
+    group,
+    tags: Array.isArray(tab.tags) ? tab.tags.filter(tag => typeof tag === 'string') : [],
+    scroll: Number.isFinite(tab.scroll?.x) && Number.isFinite(tab.scroll?.y) ? { x: tab.scroll.x, y: tab.scroll.y } : null
+  };
+}
+
+const WINDOW_STATES = ['normal', 'minimized', 'maximized', 'fullscreen'];
+
+function toSessionWindow(window, tabs) {
+  const bounds = Object.fromEntries(['left', 'top', 'width', 'height']
+    .filter(key => Number.isFinite(window?.[key]))
+    .map(key => [key, window[key]]));
+  return {
+    ...bounds,
+    state: WINDOW_STATES.includes(window?.state) ? window.state : 'normal',
+    focused: Boolean(window?.focused),
+    incognito: Boolean(window?.incognito),
+    tabs: tabs.filter(Boolean)
+  };
+}
+
+function parseSessionPack(text, errors, warnings) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (error) {
+    errors.push({ path: 'file', message: 'is not valid JSON' });
+    return [];
+  }
+  if (!pack || typeof pack !== 'object' || pack.format !== SESSION_PACK.FORMAT) {
+    errors.push({ path: 'format', message: 'is not a TabCurator session file' });
+    return [];
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    errors.push({ path: 'version', message: 'is missing' });
+    return [];
+  }
+  if (pack.version > SESSION_PACK.VERSION) {
+    errors.push({ path: 'version', message: `${pack.version} is newer than this version of TabCurator supports` });
+    return [];
+  }
+  if (!Array.isArray(pack.sessions)) {
+    errors.push({ path: 'sessions', message: 'must be an array' });
+    return [];
+  }
+
+  return pack.sessions.map((session, index) => {
+    const path = `sessions[${index}]`;
+    if (!Array.isArray(session?.windows)) {
+      errors.push({ path: `${path}.windows`, message: 'must be an array' });
+      return null;
+    }
+    return {
+      name: typeof session.name === 'string' ? session.name : '',
+      createdAt: Number.isFinite(session.createdAt) ? session.createdAt : undefined,
+      windows: session.windows.map((window, windowIndex) => toSessionWindow(
+        window,
+        (Array.isArray(window?.tabs) ? window.tabs : []).map((tab, tabIndex) =>
+          toSessionTab(tab, `${path}.windows[${windowIndex}].tabs[${tabIndex}]`, warnings))
+      ))
+    };
+  }).filter(Boolean);
+}
+
+// Non-empty lines with their line numbers, split into blocks at blank lines
+function getLineBlocks(text) {
+  const blocks = [[]];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed) {
+      blocks[blocks.length - 1].push({ line: trimmed, path: `line ${index + 1}` });
+    } else if (blocks[blocks.length - 1].length > 0) {
+      blocks.push([]);
+    }
+  });
+  return blocks.filter(block => block.length > 0);
+}
+
+function parseOneTab(text, warnings) {
+  return getLineBlocks(text).map(block => ({
+    name: '',
+    windows: [toSessionWindow({}, block.map(({ line, path }) => {
+      const [url, ...title] = line.split(' | ');
+      return toSessionTab({ url, title: title.join(' | ') }, path, warnings);
+    }))]
+  }));
+}
+
+function parseUrlList(text, warnings) {
+  return [{
+    name: '',
+    windows: getLineBlocks(text).map(block =>
+      toSessionWindow({}, block.map(({ line, path }) => toSessionTab({ url: line }, path, warnings))))
+  }];
+}
+
+/**
+ * Reads a Netscape bookmark file without a DOM, which the background does not have.
+ * Each top-level folder becomes a session: its own bookmarks the first window, and
+ * each subfolder, with everything below it, another window. Bookmarks outside any
+ * folder make one more session.
+ */
+function parseBookmarkFile(text, warnings) {
+  const root = { name: '', links: [], folders: [] };
+  const stack = [root];
+  let pendingFolder = null;
+  const lineAt = index => `line ${text.slice(0, index).split('\n').length}`;
+  const tokens = /<H3\b[^>]*>([\s\S]*?)<\/H3>|<A\b[^>]*?\bHREF="([^"]*)"[^>]*>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+
+  for (const match of text.matchAll(tokens)) {
+    const [token, folderTitle, href, linkTitle] = match;
+    const current = stack[stack.length - 1];
+    if (folderTitle !== undefined) {
+      pendingFolder = { name: decodeHtml(folderTitle), links: [], folders: [] };
+    } else if (href !== undefined) {
+      current.links.push({ url: decodeHtml(href), title: decodeHtml(linkTitle), path: lineAt(match.index) });
+    } else if (token[1] !== '/') {
+      // The outermost list belongs to the file itself, not to a folder
+      const folder = pendingFolder || current;
+      if (pendingFolder) current.folders.push(pendingFolder);
+      stack.push(folder);
+      pendingFolder = null;
+    } else if (stack.length > 1) {
+      stack.pop();
+    }
+  }
+
+  const allLinks = folder => [...folder.links, ...folder.folders.flatMap(allLinks)];
+  const toTabs = links => links.map(({ path, ...link }) => toSessionTab(link, path, warnings));
+  const toSession = (name, groups) => ({
+    name,
+    windows: groups.map(links => toSessionWindow({}, toTabs(links)))
+  });
+
+  return [
+    toSession('', [root.links]),
+    ...root.folders.map(folder => toSession(folder.name, [folder.links, ...folder.folders.map(allLinks)]))
+  ];
+}
+
+/**
+ * Parses and validates an import file. Pages that cannot be restored are skipped and
+ * reported as warnings; a file that cannot be read at all is reported as errors.
+ * @param {string} data - File contents.
+ * @param {string} [format] - One of SESSION_PACK.FORMATS; detected when left out.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>, format: string, sessions: Array<Object>}}
+ */
+export function parseSessionFile(data, format) {
+  const { FORMATS } = SESSION_PACK;
+  const errors = [];
+  const warnings = [];
+  if (typeof data !== 'string' || !data.trim()) {
+    return { valid: false, errors: [{ path: 'file', message: 'is empty' }], warnings, format, sessions: [] };
+  }
+
+  const detected = format || detectSessionFormat(data);
+  let sessions = [];
+  switch (detected) {
+    case FORMATS.JSON:
+      sessions = parseSessionPack(data, errors, warnings);
+      break;
+    case FORMATS.ONETAB:
+      sessions = parseOneTab(data, warnings);
+      break;
+    case FORMATS.HTML:
+      sessions = parseBookmarkFile(data, warnings);
+      break;
+    case FORMATS.URLS:
+      sessions = parseUrlList(data, warnings);
+      break;
+    default:
+      errors.push({ path: 'format', message: `"${detected}" is not a session format` });
+  }
+
+  sessions = sessions
+    .map(session => ({ ...session, windows: session.windows.filter(window => window.tabs.length > 0) }))
+    .filter(session => session.windows.length > 0);
+  if (errors.length === 0 && sessions.length === 0) {
+    errors.push({ path: 'file', message: 'contains no pages to import' });
+  }
+  return { valid: errors.length === 0, errors, warnings, format: detected, sessions };
+}
+
+/**
+ * Decides how parsed sessions will be saved: pages repeated within a session are
+ * dropped, sessions with the same pages as a saved one (or an earlier one in the
+ * file) are marked and left out, and taken names get a number.
+ * @param {Array<Object>} sessions - From parseSessionFile.
+ * @param {SavedSession[]} existing - Saved sessions.
+ * @returns {Array<SessionImportPreview & {windows: SessionWindow[], createdAt?: number}>}
+ */
+export function planSessionImport(sessions, existing) {
+  const names = new Set(existing.map(session => session.name));
+  const signatures = new Map(existing.map(session => [getSnapshotSignature(session.windows), session.name]));
+
+  return sessions.map((session) => {
+    const seen = new Set();
+    let duplicateTabs = 0;
+    const windows = session.windows
+      .map(window => ({
+        ...window,
+        tabs: window.tabs.filter((tab) => {
+          const key = normalizeUrl(tab.url);
+          if (seen.has(key)) {
+            duplicateTabs++;
+            return false;
+          }
+          seen.add(key);
+          return true;
+        })
+      }))
+      .filter(window => window.tabs.length > 0);
+
+    const baseName = session.name.trim().slice(0, SESSION_CONFIG.MAX_NAME_LENGTH) || SESSION_PACK.DEFAULT_NAME;
+    let name = baseName;
+    for (let number = 2; names.has(name); number++) {
+      name = `${baseName} (${number})`;
+    }
+    const signature = getSnapshotSignature(windows);
+    const identicalTo = signatures.get(signature) ?? null;
+    if (!identicalTo) {
+      names.add(name);
+      signatures.set(signature, name);
+    }
+
+    return {
+      name,
+      windowCount: windows.length,
+      tabCount: windows.reduce((count, window) => count + window.tabs.length, 0),
+      duplicateTabs,
+      identicalTo,
+      windows,
+      createdAt: session.createdAt
+    };
+  });
+}
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise(resolve => setTimeout(() => resolve(null), ms))
+]);
+
+/**
+ * Asks the content script for the page's scroll position. Pages without it (browser
+ * pages, discarded tabs, tabs loaded before the extension) report nothing.
+ * @param {Object} tab - The tab.
+ * @returns {Promise<{x: number, y: number}|null>}
+ */
+export async function getScrollPosition(tab) {
+  if (tab.discarded || !/^https?:/.test(tab.url || '')) return null;
+  try {
+    const position = await withTimeout(browser.tabs.sendMessage(tab.id, {
+      type: MESSAGE_TYPES.TAB_ACTION,
+      action: TAB_OPERATIONS.GET_SCROLL_POSITION
+    }), SESSION_CONFIG.SCROLL_TIMEOUT_MS);
+    return Number.isFinite(position?.x) && Number.isFinite(position?.y) ? { x: position.x, y: position.y } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getTabGroups() {
+  if (!browser.tabGroups) return {};
+  try {
+    const groups = await browser.tabGroups.query({});
+    return Object.fromEntries(groups.map(({ id, title, color, collapsed }) => [id, { title, color, collapsed }]));
+  } catch (error) {
+    logger.warn('Could not read tab groups', { error: error.message });
+    return {};
+  }
+}
+
+export class SessionManager {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+    // Scroll positions of restored tabs that have not loaded yet, by tab id
+    this.pendingScroll = new Map();
+    this.startupPending = false;
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+
+    if (this.startupPending) {
+      this.startupPending = false;
+      await this.takeSnapshot(SNAPSHOT_TRIGGERS.STARTUP);
+    }
+    logger.info('Session manager initialized', { saved: this.getSessions().length, snapshots: this.getSnapshots().length });
+  }
+
+  /**
+   * @returns {SavedSession[]} Saved sessions, most recently updated first.
+   */
+  getSessions() {
+    return Object.values(this.stateManager.getState().savedSessions || {})
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * @returns {SessionSnapshot[]} Snapshots, newest first.
+   */
+  getSnapshots() {
+    return Object.values(this.stateManager.getState().snapshots || {})
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * @param {string} id - Saved session or snapshot id; they share one id space.
+   * @returns {SavedSession|SessionSnapshot|null}
+   */
+  getSession(id) {
+    const { savedSessions, snapshots } = this.stateManager.getState();
+    return savedSessions?.[id] || snapshots?.[id] || null;
+  }
+
+  /**
+   * @param {Object} tab - An open tab.
+   * @param {Object} groups - Tab groups by id.
+   * @returns {Promise<SessionTab>}
+   */
+  async captureTab(tab, groups) {
+    const { metadata = {} } = this.stateManager.getState().tabManagement || {};
+    // A suspended tab is saved as the page it stands in for
+    const original = isPlaceholderUrl(tab.url) ? parsePlaceholderQuery(new URL(tab.url).search) : null;
+
+    return {
+      url: original?.url || tab.url || tab.pendingUrl || '',
+      title: original?.title || tab.title || '',
+      pinned: Boolean(tab.pinned),
+      muted: Boolean(tab.mutedInfo?.muted),
+      group: groups[tab.groupId] || null,
+      tags: metadata[tab.id]?.tags || [],
+      scroll: original ? null : await getScrollPosition(tab)
+    };
+  }
+
+  /**
+   * Reads every normal window and its tabs.
+   * @param {Object} [options] - { tabIds }: capture only these tabs.
+   * @returns {Promise<SessionWindow[]>} Windows in the browser's order; empty ones are left out.
+   */
+  async captureWindows({ tabIds } = {}) {
+    const [windows, groups] = await Promise.all([
+      browser.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+      getTabGroups()
+    ]);
+
+    const captured = [];
+    for (const window of windows) {
+      const tabs = [...(window.tabs || [])]
+        .filter(tab => !tabIds || tabIds.includes(tab.id))
+        .sort((a, b) => a.index - b.index);
+      if (tabs.length === 0) continue;
+      captured.push({
+        left: window.left,
+        top: window.top,
+        width: window.width,
+        height: window.height,
+        state: window.state || 'normal',
+        focused: Boolean(window.focused),
+        incognito: Boolean(window.incognito),
+        tabs: await Promise.all(tabs.map(tab => this.captureTab(tab, groups)))
+      });
+    }
+    return captured;
+  }
+
+  /**
+   * Saves the current session. Saving under an existing name replaces that session's
+   * windows, or adds to them with `append`, and keeps its id and creation time.
+   * @param {string} name - Session name.
+   * @param {Object} [options] - { tabIds, append }: save only these tabs; keep the tabs already saved.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, session }` or `{ success: false, error }`.
+   */
+  async saveSession(name, { tabIds, append = false } = {}, now = Date.now()) {
+    const { name: trimmedName, error } = validateSessionName(name);
+    if (error) return { success: false, error };
+
+    try {
+      const existing = this.getSessions().find(session => session.name === trimmedName);
+      const captured = await this.captureWindows({ tabIds });
+      const windows = append && existing
+        ? mergeSessionWindows([{ session: existing }, { session: { windows: captured } }])
+        : captured;
+      const session = {
+        id: existing?.id || crypto.randomUUID(),
+        name: trimmedName,
+        windows,
+        tabCount: windows.reduce((count, window) => count + window.tabs.length, 0),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      };
+
+      this.stateManager.dispatch(this.stateManager.actions.savedSessions.upsertSavedSession(session));
+      logger.info('Session saved', { id: session.id, windows: windows.length, tabs: session.tabCount });
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Error saving session', { name: trimmedName, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Snapshots the open windows. A snapshot with the same pages as the newest one only
+   * moves that one's `updatedAt` forward. Snapshots past retention are dropped.
+   * @param {string} [trigger] - One of SNAPSHOT_TRIGGERS.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, snapshot, deduplicated }`; no snapshot while no tabs are open.
+   */
+  async takeSnapshot(trigger = SNAPSHOT_TRIGGERS.SCHEDULED, now = Date.now()) {
+    const { actions } = this.stateManager;
+    const windows = await this.captureWindows();
+    const tabCount = windows.reduce((count, window) => count + window.tabs.length, 0);
+    if (tabCount === 0) return { success: true, snapshot: null, deduplicated: false };
+
+    const [latest] = this.getSnapshots();
+    const deduplicated = Boolean(latest) && getSnapshotSignature(latest.windows) === getSnapshotSignature(windows);
+    const snapshot = deduplicated
+      ? { ...latest, windows, updatedAt: now }
+      : { id: crypto.randomUUID(), trigger, windows, tabCount, createdAt: now, updatedAt: now };
+    this.stateManager.dispatch(actions.snapshots.upsertSnapshot(snapshot));
+
+    const keep = getRetainedSnapshots(this.getSnapshots(), now);
+    const expired = this.getSnapshots().filter(({ id }) => !keep.has(id)).map(({ id }) => id);
+    if (expired.length > 0) {
+      this.stateManager.dispatch(actions.snapshots.removeSnapshots(expired));
+    }
+
+    logger.debug('Session snapshot taken', { id: snapshot.id, trigger, tabCount, deduplicated, expired: expired.length });
+    return { success: true, snapshot, deduplicated };
+  }
+
+  // Browser start fires before the worker finishes initializing; initialize picks it up
+  async handleStartup() {
+    if (!this.initialized) {
+      this.startupPending = true;
+      return;
+    }
+    await this.takeSnapshot(SNAPSHOT_TRIGGERS.STARTUP);
+  }
+
+  /**
+   * Extensions get no event before the browser closes. Once the last window is gone,
+   * the newest snapshot is what was open at shutdown, provided it is recent enough.
+   * @param {number} [now] - Reference timestamp.
+   */
+  async handleWindowRemoved(now = Date.now()) {
+    if (!this.initialized) return;
+    try {
+      const remaining = await browser.windows.getAll({ windowTypes: ['normal'] });
+      const [latest] = this.getSnapshots();
+      const recent = latest && now - latest.updatedAt <= SNAPSHOT_CONFIG.SHUTDOWN_MAX_AGE_MINUTES * 60000;
+      if (remaining.length === 0 && recent) {
+        this.stateManager.dispatch(this.stateManager.actions.snapshots.upsertSnapshot({
+          ...latest,
+          trigger: SNAPSHOT_TRIGGERS.SHUTDOWN
+        }));
+      }
+    } catch (error) {
+      logger.error('Error labelling the shutdown snapshot', { error: error.message });
+    }
+  }
+
+  /**
+   * Reopens a saved session or snapshot. Tabs whose page is already open are skipped,
+   * and so are repeats within the session.
+   * @param {string} id - Session or snapshot id.
+   * @param {SessionRestoreOptions} [options] - Where to restore and which tabs.
+   * @returns {Promise<Object>} `{ success, restored, skipped, failed, windowIds }` or `{ success: false, error }`.
+   */
+  async restoreSession(id, { mode = SESSION_RESTORE_MODES.WINDOWS, selected } = {}) {
+    const session = this.getSession(id);
+    if (!session) return { success: false, error: `Unknown session: ${id}` };
+    if (!Object.values(SESSION_RESTORE_MODES).includes(mode)) {
+      return { success: false, error: `Unknown restore mode: ${mode}` };
+    }
+
+    try {
+      const openUrls = new Set((await browser.tabs.query({})).map(tab => normalizeUrl(getOpenUrl(tab))));
+      let skipped = 0;
+      const windows = selectSessionTabs(session, selected)
+        .map(window => ({
+          ...window,
+          tabs: window.tabs.filter((tab) => {
+            const key = normalizeUrl(tab.url);
+            if (openUrls.has(key)) {
+              skipped++;
+              return false;
+            }
+            openUrls.add(key);
+            return true;
+          })
+        }))
+        .filter(window => window.tabs.length > 0);
+
+      const result = { success: true, restored: 0, skipped, failed: 0, windowIds: [] };
+      const allTabs = windows.flatMap(window => window.tabs);
+      if (allTabs.length > 0 && mode === SESSION_RESTORE_MODES.CURRENT_WINDOW) {
+        const { id: windowId } = await browser.windows.getLastFocused({ windowTypes: ['normal'] });
+        await this.restoreWindowTabs(allTabs, windowId, result);
+      } else if (allTabs.length > 0) {
+        const targets = mode === SESSION_RESTORE_MODES.NEW_WINDOW ? [{ state: 'normal', focused: true, tabs: allTabs }] : windows;
+        for (const window of targets) {
+          await this.restoreWindow(window, result, { bounds: mode === SESSION_RESTORE_MODES.WINDOWS });
+        }
+      }
+
+      logger.info('Session restored', { id, mode, restored: result.restored, skipped, failed: result.failed });
+      return result;
+    } catch (error) {
+      logger.error('Error restoring session', { id, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async restoreWindow(window, result, { bounds }) {
+    let created;
+    try {
+      const { left, top, width, height } = window;
+      const size = bounds && (!window.state || window.state === 'normal')
+        ? Object.fromEntries(Object.entries({ left, top, width, height }).filter(([, value]) => Number.isFinite(value)))
+        : {};
+      // Restored windows and tabs are opened on purpose, so not held to the tab limit
+      created = await withoutTabLimit(() => browser.windows.create({ ...size, focused: window.focused !== false }));
+      if (bounds && window.state && window.state !== 'normal') {
+        await browser.windows.update(created.id, { state: window.state });
+      }
+    } catch (error) {
+      logger.error('Error creating window for session', { error: error.message });
+      result.failed += window.tabs.length;
+      return;
+    }
+
+    result.windowIds.push(created.id);
+    await this.restoreWindowTabs(window.tabs, created.id, result);
+    // The new tab page the window opened with
+    const blankTabIds = (created.tabs || []).map(tab => tab.id);
+    if (blankTabIds.length > 0) {
+      await browser.tabs.remove(blankTabIds);
+    }
+  }
+
+  /**
+   * Opens tabs discarded at the end of a window and puts them back in their groups.
+   * @param {SessionTab[]} tabs - Tabs to open, in order.
+   * @param {number} windowId - Target window.
+   * @param {Object} result - Counts to update.
+   */
+  async restoreWindowTabs(tabs, windowId, result) {
+    const { actions } = this.stateManager;
+    const groups = new Map();
+
+    for (const entry of tabs) {
+      let tabId;
+      try {
+        const tab = await withoutTabLimit(() => browser.tabs.create({ windowId, url: entry.url, pinned: entry.pinned, active: false }));
+        tabId = await this.discardRestoredTab(tab.id);
+        if (entry.muted) {
+          await browser.tabs.update(tabId, { muted: true });
+        }
+      } catch (error) {
+        logger.error('Error restoring session tab', { url: entry.url, error: error.message });
+        result.failed++;
+        continue;
+      }
+
+      result.restored++;
+      if (entry.tags.length > 0) {
+        this.stateManager.dispatch(actions.tabManagement.updateMetadata({ tabId, metadata: { tags: entry.tags } }));
+      }
+      if (entry.scroll && (entry.scroll.x || entry.scroll.y)) {
+        this.pendingScroll.set(tabId, entry.scroll);
+      }
+      // Pinned tabs cannot be grouped
+      if (entry.group && !entry.pinned) {
+        const key = `${entry.group.title}\u0000${entry.group.color}`;
+        groups.set(key, { group: entry.group, tabIds: [...(groups.get(key)?.tabIds || []), tabId] });
+      }
+    }
+
+    for (const { group, tabIds } of groups.values()) {
+      try {
+        await this.restoreGroup(tabIds, windowId, group);
+      } catch (error) {
+        logger.warn('Could not restore tab group', { title: group.title, error: error.message });
+      }
+    }
+  }
+
+  // Chrome may give a discarded tab a new id
+  async discardRestoredTab(tabId) {
+    if (typeof browser.tabs.discard !== 'function') return tabId;
+    try {
+      const discarded = await browser.tabs.discard(tabId);
+      return discarded?.id ?? tabId;
+    } catch (error) {
+      logger.debug('Restored tab left loaded', { tabId, error: error.message });
+      return tabId;
+    }
+  }
+
+  async restoreGroup(tabIds, windowId, { title, color, collapsed }) {
+    if (!browser.tabGroups || !browser.tabs.group) return;
+
+    // Merging into a window rejoins its same-titled group
+    const [existing] = title ? await browser.tabGroups.query({ windowId, title }) : [];
+    const groupId = await browser.tabs.group(
+      existing ? { groupId: existing.id, tabIds } : { tabIds, createProperties: { windowId } }
+    );
+    if (!existing) {
+      await browser.tabGroups.update(groupId, { title, color, collapsed });
+    }
+  }
+
+  /**
+   * Scrolls a restored tab back to its saved position once its page has loaded.
+   * @param {number} tabId - The updated tab.
+   * @param {Object} changeInfo - From tabs.onUpdated.
+   */
+  async handleTabUpdated(tabId, changeInfo) {
+    const scroll = this.pendingScroll.get(tabId);
+    if (!scroll || changeInfo?.status !== 'complete') return;
+
+    this.pendingScroll.delete(tabId);
+    try {
+      await browser.tabs.sendMessage(tabId, {
+        type: MESSAGE_TYPES.TAB_ACTION,
+        action: TAB_OPERATIONS.SET_SCROLL_POSITION,
+        payload: scroll
+      });
+    } catch (error) {
+      logger.debug('Could not restore scroll position', { tabId, error: error.message });
+    }
+  }
+
+  /**
+   * @param {string} baseId - Session or snapshot compared against.
+   * @param {string} otherId - Session or snapshot compared.
+   * @returns {Object} `{ success, diff }` or `{ success: false, error }`.
+   */
+  diffSessions(baseId, otherId) {
+    const base = this.getSession(baseId);
+    const other = this.getSession(otherId);
+    if (!base || !other) return { success: false, error: `Unknown session: ${base ? otherId : baseId}` };
+    return { success: true, diff: diffSessions(base, other) };
+  }
+
+  /**
+   * Saves a new session made of the chosen tabs of other sessions or snapshots,
+   * see mergeSessionWindows. The sources are left as they are.
+   * @param {string} name - Name of the new session; must not be taken.
+   * @param {Array<{id: string, selected?: Array<[number, number]>}>} sources - In order of precedence.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Object} `{ success, session }` or `{ success: false, error }`.
+   */
+  mergeSessions(name, sources = [], now = Date.now()) {
+    const { name: trimmedName, error } = validateSessionName(name);
+    if (error) return { success: false, error };
+    if (this.getSessions().some(session => session.name === trimmedName)) {
+      return { success: false, error: `A session named "${trimmedName}" already exists` };
+    }
+    const unknown = sources.find(({ id }) => !this.getSession(id));
+    if (unknown) return { success: false, error: `Unknown session: ${unknown.id}` };
+
+    const windows = mergeSessionWindows(sources.map(({ id, selected }) => ({ session: this.getSession(id), selected })));
+    if (windows.length === 0) return { success: false, error: 'No tabs chosen to merge' };
+
+    const session = {
+      id: crypto.randomUUID(),
+      name: trimmedName,
+      windows,
+      tabCount: windows.reduce((count, window) => count + window.tabs.length, 0),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.stateManager.dispatch(this.stateManager.actions.savedSessions.upsertSavedSession(session));
+    logger.info('Sessions merged', { id: session.id, sources: sources.map(({ id }) => id), tabs: session.tabCount });
+    return { success: true, session };
+  }
+
+  /**
+   * Exports saved sessions.
+   * @param {Object} [options] - { ids, format }: all sessions when ids are left out; format is one of
+   *   SESSION_PACK.FORMATS and defaults to JSON.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Object} `{ success, content, fileName, mimeType, count }` or `{ success: false, error }`.
+   */
+  exportSessions({ ids, format = SESSION_PACK.FORMATS.JSON } = {}, now = Date.now()) {
+    if (!Object.values(SESSION_PACK.FORMATS).includes(format)) {
+      return { success: false, error: `Unknown session format: ${format}` };
+    }
+    const sessions = this.getSessions().filter(session => !ids || ids.includes(session.id));
+    if (sessions.length === 0) return { success: false, error: 'No sessions to export' };
+
+    const { extension, mimeType } = SESSION_PACK.FILES[format];
+    return {
+      success: true,
+      content: serializeSessions(sessions, format, now),
+      fileName: `tabcurator-sessions-${new Date(now).toISOString().slice(0, 10)}.${extension}`,
+      mimeType,
+      count: sessions.length
+    };
+  }
+
+  /**
+   * Reads an import file and reports what importing it would save, without saving.
+   * @param {Object} payload - { data, format }; the format is detected when left out.
+   * @returns {Object} `{ success, format, sessions: SessionImportPreview[], warnings }`,
+   *   or `{ success: false, errors, warnings }`.
+   */
+  previewImport({ data, format } = {}) {
+    const parsed = parseSessionFile(data, format);
+    if (!parsed.valid) {
+      return { success: false, error: 'Invalid session file', errors: parsed.errors, warnings: parsed.warnings };
+    }
+    const sessions = planSessionImport(parsed.sessions, this.getSessions())
+      .map(({ windows, createdAt, ...preview }) => preview);
+    return { success: true, format: parsed.format, sessions, warnings: parsed.warnings };
+  }
+
+  /**
+   * Imports sessions from a file as new saved sessions; see planSessionImport for how
+   * duplicates and taken names are handled.
+   * @param {Object} payload - { data, format, selected } where selected lists the indexes of the
+   *   previewed sessions to import; all of them when left out.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Object} `{ success, imported, skipped, warnings }`, or `{ success: false, errors, warnings }`.
+   */
+  importSessions({ data, format, selected } = {}, now = Date.now()) {
+    const parsed = parseSessionFile(data, format);
+    if (!parsed.valid) {
+      return { success: false, error: 'Invalid session file', errors: parsed.errors, warnings: parsed.warnings };
+    }
+
+    const plan = planSessionImport(parsed.sessions, this.getSessions());
+    const chosen = plan.filter((entry, index) => (!selected || selected.includes(index)) && !entry.identicalTo);
+    for (const { name, windows, tabCount, createdAt } of chosen) {
+      this.stateManager.dispatch(this.stateManager.actions.savedSessions.upsertSavedSession({
+        id: crypto.randomUUID(),
+        name,
+        windows,
+        tabCount,
+        createdAt: createdAt || now,
+        updatedAt: now
+      }));
+    }
+
+    logger.info('Sessions imported', { format: parsed.format, imported: chosen.length, skipped: plan.length - chosen.length });
+    return { success: true, imported: chosen.length, skipped: plan.length - chosen.length, warnings: parsed.warnings };
+  }
+
+  deleteSession(id) {
+    if (!this.stateManager.getState().savedSessions?.[id]) {
+      return { success: false, error: `Unknown session: ${id}` };
+    }
+    this.stateManager.dispatch(this.stateManager.actions.savedSessions.deleteSessionData(id));
+    return { success: true, id };
+  }
+}
+
+const sessionManager = new SessionManager();
+export { sessionManager };
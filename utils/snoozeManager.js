@@ -0,0 +1,276 @@
+// utils/snoozeManager.js
+/**
+ * @fileoverview Snooze Manager Module - Closes a tab and reopens it later: at a set
+ * time, on the next browser start or when the next browser window opens. Entries live
+ * in the persisted `snoozed` slice and time triggers are alarms, which are set again
+ * whenever the service worker starts.
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { SNOOZE_CONFIG, SNOOZE_TRIGGERS } from './constants.js';
+import { connection } from './connectionManager.js';
+import { isPlaceholderUrl, withoutTabLimit } from './tabManager.js';
+
+/**
+ * @param {string} id - Snoozed entry id.
+ * @returns {string} Name of the entry's alarm.
+ */
+export const getSnoozeAlarmName = id => `${SNOOZE_CONFIG.ALARM_PREFIX}${id}`;
+
+/**
+ * @param {SnoozeTrigger} trigger - Requested trigger.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {string|null} Why the trigger is invalid, or null.
+ */
+export function validateSnoozeTrigger(trigger, now = Date.now()) {
+  if (!trigger || !Object.values(SNOOZE_TRIGGERS).includes(trigger.type)) {
+    return `Unknown snooze trigger: ${trigger?.type}`;
+  }
+  if (trigger.type === SNOOZE_TRIGGERS.TIME) {
+    if (!Number.isFinite(trigger.at)) return 'A wake-up time is required';
+    if (trigger.at <= now) return 'Wake-up time must be in the future';
+  }
+  return null;
+}
+
+const normalizeTrigger = ({ type, at }) => (type === SNOOZE_TRIGGERS.TIME ? { type, at } : { type });
+
+export class SnoozeManager {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+    this.startupPending = false;
+  }
+
+  async initialize(stateManagerInstance, now = Date.now()) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+
+    await this.syncAlarms(now);
+    if (this.startupPending) {
+      this.startupPending = false;
+      await this.wakeAll(SNOOZE_TRIGGERS.STARTUP);
+    }
+    logger.info('Snooze manager initialized', { snoozed: this.getEntries().length });
+  }
+
+  /**
+   * @returns {SnoozedTab[]} Snoozed entries, soonest first; trigger-based entries last.
+   */
+  getEntries() {
+    return Object.values(this.stateManager.getState().snoozed || {})
+      .sort((a, b) => (a.trigger.at ?? Infinity) - (b.trigger.at ?? Infinity));
+  }
+
+  /**
+   * Sets an alarm for every time-triggered entry, wakes the ones that came due while
+   * the worker or browser was stopped, and clears alarms of entries that are gone.
+   * @param {number} [now] - Reference timestamp.
+   */
+  async syncAlarms(now = Date.now()) {
+    const entries = this.getEntries().filter(entry => entry.trigger.type === SNOOZE_TRIGGERS.TIME);
+    const names = new Set(entries.map(entry => getSnoozeAlarmName(entry.id)));
+
+    if (browser.alarms) {
+      const alarms = await browser.alarms.getAll();
+      for (const alarm of alarms) {
+        if (alarm.name.startsWith(SNOOZE_CONFIG.ALARM_PREFIX) && !names.has(alarm.name)) {
+          await browser.alarms.clear(alarm.name);
+        }
+      }
+    }
+
+    for (const entry of entries) {
+      if (entry.trigger.at <= now) {
+        await this.wake(entry.id);
+      } else {
+        await connection.createAlarm(getSnoozeAlarmName(entry.id), { when: entry.trigger.at });
+      }
+    }
+  }
+
+  async scheduleAlarm(entry) {
+    const name = getSnoozeAlarmName(entry.id);
+    if (entry.trigger.type === SNOOZE_TRIGGERS.TIME) {
+      await connection.createAlarm(name, { when: entry.trigger.at });
+    } else if (browser.alarms) {
+      await browser.alarms.clear(name);
+    }
+  }
+
+  async getTabGroup(tab) {
+    if (!browser.tabGroups || tab.groupId === undefined || tab.groupId === -1) return null;
+    try {
+      const { title, color } = await browser.tabGroups.get(tab.groupId);
+      return { title, color };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Closes a tab and keeps it until its trigger fires.
+   * @param {number} tabId - The tab to snooze.
+   * @param {SnoozeTrigger} trigger - When to reopen it.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, entry }` or `{ success: false, error }`.
+   */
+  async snoozeTab(tabId, trigger, now = Date.now()) {
+    const error = validateSnoozeTrigger(trigger, now);
+    if (error) return { success: false, error };
+
+    try {
+      const tab = await browser.tabs.get(tabId);
+      const { metadata = {}, suspended = {} } = this.stateManager.getState().tabManagement || {};
+      // A suspended tab is snoozed as the page it stands in for
+      const original = isPlaceholderUrl(tab.url) ? suspended[tabId] : null;
+
+      const entry = {
+        id: crypto.randomUUID(),
+        url: original?.url || tab.url,
+        title: original?.title || tab.title || '',
+        favIconUrl: original?.favIconUrl || tab.favIconUrl,
+        pinned: Boolean(tab.pinned),
+        group: await this.getTabGroup(tab),
+        tags: metadata[tabId]?.tags || [],
+        trigger: normalizeTrigger(trigger),
+        snoozedAt: now
+      };
+
+      this.stateManager.dispatch(this.stateManager.actions.snoozed.upsertSnoozed(entry));
+      await this.scheduleAlarm(entry);
+      await browser.tabs.remove(tabId);
+      logger.info('Tab snoozed', { tabId, id: entry.id, trigger: entry.trigger });
+      return { success: true, entry };
+    } catch (error) {
+      logger.error('Error snoozing tab', { tabId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Changes when a snoozed entry reopens.
+   * @param {string} id - Entry id.
+   * @param {SnoozeTrigger} trigger - New trigger.
+   * @param {number} [now] - Reference timestamp.
+   * @returns {Promise<Object>} `{ success, entry }` or `{ success: false, error }`.
+   */
+  async updateSnooze(id, trigger, now = Date.now()) {
+    const current = this.stateManager.getState().snoozed?.[id];
+    if (!current) return { success: false, error: `Unknown snoozed tab: ${id}` };
+    const error = validateSnoozeTrigger(trigger, now);
+    if (error) return { success: false, error };
+
+    const entry = { ...current, trigger: normalizeTrigger(trigger) };
+    this.stateManager.dispatch(this.stateManager.actions.snoozed.upsertSnoozed(entry));
+    await this.scheduleAlarm(entry);
+    return { success: true, entry };
+  }
+
+  async cancelSnooze(id) {
+    if (!this.stateManager.getState().snoozed?.[id]) {
+      return { success: false, error: `Unknown snoozed tab: ${id}` };
+    }
+    this.stateManager.dispatch(this.stateManager.actions.snoozed.removeSnoozed(id));
+    if (browser.alarms) {
+      await browser.alarms.clear(getSnoozeAlarmName(id));
+    }
+    return { success: true, id };
+  }
+
+  async regroup(tabId, windowId, { title, color }) {
+    if (!browser.tabGroups || !browser.tabs.group) return;
+
+    // Rejoin a same-titled group in the window, if the group is still around
+    const [existing] = await browser.tabGroups.query({ windowId, title });
+    const groupId = await browser.tabs.group(
+      existing ? { groupId: existing.id, tabIds: [tabId] } : { tabIds: [tabId], createProperties: { windowId } }
+    );
+    if (!existing) {
+      await browser.tabGroups.update(groupId, { title, color });
+    }
+  }
+
+  /**
+   * Reopens a snoozed tab with its group and tags.
+   * @param {string} id - Entry id.
+   * @param {Object} [options] - { windowId } to open it in; defaults to the current window.
+   * @returns {Promise<Object>} `{ success, tabId }` or `{ success: false, error }`.
+   */
+  async wake(id, { windowId } = {}) {
+    const entry = this.stateManager.getState().snoozed?.[id];
+    if (!entry) return { success: false, error: `Unknown snoozed tab: ${id}` };
+
+    try {
+      // Removed first so a second trigger cannot open the tab twice
+      this.stateManager.dispatch(this.stateManager.actions.snoozed.removeSnoozed(id));
+      if (browser.alarms) {
+        await browser.alarms.clear(getSnoozeAlarmName(id));
+      }
+
+      const tab = await withoutTabLimit(() => browser.tabs.create({
+        url: entry.url,
+        pinned: entry.pinned,
+        active: false,
+        ...(windowId !== undefined && { windowId })
+      }));
+      if (entry.tags.length > 0) {
+        this.stateManager.dispatch(this.stateManager.actions.tabManagement.updateMetadata({
+          tabId: tab.id,
+          metadata: { tags: entry.tags }
+        }));
+      }
+      if (entry.group && !entry.pinned) {
+        try {
+          await this.regroup(tab.id, tab.windowId, entry.group);
+        } catch (error) {
+          logger.warn('Could not restore tab group of snoozed tab', { id, error: error.message });
+        }
+      }
+
+      logger.info('Snoozed tab reopened', { id, tabId: tab.id });
+      return { success: true, tabId: tab.id };
+    } catch (error) {
+      // Keep the entry so the tab is not lost
+      this.stateManager.dispatch(this.stateManager.actions.snoozed.upsertSnoozed(entry));
+      logger.error('Error reopening snoozed tab', { id, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async wakeAll(type, options) {
+    const entries = this.getEntries().filter(entry => entry.trigger.type === type);
+    for (const entry of entries) {
+      await this.wake(entry.id, options);
+    }
+    return entries.length;
+  }
+
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(SNOOZE_CONFIG.ALARM_PREFIX) || !this.initialized) return;
+    await this.wake(alarm.name.slice(SNOOZE_CONFIG.ALARM_PREFIX.length));
+  }
+
+  // Browser start fires before the worker finishes initializing; initialize picks it up
+  async handleStartup() {
+    if (!this.initialized) {
+      this.startupPending = true;
+      return;
+    }
+    await this.wakeAll(SNOOZE_TRIGGERS.STARTUP);
+  }
+
+  async handleWindowCreated(window) {
+    if (!this.initialized || (window.type && window.type !== 'normal')) return;
+    await this.wakeAll(SNOOZE_TRIGGERS.WINDOW, { windowId: window.id });
+  }
+}
+
+const snoozeManager = new SnoozeManager();
+export { snoozeManager };
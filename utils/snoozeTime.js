@@ -0,0 +1,35 @@
+// utils/snoozeTime.js
+/**
+ * @fileoverview Snooze Time Module - Wake-up times of the snooze presets. Kept apart
+ * from the snooze manager so the popup can use it without loading background code.
+ */
+
+import { SNOOZE_CONFIG, SNOOZE_PRESETS } from './constants.js';
+
+const atMorning = (date, daysAhead) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + daysAhead);
+  result.setHours(SNOOZE_CONFIG.MORNING_HOUR, 0, 0, 0);
+  return result.getTime();
+};
+
+/**
+ * Wake-up time of a preset, in local time.
+ * @param {string} preset - One of SNOOZE_PRESETS.
+ * @param {number} [now] - Reference timestamp.
+ * @returns {number|null} Timestamp, or null for an unknown preset.
+ */
+export function getSnoozeTime(preset, now = Date.now()) {
+  switch (preset) {
+    case SNOOZE_PRESETS.LATER_TODAY:
+      return now + SNOOZE_CONFIG.LATER_TODAY_HOURS * 3600000;
+    case SNOOZE_PRESETS.TOMORROW:
+      return atMorning(now, 1);
+    case SNOOZE_PRESETS.NEXT_WEEK: {
+      const daysAhead = (SNOOZE_CONFIG.WEEK_START_DAY - new Date(now).getDay() + 7) % 7 || 7;
+      return atMorning(now, daysAhead);
+    }
+    default:
+      return null;
+  }
+}
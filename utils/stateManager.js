@@ -29,6 +29,7 @@ import {
   CONFIG,
   BATCH_CONFIG,
   TAB_OPERATIONS,
+  SUSPENSION_STRATEGIES,
   coreSelectors,
   VALIDATION_SCHEMAS,
   selectors
@@ -38,11 +39,22 @@ const initialState = {
   tabs: [],
   sessions: [],
   rules: [],
+  categories: {},
   archivedTabs: {},
   tabActivity: {},
   savedSessions: {},
   isTaggingPromptActive: false,
   declarativeRules: [],
+  focus: {
+    blocklist: [],
+    focusSites: [],
+    allowlist: [],
+    schedules: [],
+    session: null,
+    dismissedUntil: null
+  },
+  snoozed: {},
+  snapshots: {},
   serviceWorker: {
     type: SERVICE_TYPES.WORKER, // Now this should work
     isActive: false,
@@ -56,7 +68,8 @@ const initialState = {
     autoSuspend: true,
     tagPromptEnabled: true,
     maxTabs: 100,
-    requireTagOnClose: true
+    requireTagOnClose: true,
+    autoGroupByDomain: true
   },
   permissions: {
     granted: [],
@@ -84,6 +97,10 @@ const initialTabManagementState = {
   activity: {},
   metadata: {},
   suspended: {},
+  exemptions: {},
+  foreground: null,
+  away: { total: 0, since: null },
+  groups: {},
   oldestTab: null
 };
 
@@ -109,6 +126,7 @@ const tabManagementSlice = createSlice({
           state.activity[id] = {
             ...state.activity[id],
             lastAccessed: action.payload.lastAccessed,
+            awayMark: state.away?.total ?? 0,
             status: changes.status || state.activity[id]?.status
           };
         }
@@ -130,7 +148,17 @@ const tabManagementSlice = createSlice({
       state.tabs = state.tabs.filter(tab => tab.id !== id);
       delete state.activity[id];
       delete state.metadata[id];
-      delete state.suspended[id];
+      // Archived tabs are closed on purpose; their entry is what restores them
+      if (state.suspended?.[id]?.strategy !== SUSPENSION_STRATEGIES.ARCHIVE) {
+        delete state.suspended?.[id];
+      }
+      delete state.exemptions?.[id];
+      if (state.foreground?.tabId === id) {
+        state.foreground = null;
+      }
+      Object.values(state.groups || {}).forEach(group => {
+        group.tabIds = group.tabIds.filter(tabId => tabId !== id);
+      });
       
       // Update oldestTab if necessary
       if (state.oldestTab && state.oldestTab.id === id) {
@@ -140,6 +168,84 @@ const tabManagementSlice = createSlice({
     updateOldestTab(state, action) {
       state.oldestTab = action.payload;
     },
+    upsertGroup(state, action) {
+      const group = action.payload;
+      // Persisted state from before grouping existed has no groups map
+      if (!state.groups) {
+        state.groups = {};
+      }
+      // A tab belongs to one native group at a time
+      Object.values(state.groups).forEach(other => {
+        if (other.id !== group.id) {
+          other.tabIds = other.tabIds.filter(tabId => !group.tabIds.includes(tabId));
+        }
+      });
+      state.groups[group.id] = {
+        ...state.groups[group.id],
+        ...group,
+        updatedAt: Date.now()
+      };
+    },
+    markSuspended(state, action) {
+      const entry = action.payload;
+      if (!state.suspended) {
+        state.suspended = {};
+      }
+      state.suspended[entry.tabId] = entry;
+    },
+    clearSuspended(state, action) {
+      delete state.suspended?.[action.payload];
+    },
+    recordFocus(state, action) {
+      const { tabId, windowId, at } = action.payload;
+      state.activity[tabId] = {
+        ...state.activity[tabId],
+        lastAccessed: at,
+        lastFocused: at,
+        awayMark: state.away?.total ?? 0
+      };
+      state.foreground = { tabId, windowId, since: at };
+    },
+    // Credits the foreground tab with its time up to `at`; without `at` it is dropped uncredited
+    endForeground(state, action) {
+      const current = state.foreground;
+      const at = action.payload?.at;
+      state.foreground = null;
+      const entry = current && state.activity[current.tabId];
+      if (!entry || at === undefined) return;
+
+      entry.foregroundTime = (entry.foregroundTime || 0) + Math.max(0, at - current.since);
+      entry.lastAccessed = Math.max(entry.lastAccessed || 0, at);
+      entry.awayMark = state.away?.total ?? 0;
+    },
+    startAway(state, action) {
+      if (!state.away) {
+        state.away = { total: 0, since: null };
+      }
+      if (state.away.since == null) {
+        state.away.since = action.payload;
+      }
+    },
+    endAway(state, action) {
+      if (state.away?.since == null) return;
+      state.away.total += Math.max(0, action.payload - state.away.since);
+      state.away.since = null;
+    },
+    recordExemption(state, action) {
+      const exemption = action.payload;
+      if (!state.exemptions) {
+        state.exemptions = {};
+      }
+      state.exemptions[exemption.tabId] = exemption;
+    },
+    clearExemption(state, action) {
+      delete state.exemptions?.[action.payload];
+    },
+    removeGroup(state, action) {
+      if (state.groups) {
+        delete state.groups[action.payload];
+      }
+    },
     reset: (state) => {
       Object.assign(state, initialTabManagementState);
     }
@@ -176,6 +282,97 @@ const rulesSlice = createSlice({
   },
 });
 
+// Desired dynamic declarativeNetRequest rules, keyed by their owner's id; see syncDynamicRules
+const declarativeRulesSlice = createSlice({
+  name: 'declarativeRules',
+  initialState: initialState.declarativeRules,
+  reducers: {
+    upsertDeclarativeRule(state, action) {
+      const index = state.findIndex(rule => rule.id === action.payload.id);
+      if (index === -1) {
+        state.push(action.payload);
+      } else {
+        state[index] = action.payload;
+      }
+    },
+    removeDeclarativeRule(state, action) {
+      return state.filter(rule => rule.id !== action.payload);
+    },
+    // Replaces every rule whose id is namespaced `${owner}:...` with `rules`
+    replaceOwnedRules(state, action) {
+      const { owner, rules } = action.payload;
+      return [...state.filter(rule => !String(rule.id).startsWith(`${owner}:`)), ...rules];
+    }
+  }
+});
+
+const focusSlice = createSlice({
+  name: 'focus',
+  initialState: initialState.focus,
+  reducers: {
+    updateFocusSettings(state, action) {
+      const { blocklist, focusSites, allowlist, schedules } = action.payload;
+      if (blocklist) state.blocklist = blocklist;
+      if (focusSites) state.focusSites = focusSites;
+      if (allowlist) state.allowlist = allowlist;
+      if (schedules) state.schedules = schedules;
+    },
+    startFocusSession(state, action) {
+      state.session = action.payload;
+      state.dismissedUntil = null;
+    },
+    // `dismissedUntil` keeps a schedule from restarting a session the user ended early
+    endFocusSession(state, action) {
+      state.session = null;
+      state.dismissedUntil = action.payload?.dismissedUntil ?? null;
+    }
+  }
+});
+
+// Closed tabs waiting to reopen, keyed by entry id; see snoozeManager
+const snoozedSlice = createSlice({
+  name: 'snoozed',
+  initialState: initialState.snoozed,
+  reducers: {
+    upsertSnoozed(state, action) {
+      state[action.payload.id] = action.payload;
+    },
+    removeSnoozed(state, action) {
+      delete state[action.payload];
+    }
+  }
+});
+
+// Automatic session snapshots, keyed by id; see sessionManager
+const snapshotsSlice = createSlice({
+  name: 'snapshots',
+  initialState: initialState.snapshots,
+  reducers: {
+    upsertSnapshot(state, action) {
+      state[action.payload.id] = action.payload;
+    },
+    removeSnapshots(state, action) {
+      action.payload.forEach(id => {
+        delete state[id];
+      });
+    }
+  }
+});
+
+const categoriesSlice = createSlice({
+  name: 'categories',
+  initialState: initialState.categories,
+  reducers: {
+    upsertCategory(state, action) {
+      const { name, ...props } = action.payload;
+      state[name] = { ...state[name], name, ...props };
+    },
+    removeCategory(state, action) {
+      delete state[action.payload];
+    }
+  }
+});
+
 const archivedTabsSlice = createSlice({
   name: 'archivedTabs',
   initialState: initialState.archivedTabs,
@@ -198,6 +395,9 @@ const savedSessionsSlice = createSlice({
       const { sessionName, session } = action.payload;
       state[sessionName] = session;
     },
+    upsertSavedSession(state, action) {
+      state[action.payload.id] = action.payload;
+    },
     deleteSessionData(state, action) {
       delete state[action.payload];
     },
@@ -250,12 +450,16 @@ const rootReducer = combineReducers({
   tabManagement: tabManagementSlice.reducer,
   sessions: sessionsSlice.reducer,
   rules: rulesSlice.reducer,
+  categories: categoriesSlice.reducer,
   archivedTabs: archivedTabsSlice.reducer,
   savedSessions: savedSessionsSlice.reducer,
   ui: uiSlice.reducer,
   isTaggingPromptActive: (state = false, action) => 
     action.type === 'SET_TAGGING_PROMPT' ? action.payload : state,
-  declarativeRules: rulesSlice.reducer,
+  declarativeRules: declarativeRulesSlice.reducer,
+  focus: focusSlice.reducer,
+  snoozed: snoozedSlice.reducer,
+  snapshots: snapshotsSlice.reducer,
   serviceWorker: (state = initialState.serviceWorker, action) => {
     switch (action.type) {
       case ACTION_TYPES.STATE.INITIALIZE:
@@ -306,7 +510,7 @@ const persistConfig = {
     removeItem: (...args) => storageService.removeItem(...args),
     getAllKeys: (...args) => storageService.getAllKeys(...args)
   },
-  whitelist: ['tabManagement', 'sessions', 'rules', 'declarativeRules'],
+  whitelist: ['tabManagement', 'sessions', 'savedSessions', 'rules', 'categories', 'declarativeRules', 'focus', 'snoozed', 'snapshots'],
   serialize: true
 };
 
@@ -505,7 +709,13 @@ export const sessionThunks = {
 const actions = {
   tabManagement: tabManagementSlice.actions,
   session: sessionsSlice.actions,
+  savedSessions: savedSessionsSlice.actions,
   rules: rulesSlice.actions,
+  categories: categoriesSlice.actions,
+  declarativeRules: declarativeRulesSlice.actions,
+  focus: focusSlice.actions,
+  snoozed: snoozedSlice.actions,
+  snapshots: snapshotsSlice.actions,
   ui: uiSlice.actions,
   settings: settingsSlice.actions,
   permissions: permissionsSlice.actions,
@@ -586,12 +796,29 @@ class StateManager {
       return StateManager.instance;
     }
     this.store = store;
+    this.actions = actions;
+    this.selectors = combinedSelectors;
     this.initialized = false;
     StateManager.instance = this;
   }
 
-  async initialize(tabManager) {
+  dispatch(action) {
+    return this.store.dispatch(action);
+  }
+
+  getState() {
+    return this.store.getState();
+  }
+
+  // Managers that handle the messages routed through the state manager
+  async initialize({ tabManager, focusManager, jobScheduler, reminderManager, snoozeManager, tabRanker, sessionManager } = {}) {
     this.tabManager = tabManager;
+    this.focusManager = focusManager;
+    this.jobScheduler = jobScheduler;
+    this.reminderManager = reminderManager;
+    this.snoozeManager = snoozeManager;
+    this.tabRanker = tabRanker;
+    this.sessionManager = sessionManager;
     if (this.initialized) return true;
 
     // Initialize Redux store if needed
@@ -725,43 +952,45 @@ class StateManager {
       logger.debug('Processing session message:', { action, payload });
       
       switch (action) {
-        case 'saveSession': {
-          if (!payload?.name || !payload?.tabs) {
-            return { error: 'Invalid session data' };
-          }
-          
-          const session = {
-            name: payload.name,
-            tabs: payload.tabs,
-            timestamp: payload.timestamp || Date.now()
-          };
-          
-          this.store.dispatch(actions.session.saveSession(session));
-          logger.debug('Session saved:', session);
-          
-          // Optionally await if dispatch is asynchronous
-          // await this.store.dispatch(actions.session.saveSession(session));
-          
-          return { success: true, session };
-        }
+        case ACTION_TYPES.SESSION.SAVE_SESSION:
+        case 'saveSession':
+          // The background captures the windows and tabs itself
+          return await this.sessionManager.saveSession(payload?.name);
 
-        case 'restoreSession': {
-          if (!payload?.sessionName) {
-            return { error: 'Session name required' };
-          }
-          // Implement restore logic
-          this.store.dispatch(actions.session.restoreSession(payload.sessionName));
-          logger.debug(`Session "${payload.sessionName}" restored.`);
-          return { success: true };
-        }
+        case ACTION_TYPES.SESSION.DELETE_SESSION:
+          return this.sessionManager.deleteSession(payload?.id);
+
+        case ACTION_TYPES.SESSION.RESTORE_SESSION:
+        case 'restoreSession':
+          return await this.sessionManager.restoreSession(payload?.id, {
+            mode: payload?.mode,
+            selected: payload?.selected
+          });
+
+        case ACTION_TYPES.SESSION.DIFF_SESSIONS:
+          return this.sessionManager.diffSessions(payload?.baseId, payload?.otherId);
+
+        case ACTION_TYPES.SESSION.MERGE_SESSIONS:
+          return this.sessionManager.mergeSessions(payload?.name, payload?.sources);
+
+        case ACTION_TYPES.SESSION.EXPORT_SESSIONS:
+          return this.sessionManager.exportSessions(payload);
+
+        case ACTION_TYPES.SESSION.PREVIEW_SESSION_IMPORT:
+          return this.sessionManager.previewImport(payload);
+
+        case ACTION_TYPES.SESSION.IMPORT_SESSIONS:
+          return this.sessionManager.importSessions(payload);
 
+        case ACTION_TYPES.SESSION.GET_SESSIONS:
         case 'getSession':
         case 'getSessions': {
           const state = this.store.getState();
           return {
             success: true,
             sessions: state.sessions || [],
-            savedSessions: state.savedSessions
+            savedSessions: this.sessionManager.getSessions(),
+            snapshots: this.sessionManager.getSnapshots()
           };
         }
 
@@ -775,14 +1004,65 @@ class StateManager {
     }
   }
 
-  async handleTabAction(message) {
+  async handleTabAction(message, sender) {
     try {
       const { action, payload } = message;
       switch (action) {
         case 'SUSPEND_INACTIVE':
-          return await this.tabManager.suspendInactiveTabs();
+          return await this.tabManager.suspendInactiveTabs(payload);
+        case TAB_OPERATIONS.SUSPEND:
+          return await this.tabManager.suspendTabById(payload?.tabId, payload?.strategy);
+        case TAB_OPERATIONS.UNSUSPEND:
+          return await this.tabManager.unsuspendTab(payload?.tabId);
+        case TAB_OPERATIONS.UNSUSPEND_ALL:
+          return await this.tabManager.unsuspendAll();
+        case TAB_OPERATIONS.REPORT_FORM_STATE:
+          // Sent by the content script, which does not know its own tab id
+          return await this.tabManager.reportFormState(payload?.tabId ?? sender?.tab?.id, payload?.dirty);
         case 'GET_OLDEST':
           return await this.tabManager.getOldestTab();
+        case TAB_OPERATIONS.GROUP_BY_DOMAIN:
+          return await this.tabManager.groupAllWindows();
+        case TAB_OPERATIONS.APPLY_RULES:
+          return await this.tabManager.applyRulesToAllTabs();
+        case TAB_OPERATIONS.PREVIEW_RULES:
+          return await this.tabManager.previewRules(payload?.rules);
+        case TAB_OPERATIONS.EXPORT_RULES:
+          return await this.tabManager.exportRules();
+        case TAB_OPERATIONS.IMPORT_RULES:
+          return await this.tabManager.importRules(payload);
+        case TAB_OPERATIONS.SYNC_DECLARATIVE_RULES:
+          return await this.tabManager.syncDeclarativeRules();
+        case TAB_OPERATIONS.START_FOCUS:
+          return await this.focusManager.startFocus(payload);
+        case TAB_OPERATIONS.STOP_FOCUS:
+          return await this.focusManager.stopFocus();
+        case TAB_OPERATIONS.UPDATE_FOCUS_SETTINGS:
+          return await this.focusManager.updateSettings(payload);
+        case TAB_OPERATIONS.GET_FOCUS_STATUS:
+          return { success: true, status: this.focusManager.getStatus() };
+        case TAB_OPERATIONS.GET_JOB_STATUS:
+          return { success: true, jobs: this.jobScheduler.getStatus() };
+        case TAB_OPERATIONS.RUN_JOB:
+          return await this.jobScheduler.runJob(payload?.name);
+        case TAB_OPERATIONS.UPDATE_JOB_PERIOD:
+          return await this.jobScheduler.updatePeriod(payload?.name, payload?.periodMinutes);
+        case TAB_OPERATIONS.REMINDER_DECISION:
+          return await this.reminderManager.decide(payload?.tabId, payload?.decision, { tag: payload?.tag });
+        case TAB_OPERATIONS.GET_TAB_LIMIT_STATUS:
+          return await this.tabManager.getTabLimitInfo(payload);
+        case TAB_OPERATIONS.RESOLVE_TAB_LIMIT:
+          return await this.tabManager.resolveTabLimit(payload?.tabId, payload?.tag);
+        case TAB_OPERATIONS.GET_CLOSE_CANDIDATES:
+          return { success: true, candidates: await this.tabRanker.getCandidates(payload?.count, payload) };
+        case TAB_OPERATIONS.SNOOZE_TAB:
+          return await this.snoozeManager.snoozeTab(payload?.tabId, payload?.trigger);
+        case TAB_OPERATIONS.UPDATE_SNOOZE:
+          return await this.snoozeManager.updateSnooze(payload?.id, payload?.trigger);
+        case TAB_OPERATIONS.WAKE_SNOOZED:
+          return await this.snoozeManager.wake(payload?.id);
+        case TAB_OPERATIONS.CANCEL_SNOOZE:
+          return await this.snoozeManager.cancelSnooze(payload?.id);
         // Add other cases as needed
         default:
           logger.warn(`Unhandled action type: ${action}`);
@@ -11,8 +11,25 @@ import {
   VALIDATION_TYPES,
   BOOKMARK_CONFIG,
   MESSAGE_TYPES,
-  TAB_OPERATIONS  // Import TAB_OPERATIONS from constants
+  TAB_OPERATIONS,  // Import TAB_OPERATIONS from constants
+  GROUPING_CONFIG,
+  RULE_TYPES,
+  RULE_ACTION_TYPES,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  RULE_PACK,
+  DNR_CONFIG,
+  SUSPENSION_STRATEGIES,
+  SUSPENSION_CONFIG,
+  SUSPENSION_EXEMPTIONS,
+  TAB_LIMITS,
+  TAB_LIMIT_POLICIES,
+  TAB_LIMIT_CONFIG,
+  RANKING_CONFIG
 } from './constants.js';
+import { buildPlaceholderQuery, parsePlaceholderQuery } from './placeholder.js';
+import { isWithinSchedule, validateRuleSchedule, validateTimeWindow } from './schedule.js';
+import { rankTabs, getRankingContext } from './tabRanker.js';
 
 let stateManager; // Will be initialized later
 
@@ -106,8 +123,6 @@ export async function getTab(tabId) {
     try {
       const tab = await browser.tabs.get(tabId);
       logger.logPerformance('tabGet', performance.now() - startTime, { tabId });
-      // Update tab activity using updateTab to reflect last accessed
-      stateManager.dispatch(stateManager.actions.tabManagement.updateTab({ id: tabId, lastAccessed: Date.now() }));
       return tab;
     } catch (error) {
       logger.error('Tab get failed', {
@@ -147,10 +162,9 @@ export async function updateTab(tabId, updateProperties) {
   try {
     const updatedTab = await browser.tabs.update(tabId, updateProperties);
     // Use stateManager singleton for state updates
-    stateManager.dispatch(stateManager.actions.tabManagement.updateTab({ 
+    stateManager.dispatch(stateManager.actions.tabManagement.updateTab({
       id: tabId,
-      ...updateProperties,
-      lastAccessed: Date.now()
+      ...updateProperties
     }));
     return updatedTab;
   } catch (err) {
@@ -256,25 +270,71 @@ export async function updateTabMetadata(tabId, metadata) {
 }
 
 /**
- * Checks for inactive tabs and handles them based on inactivity thresholds.
+ * When the user last had a tab in front of them. The foreground tab is in use now;
+ * tabs never focused since the extension started fall back to the browser's own record.
+ * @param {Object} tab - The tab.
+ * @param {Object} [tabManagement] - The tabManagement state (`activity`, `foreground`).
+ * @param {number} [now] - Reference timestamp.
+ * @returns {number} Timestamp of the last activity.
+ */
+export function getLastActivity(tab, { activity = {}, foreground } = {}, now = Date.now()) {
+  if (foreground?.tabId === tab.id) return now;
+  return activity[tab.id]?.lastAccessed ?? tab.lastAccessed ?? now;
+}
+
+/**
+ * How long a tab has gone unused. Unless `pauseWhenIdle` is off, time the system spent
+ * idle or locked since the tab was last used does not count.
+ * @param {Object} tab - The tab.
+ * @param {Object} [tabManagement] - The tabManagement state (`activity`, `foreground`, `away`).
+ * @param {number} [now] - Reference timestamp.
+ * @param {Object} [options] - { pauseWhenIdle }
+ * @returns {number} Milliseconds of inactivity.
+ */
+export function getInactiveTime(tab, tabManagement = {}, now = Date.now(), { pauseWhenIdle = true } = {}) {
+  const elapsed = now - getLastActivity(tab, tabManagement, now);
+  const { away } = tabManagement;
+  const awayMark = tabManagement.activity?.[tab.id]?.awayMark;
+  if (!pauseWhenIdle || !away || awayMark === undefined) return elapsed;
+
+  const awayTotal = away.total + (away.since != null ? Math.max(0, now - away.since) : 0);
+  return Math.max(0, elapsed - (awayTotal - awayMark));
+}
+
+/**
+ * Checks for inactive tabs and handles them based on inactivity thresholds. Active
+ * tabs are visible in their window, focused or not, and are left alone.
  * @returns {Promise<void>}
  */
 export async function checkInactiveTabs() {
   const now = Date.now();
   const tabs = await browser.tabs.query({});
+  const [{ pauseInactivityWhenIdle }, strategy, neverSuspendDomains] = await Promise.all([
+    browser.storage.sync.get('pauseInactivityWhenIdle'),
+    getSuspensionStrategy(),
+    getNeverSuspendDomains()
+  ]);
   
   const state = stateManager.getState();
   for (const tab of tabs) {
-    const lastActivity = state.tabManagement.activity[tab.id]?.lastAccessed || now;
-    const inactiveTime = now - lastActivity;
-
-    if (inactiveTime >= CONFIG.INACTIVITY_THRESHOLDS.SUSPEND) {
-      await discardTab(tab.id);
-    } else if (inactiveTime >= CONFIG.INACTIVITY_THRESHOLDS.PROMPT) {
-      stateManager.dispatch({ 
-        type: 'SET_TAGGING_PROMPT_ACTIVE', 
-        payload: { tabId: tab.id, value: true } 
-      });
+    if (tab.active) continue;
+
+    const inactiveTime = getInactiveTime(tab, state.tabManagement, now, {
+      pauseWhenIdle: pauseInactivityWhenIdle !== false
+    });
+    const { neverSuspend, discardAfter } = state.tabManagement.metadata?.[tab.id] || {};
+    const suspendAfter = discardAfter !== undefined
+      ? discardAfter * 60000
+      : CONFIG.INACTIVITY_THRESHOLDS.SUSPEND;
+
+    if (neverSuspend) {
+      continue;
+    }
+
+    // Tabs past the prompt threshold are left to the reminder job. A rule's discard
+    // action discards whatever suspension strategy is configured
+    if (inactiveTime >= suspendAfter) {
+      await suspendTab(tab, discardAfter !== undefined ? SUSPENSION_STRATEGIES.DISCARD : strategy, { neverSuspendDomains });
     }
   }
 }
@@ -286,23 +346,174 @@ export async function* processTabBatches(tabs, batchSize = 10) {
 }
 
 /**
- * Handles tab creation with tab limit enforcement.
- * For simplicity, we just return false if limit exceeded and set oldest tab.
- * @param {Object} tab - The tab object.
- * @returns {Promise<boolean>}
+ * Reads the tab limits saved on the options page. The global limit falls back to
+ * `settings.maxTabs`; the per-window limit is off unless set.
+ * @returns {Promise<{globalLimit: number, windowLimit: number|null, policy: string}>}
+ */
+export async function getTabLimitSettings() {
+  const { tabLimit, windowTabLimit, tabLimitPolicy } =
+    await browser.storage.sync.get(['tabLimit', 'windowTabLimit', 'tabLimitPolicy']);
+  const isLimit = value => Number.isInteger(value) && value >= TAB_LIMITS.MIN && value <= TAB_LIMITS.MAX;
+
+  return {
+    globalLimit: isLimit(tabLimit)
+      ? tabLimit
+      : stateManager?.selectors.selectMaxTabs(stateManager.getState()) ?? TAB_LIMITS.DEFAULT,
+    windowLimit: isLimit(windowTabLimit) ? windowTabLimit : null,
+    policy: Object.values(TAB_LIMIT_POLICIES).includes(tabLimitPolicy) ? tabLimitPolicy : TAB_LIMIT_CONFIG.DEFAULT_POLICY
+  };
+}
+
+/**
+ * Counts tabs against the global and per-window limits.
+ * @param {Array<Object>} tabs - Open tabs in all windows.
+ * @param {number} windowId - The window to check.
+ * @param {Object} settings - From getTabLimitSettings.
+ * @returns {TabLimitStatus}
+ */
+export function getTabLimitStatus(tabs, windowId, { globalLimit, windowLimit, policy }) {
+  const inWindow = tabs.filter(tab => tab.windowId === windowId).length;
+  let exceeded = null;
+  // The window limit is reported first: closing a tab in the window satisfies both
+  if (windowLimit !== null && inWindow > windowLimit) {
+    exceeded = 'window';
+  } else if (tabs.length > globalLimit) {
+    exceeded = 'global';
+  }
+  return { globalLimit, windowLimit, policy, total: tabs.length, inWindow, exceeded };
+}
+
+// Tabs the extension opens itself, e.g. woken snoozed tabs, are not held to the limit
+const limitExemptTabIds = new Set();
+let limitPromptWindowId = null;
+
+/**
+ * Opens tabs without tab limit enforcement. Only the tabs `create` returns are exempt,
+ * so a tab the user opens at the same time is still held to the limit.
+ * @param {Function} create - Async call that opens a tab, several tabs or a window.
+ * @returns {Promise<*>} What `create` returns: a tab, an array of tabs or a window.
+ */
+export async function withoutTabLimit(create) {
+  const created = await create();
+  const tabs = Array.isArray(created) ? created : created && 'tabs' in created ? created.tabs || [] : [created];
+  tabs.forEach((tab) => {
+    if (tab?.id !== undefined) limitExemptTabIds.add(tab.id);
+  });
+  return created;
+}
+
+// Each exemption is used up by the tab's one creation event
+const takeLimitExemption = tab => limitExemptTabIds.delete(tab.id);
+
+const isExtensionPage = tab =>
+  [tab.pendingUrl, tab.url].some(url => typeof url === 'string' && url.startsWith(browser.runtime.getURL('')));
+
+async function notifyTabLimit(message) {
+  if (!browser.notifications) return;
+  try {
+    await browser.notifications.create(TAB_LIMIT_CONFIG.NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL(TAB_LIMIT_CONFIG.ICON),
+      title: 'Tab limit reached',
+      message
+    });
+  } catch (error) {
+    logger.warn('Could not show tab limit notification', { error: error.message });
+  }
+}
+
+// Reuses an open prompt window rather than stacking them
+async function openTabLimitPrompt(tab, status) {
+  if (limitPromptWindowId !== null) {
+    try {
+      await browser.windows.update(limitPromptWindowId, { focused: true });
+      return;
+    } catch (error) {
+      limitPromptWindowId = null;
+    }
+  }
+
+  const query = new URLSearchParams({ tabId: tab.id, windowId: tab.windowId, scope: status.exceeded });
+  const url = `${browser.runtime.getURL(TAB_LIMIT_CONFIG.PROMPT_PAGE)}?${query}`;
+  if (browser.windows) {
+    const promptWindow = await browser.windows.create({ url, type: 'popup', width: 480, height: 520 });
+    limitPromptWindowId = promptWindow.id;
+  } else {
+    await browser.tabs.create({ url });
+  }
+}
+
+/**
+ * Enforces the global and per-window tab limits when a tab is created, using the
+ * policy chosen on the options page.
+ * @param {Object} tab - The new tab.
+ * @returns {Promise<Object>} `{ enforced, status?, policy?, closedTabId?, archivedTabId? }`
  */
 export async function handleTabCreation(tab) {
-  const maxTabs = stateManager.selectors.selectMaxTabs(stateManager.getState());
-  const allTabs = await browser.tabs.query({});
-  
-  if (allTabs.length > maxTabs) {
-    const oldestTab = stateManager.selectors.selectOldestTab(stateManager.getState());
-    if (oldestTab) {
-      stateManager.dispatch(stateManager.actions.tabManagement.updateOldestTab(oldestTab));
+  if (takeLimitExemption(tab) || isExtensionPage(tab)) {
+    return { enforced: false };
+  }
+
+  const settings = await getTabLimitSettings();
+  const tabs = await browser.tabs.query({});
+  // The creation event can arrive before tabs.create resolves; by now the id is known
+  if (takeLimitExemption(tab)) {
+    return { enforced: false };
+  }
+  const status = getTabLimitStatus(tabs, tab.windowId, settings);
+  if (!status.exceeded) {
+    return { enforced: false, status };
+  }
+
+  const limitText = status.exceeded === 'window'
+    ? `${status.windowLimit} tabs per window`
+    : `${status.globalLimit} tabs`;
+  logger.info('Tab limit exceeded', { tabId: tab.id, ...status });
+
+  switch (settings.policy) {
+    case TAB_LIMIT_POLICIES.BLOCK:
+      await browser.tabs.remove(tab.id);
+      await notifyTabLimit(`The new tab was closed to stay within ${limitText}.`);
+      return { enforced: true, status, policy: settings.policy, closedTabId: tab.id };
+
+    case TAB_LIMIT_POLICIES.ARCHIVE_LRU: {
+      const context = await getRankingContext(stateManager?.getState().tabManagement);
+      const candidates = rankTabs(tabs, context, {
+        windowId: status.exceeded === 'window' ? tab.windowId : undefined,
+        excludeTabId: tab.id
+      }).filter(({ exemption }) => !exemption);
+      // Tabs that are already suspended refuse archiving; the next one is tried
+      for (const { tab: candidate } of candidates) {
+        const result = await suspendTab(candidate, SUSPENSION_STRATEGIES.ARCHIVE);
+        if (result.success) {
+          await notifyTabLimit(`"${candidate.title || candidate.url}" was archived to bookmarks to stay within ${limitText}.`);
+          return { enforced: true, status, policy: settings.policy, archivedTabId: candidate.id };
+        }
+      }
+      logger.warn('No tab could be archived to enforce the tab limit', { tabId: tab.id });
+      return { enforced: false, status, policy: settings.policy };
     }
-    return false;
+
+    default:
+      await openTabLimitPrompt(tab, status);
+      return { enforced: true, status, policy: settings.policy };
   }
-  return true;
+}
+
+/**
+ * Closes the tab picked on the tab limit prompt, bookmarking it under a tag if given.
+ * @param {number} tabId - The tab to close.
+ * @param {string} [tag] - Tag to bookmark it under.
+ * @returns {Promise<Object>} `{ success, tabId }`
+ */
+export async function resolveTabLimit(tabId, tag) {
+  const trimmedTag = typeof tag === 'string' ? tag.trim() : '';
+  if (trimmedTag) {
+    await tagTabAndBookmark(tabId, trimmedTag);
+  } else {
+    await browser.tabs.remove(tabId);
+  }
+  return { success: true, tabId };
 }
 
 export const validateTab = (tab) => {
@@ -333,11 +544,6 @@ export const TAG_TYPES = Object.freeze({
   MANUAL: 'manual'
 });
 
-export const RULE_TYPES = Object.freeze({
-  URL_PATTERN: 'urlPattern',
-  TITLE_PATTERN: 'titlePattern'
-});
-
 export const TAG_OPERATIONS = Object.freeze({
   ADD: 'add',
   REMOVE: 'remove',
@@ -368,10 +574,14 @@ export function validateTag(tag) {
 }
 
 export function validateRule(rule) {
-  const requiredFields = ['id', 'condition', 'action'];
-  if (!requiredFields.every(field => field in rule)) {
+  const requiredFields = ['id', 'condition'];
+  if (!requiredFields.every(field => field in rule) || !('action' in rule || 'actions' in rule)) {
     throw new Error('Invalid rule format');
   }
+  const { errors } = validateRuleDefinition(rule);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule: ${errors[0].path} ${errors[0].message}`);
+  }
   return true;
 }
 
@@ -514,253 +724,1898 @@ export async function processTabs(tabs, processor, {
   return { results, errors };
 }
 
+/**
+ * Maps an owner id to a stable dynamic rule id. Positive 32-bit integer ids are used
+ * as-is; anything else (e.g. `Date.now()` rule ids) is hashed into the valid range.
+ * @param {number|string} id - The owner's id.
+ * @returns {number}
+ */
+export function toDynamicRuleId(id) {
+  if (Number.isInteger(id) && id >= 1 && id <= DNR_CONFIG.MAX_RULE_ID) {
+    return id;
+  }
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (const char of String(id)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return (hash % DNR_CONFIG.MAX_RULE_ID) + 1;
+}
+
+/**
+ * Converts declarative rule definitions to dynamic rules with stable ids. Hash
+ * collisions are resolved by probing, in owner id order, so results do not depend
+ * on list order.
+ * @param {DeclarativeRule[]} rules - Rule definitions with their owner's id.
+ * @returns {Array<{sourceId, rule: Object}>} Dynamic rules paired with their owner id.
+ */
 export const convertToDeclarativeRules = (rules) => {
   if (!Array.isArray(rules)) {
     throw new TypeError('Rules must be an array');
   }
-  
-  return rules.map((rule, id) => ({
-    id: id + 1,
-    priority: 1,
-    condition: {
-      urlFilter: rule.condition,
-      resourceTypes: ['main_frame'],
-      domains: rule.domains || []
-    },
-    action: {
-      type: 'modifyHeaders',
-      responseHeaders: [{ 
-        header: 'X-TabCurator-Tag', 
-        operation: 'set', 
-        value: rule.tag 
-      }]
-    }
-  }));
-};
 
-export const activateRules = async (rules) => {
-  try {
-    const declarativeRules = convertToDeclarativeRules(rules);
-    await browser.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: rules.map((_, i) => i + 1),
-      addRules: declarativeRules
+  const usedIds = new Set();
+  return [...rules]
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .map(({ id: sourceId, priority = 1, condition = {}, action }) => {
+      let id = toDynamicRuleId(sourceId);
+      while (usedIds.has(id)) {
+        id = (id % DNR_CONFIG.MAX_RULE_ID) + 1;
+      }
+      usedIds.add(id);
+      return {
+        sourceId,
+        rule: {
+          id,
+          priority,
+          condition: { resourceTypes: DNR_CONFIG.DEFAULT_RESOURCE_TYPES, ...condition },
+          action
+        }
+      };
     });
-  } catch (error) {
-    console.error('Failed to activate rules:', error);
-    throw error;
-  }
 };
 
-export async function applyRulesToTab(tab, browserInstance, stateManager) {
-  if (!browserInstance?.declarativeNetRequest) {
-    throw new Error("Declarative Net Request API not available");
+const sameDynamicRule = (a, b) =>
+  JSON.stringify([a.priority, a.condition, a.action]) === JSON.stringify([b.priority, b.condition, b.action]);
+
+/**
+ * Makes the browser's dynamic rules match `rules`: stale rules are removed, changed
+ * rules replaced and new ones added, within the dynamic rule quota. Rules that do
+ * not fit or that the browser rejects are reported rather than failing the sync.
+ * @param {DeclarativeRule[]} rules - The complete desired rule set.
+ * @returns {Promise<Object>} `{ success, added, removed, unchanged, failed: [{ ruleId, error }] }`.
+ */
+export async function syncDynamicRules(rules) {
+  const dnr = browser.declarativeNetRequest;
+  if (!dnr?.getDynamicRules) {
+    throw new Error('Declarative Net Request API not available');
+  }
+
+  const failed = [];
+  const valid = rules.filter(rule => {
+    if (rule?.action?.type && rule.condition) return true;
+    failed.push({ ruleId: rule?.id, error: 'Rule needs a condition and an action type' });
+    return false;
+  });
+
+  const desired = convertToDeclarativeRules(valid);
+  const installed = new Map((await dnr.getDynamicRules()).map(rule => [rule.id, rule]));
+  const desiredIds = new Set(desired.map(({ rule }) => rule.id));
+
+  const removeRuleIds = [...installed.keys()].filter(id => !desiredIds.has(id));
+  const pending = [];
+  let unchanged = 0;
+  for (const entry of desired) {
+    const current = installed.get(entry.rule.id);
+    if (current && sameDynamicRule(current, entry.rule)) {
+      unchanged += 1;
+      continue;
+    }
+    if (current) removeRuleIds.push(current.id);
+    pending.push(entry);
   }
 
+  // Highest priority rules win the remaining quota
+  const quota = dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? DNR_CONFIG.DEFAULT_MAX_DYNAMIC_RULES;
+  pending.sort((a, b) => b.rule.priority - a.rule.priority);
+  const available = Math.max(0, quota - (installed.size - removeRuleIds.length));
+  pending.slice(available).forEach(({ sourceId }) =>
+    failed.push({ ruleId: sourceId, error: `Dynamic rule quota of ${quota} reached` })
+  );
+  const toAdd = pending.slice(0, available);
+
+  let added = toAdd.length;
   try {
-    const { rules = [] } = await browserInstance.storage.sync.get("rules");
-    
-    for (const rule of rules) {
+    await dnr.updateDynamicRules({ removeRuleIds, addRules: toAdd.map(({ rule }) => rule) });
+  } catch (error) {
+    // One invalid rule rejects the whole update; retry individually to isolate it
+    await dnr.updateDynamicRules({ removeRuleIds, addRules: [] });
+    added = 0;
+    for (const { sourceId, rule } of toAdd) {
       try {
-        if (!rule.condition || !rule.action) continue;
-
-        const matches = tab.url.includes(rule.condition) || 
-                       tab.title.includes(rule.condition);
-        
-        if (matches) {
-          const [actionType, tag] = rule.action.split(": ");
-          
-          if (actionType === 'Tag') {
-            const tabData = {
-              title: tab.title,
-              url: tab.url,
-              timestamp: Date.now()
-            };
-
-            logger.info('Archiving tab due to rule match', { tabId: tab.id, tag });
-
-            await stateManager.dispatch({ 
-              type: MESSAGE_TYPES.RULE_UPDATE,
-              payload: { 
-                tag, 
-                tabData,
-                ruleId: rule.id
-              }
-            });
-            
-            break;
-          }
-        }
+        await dnr.updateDynamicRules({ addRules: [rule] });
+        added += 1;
       } catch (ruleError) {
-        console.error(`Error processing rule for tab ${tab.id}:`, ruleError);
+        failed.push({ ruleId: sourceId, error: ruleError.message });
       }
     }
-  } catch (error) {
-    console.error(`Error applying rules to tab (ID: ${tab.id}):`, error);
-    throw error;
   }
-}
 
-export async function* processRulesBatch(rules, size = 10) {
-  for (let i = 0; i < rules.length; i += size) {
-    yield rules.slice(i, i + size);
+  if (failed.length > 0) {
+    logger.warn('Some dynamic rules could not be installed', { failed });
   }
+  return { success: failed.length === 0, added, removed: removeRuleIds.length, unchanged, failed };
 }
 
+export const activateRules = async (rules) => syncDynamicRules(rules);
+
 /**
- * Processes a batch of tab operations with background.js coordination
- * @param {Array<Object>} operations - Array of tab operations
- * @returns {Promise<Array>} Results of operations
+ * Converts a URL glob (`*` any run of characters, `?` one character) to an anchored RegExp.
+ * @param {string} glob - Glob such as `https://*.atlassian.net/*`.
+ * @returns {RegExp}
  */
-export async function processBatchOperations(operations) {
-  return browser.runtime.sendMessage({
-    type: MESSAGE_TYPES.TAB_ACTION,
-    action: 'batchProcess',
-    payload: { operations }
-  });
+export function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 'i');
 }
 
-// Testing utilities
-export const __testing__ = {
-  validateTabId: (tabId) => {
-    try {
-      validateTabId(tabId);
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: error.message };
-    }
-  },
-  
-  processBatch: async (tabs, processor, options) => {
-    return processTabs(tabs, processor, options);
-  },
-  
-  validateTag: (tag) => {
-    try {
-      validateTag(tag);
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: error.message };
-    }
-  },
-  
-  testTabLifecycle: async (createProps) => {
-    const tab = await createTab(createProps);
-    await updateTab(tab.id, { title: 'Test Update' });
-    await discardTab(tab.id);
-    await removeTab(tab.id);
-    return true;
+/**
+ * Converts a rule to its condition tree. Rules saved before the condition language
+ * carry a string `condition` plus an optional `type` (see RULE_TYPES).
+ *
+ * A condition tree is either a leaf `{ field, operator, value, param?, caseSensitive? }`
+ * or a combinator `{ all: [...] }`, `{ any: [...] }` or `{ not: condition }`.
+ * @param {Object} rule - The rule to convert.
+ * @returns {Object} The condition tree.
+ */
+export function normalizeCondition(rule) {
+  const { condition, type } = rule;
+  if (condition && typeof condition === 'object') {
+    return condition;
+  }
+
+  const leaf = (field, operator, caseSensitive = false) =>
+    ({ field, operator, value: condition, caseSensitive });
+
+  switch (type) {
+    case RULE_TYPES.URL_GLOB:
+      return leaf('url', 'glob');
+    case RULE_TYPES.URL_REGEX:
+      return leaf('url', 'matches', true);
+    case RULE_TYPES.TITLE_REGEX:
+      return leaf('title', 'matches');
+    case RULE_TYPES.TAG:
+      return leaf('tag', 'has');
+    case RULE_TYPES.URL_PATTERN:
+      return leaf('url', 'contains', true);
+    case RULE_TYPES.TITLE_PATTERN:
+      return leaf('title', 'contains', true);
+    default:
+      return { any: [leaf('url', 'contains', true), leaf('title', 'contains', true)] };
+  }
+}
+
+const countConditionLeaves = (condition) => {
+  if (condition?.all || condition?.any) {
+    return (condition.all || condition.any).reduce((sum, child) => sum + countConditionLeaves(child), 0);
   }
+  if (condition?.not) {
+    return countConditionLeaves(condition.not);
+  }
+  return 1;
 };
 
 /**
- * Tag the tab with the provided tag, bookmark it under the TabCurator folder, and then close it.
- * @param {number} tabId - The ID of the tab to tag and bookmark.
- * @param {string} tag - The tag to apply to the tab.
+ * Collects field-level errors for a condition tree.
+ * @param {Object} condition - The condition tree.
+ * @param {string} [path] - Path of `condition` within the rule, used in error entries.
+ * @returns {Array<{path: string, message: string}>}
  */
-export async function tagTabAndBookmark(tabId, tag) {
-  // Get the tab
-  const tab = await getTab(tabId);
-  
-  // Tag the tab by updating its title
-  const originalTitle = tab.title;
-  const taggedTitle = `[${tag}] ${originalTitle}`;
-  await updateTab(tabId, { title: taggedTitle });
-
-  // Find or create the "TabCurator" bookmark folder
-  let folderId;
-  const folders = await browser.bookmarks.search({ title: BOOKMARK_CONFIG.FOLDER_NAME });
-  if (folders.length === 0) {
-    const folder = await browser.bookmarks.create({ title: BOOKMARK_CONFIG.FOLDER_NAME });
-    folderId = folder.id;
-  } else {
-    folderId = folders[0].id;
+export function validateCondition(condition, path = 'condition') {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [{ path, message: 'must be a condition object' }];
   }
 
-  // Bookmark the tab under the TabCurator folder
-  await browser.bookmarks.create({
-    parentId: folderId,
-    title: taggedTitle,
-    url: tab.url
-  });
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      const children = condition[combinator];
+      if (!Array.isArray(children) || children.length === 0) {
+        return [{ path: `${path}.${combinator}`, message: 'must contain at least one condition' }];
+      }
+      return children.flatMap((child, index) => validateCondition(child, `${path}.${combinator}[${index}]`));
+    }
+  }
 
-  // Close the tab
-  await removeTab(tabId);
+  if ('not' in condition) {
+    return validateCondition(condition.not, `${path}.not`);
+  }
 
-  logger.info('Tab tagged, bookmarked, and closed', { tabId, tag });
+  const errors = [];
+  const kind = CONDITION_FIELDS[condition.field];
+  if (!kind) {
+    return [{ path: `${path}.field`, message: `unknown field "${condition.field}"` }];
+  }
+  if (!CONDITION_OPERATORS[kind].includes(condition.operator)) {
+    errors.push({ path: `${path}.operator`, message: `"${condition.operator}" is not valid for ${condition.field}` });
+  }
+  if (kind === 'query' && (typeof condition.param !== 'string' || !condition.param.trim())) {
+    errors.push({ path: `${path}.param`, message: 'query parameter name is required' });
+  }
 
-  stateManager.dispatch(
-    stateManager.actions.tabManagement.updateMetadata({
-      tabId,
-      metadata: {
-        tags: [tag],
-        lastTagged: Date.now()
+  const { value, operator } = condition;
+  if (kind === 'schedule') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path: `${path}.value`, message: 'must be a schedule object' });
+      return errors;
+    }
+    errors.push(...validateTimeWindow(value, `${path}.value`));
+  } else if (kind === 'boolean') {
+    if (typeof value !== 'boolean') {
+      errors.push({ path: `${path}.value`, message: 'must be true or false' });
+    }
+  } else if (kind === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      errors.push({ path: `${path}.value`, message: 'must be a non-negative number' });
+    }
+  } else if (operator !== 'exists') {
+    if (typeof value !== 'string' || value.length === 0) {
+      errors.push({ path: `${path}.value`, message: 'is required' });
+    } else if (operator === 'matches') {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        errors.push({ path: `${path}.value`, message: `invalid regular expression: ${error.message}` });
       }
-    })
-  );
+    }
+  }
+
+  return errors;
 }
 
+// Session actions work on the whole set of matched tabs, so only scheduled runs can perform them
+const isScheduledActionType = type =>
+  type === RULE_ACTION_TYPES.SAVE_SESSION || type === RULE_ACTION_TYPES.RESTORE_SESSION;
+
 /**
- * Refactored TabManager as a class
+ * Validates a complete rule and reports every problem with its path, so the
+ * options page can highlight the offending input.
+ * @param {Object} rule - The rule to validate.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
  */
-export class TabManager {
-  constructor() {
-    this.initialized = false;
-    this.stateManager = null;
+export function validateRuleDefinition(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, errors: [{ path: 'rule', message: 'must be an object' }] };
+  }
+  if (rule.id === undefined || rule.id === null || rule.id === '') {
+    errors.push({ path: 'id', message: 'is required' });
+  }
+  if (Array.isArray(rule.actions)) {
+    errors.push(...validateActions(rule.actions));
+  } else if (typeof rule.action !== 'string' || !rule.action.trim()) {
+    errors.push({ path: 'actions', message: 'must contain at least one action' });
   }
 
-  async initialize(stateManagerInstance) {
-    if (this.initialized) return;
-    if (!stateManagerInstance || !stateManagerInstance.store) {
-      throw new Error('Valid StateManager instance required');
-    }
-    
-    this.stateManager = stateManagerInstance;
-    stateManager = stateManagerInstance; // Set the module-level stateManager
-    
-    this.initialized = true;
-    logger.info('Tab manager initialized', { time: Date.now() });
+  const scheduled = rule.schedule !== undefined && rule.schedule !== null;
+  if (scheduled) {
+    errors.push(...validateRuleSchedule(rule.schedule));
+  } else {
+    normalizeActions(rule).forEach((action, index) => {
+      if (isScheduledActionType(action?.type)) {
+        errors.push({ path: `actions[${index}].type`, message: 'is only available on scheduled rules' });
+      }
+    });
   }
 
-  async handleTabUpdate(tabId, changeInfo, tab) {
-    try {
-      const updatedTab = await browser.tabs.get(tabId);
-      // ...handle the updated tab...
-    } catch (error) {
-      logger.error('handleTabUpdate failed', { error: error.message, tabId });
-    }
+  // A scheduled rule without a condition runs against every open tab
+  if (scheduled && (rule.condition === undefined || rule.condition === null || rule.condition === '')) {
+    return { valid: errors.length === 0, errors };
   }
 
-  async handleTabRemove(tabId) {
-    try {
-      const removedTab = await browser.tabs.get(tabId);
-      // ...handle the removed tab...
-    } catch (error) {
-      logger.error('Failed to handle tab removal', { error: error.message, tabId });
+  if (typeof rule.condition === 'string') {
+    if (!rule.condition.trim()) {
+      errors.push({ path: 'condition', message: 'is required' });
     }
   }
-
-  async cleanupInactiveTabs() {
-    // Utilize checkInactiveTabs to clean up
-    await checkInactiveTabs();
+  if (rule.condition !== undefined && rule.condition !== '') {
+    const condition = normalizeCondition(rule);
+    errors.push(...validateCondition(condition));
+    if (countConditionLeaves(condition) > VALIDATION.RULE.MAX_CONDITIONS) {
+      errors.push({ path: 'condition', message: `exceeds ${VALIDATION.RULE.MAX_CONDITIONS} conditions` });
+    }
+  } else if (!errors.some(error => error.path === 'condition')) {
+    errors.push({ path: 'condition', message: 'is required' });
   }
 
-  async enforceTabLimits() {
-    const maxTabs = stateManager.selectors.selectSettings(stateManager.getState()).maxTabs;
-    const allTabs = await browser.tabs.query({});
+  return { valid: errors.length === 0, errors };
+}
+
+const compileStringTest = (operator, expected, caseSensitive) => {
+  if (operator === 'glob') {
+    const pattern = globToRegExp(expected);
+    return actual => pattern.test(actual);
+  }
+  if (operator === 'matches') {
+    const pattern = new RegExp(expected, caseSensitive ? '' : 'i');
+    return actual => pattern.test(actual);
+  }
+
+  const needle = caseSensitive ? expected : expected.toLowerCase();
+  const fold = actual => (caseSensitive ? actual : actual.toLowerCase());
+  switch (operator) {
+    case 'equals':
+      return actual => fold(actual) === needle;
+    case 'contains':
+      return actual => fold(actual).includes(needle);
+    case 'startsWith':
+      return actual => fold(actual).startsWith(needle);
+    case 'endsWith':
+      return actual => fold(actual).endsWith(needle);
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+};
+
+const compileLeaf = ({ field, operator, value, param, caseSensitive = false }) => {
+  switch (CONDITION_FIELDS[field]) {
+    case 'boolean':
+      return context => Boolean(context.tab[field]) === value;
+    case 'number':
+      return operator === 'gt'
+        ? context => context.ageMinutes > value
+        : context => context.ageMinutes < value;
+    case 'tag':
+      return context => context.tags.includes(value);
+    case 'schedule':
+      return context => isWithinSchedule(value, context.now);
+    case 'query':
+      if (operator === 'exists') {
+        return context => Boolean(context.url?.searchParams.has(param));
+      }
+      return (test => context => {
+        const actual = context.url?.searchParams.get(param);
+        return actual !== null && actual !== undefined && test(actual);
+      })(compileStringTest(operator, value, caseSensitive));
+    default: {
+      const test = compileStringTest(operator, value, caseSensitive);
+      const read = {
+        host: context => context.url?.hostname ?? '',
+        path: context => context.url?.pathname ?? '',
+        url: context => context.tab.url || '',
+        title: context => context.tab.title || ''
+      }[field];
+      return context => test(read(context));
+    }
+  }
+};
+
+/**
+ * Compiles a condition tree into a predicate over a rule context.
+ * @param {Object} condition - A valid condition tree.
+ * @returns {function(Object): boolean}
+ */
+export function compileCondition(condition) {
+  if (condition.all) {
+    const children = condition.all.map(compileCondition);
+    return context => children.every(child => child(context));
+  }
+  if (condition.any) {
+    const children = condition.any.map(compileCondition);
+    return context => children.some(child => child(context));
+  }
+  if (condition.not) {
+    const child = compileCondition(condition.not);
+    return context => !child(context);
+  }
+  return compileLeaf(condition);
+}
+
+// Rules are re-read from storage on every evaluation, so cache by definition rather than identity
+const compiledConditions = new Map();
+const MAX_COMPILED_CONDITIONS = 500;
+
+const getCompiledCondition = (rule) => {
+  const condition = normalizeCondition(rule);
+  const key = JSON.stringify(condition);
+  if (!compiledConditions.has(key)) {
+    if (compiledConditions.size >= MAX_COMPILED_CONDITIONS) {
+      compiledConditions.clear();
+    }
+    compiledConditions.set(key, compileCondition(condition));
+  }
+  return compiledConditions.get(key);
+};
+
+/**
+ * Builds the evaluation context for a tab.
+ * @param {Object} tab - The tab to evaluate.
+ * @param {Object} [options] - { tags, lastAccessed, now }
+ * @returns {Object} Context consumed by compiled conditions.
+ */
+export function buildRuleContext(tab, { tags = [], lastAccessed, now = Date.now() } = {}) {
+  let url = null;
+  try {
+    url = new URL(tab.url);
+  } catch (error) {
+    // Non-URL values (e.g. empty new tab) only match url/title conditions
+  }
+  const accessedAt = lastAccessed ?? tab.lastAccessed ?? now;
+  return {
+    tab,
+    url,
+    tags,
+    now,
+    ageMinutes: Math.max(0, (now - accessedAt) / 60000)
+  };
+}
+
+/**
+ * Tests whether a rule's condition matches a tab.
+ * @param {Object} rule - Rule with a condition tree or a legacy string condition.
+ * @param {Object} tab - The tab to test.
+ * @param {string[]} [tags] - Tags currently stored for the tab.
+ * @param {Object} [context] - Extra context for buildRuleContext.
+ * @returns {boolean}
+ */
+export function matchesRule(rule, tab, tags = [], context = {}) {
+  return getCompiledCondition(rule)(buildRuleContext(tab, { ...context, tags }));
+}
+
+/**
+ * Splits a rule action string such as `"Group: Work"` into its type and value.
+ * @param {string} action - The rule action.
+ * @returns {{type: string, value: string}}
+ */
+export function parseRuleAction(action) {
+  const [actionType, ...rest] = String(action).split(': ');
+  return {
+    type: actionType.trim().toLowerCase(),
+    value: rest.join(': ').trim()
+  };
+}
+
+/**
+ * Returns a rule's ordered action list, converting the legacy single `action` string.
+ * @param {Object} rule - The rule.
+ * @returns {Array<Object>} Actions as `{ type, value?, color?, minutes? }`.
+ */
+export function normalizeActions(rule) {
+  if (Array.isArray(rule.actions)) {
+    return rule.actions;
+  }
+  if (typeof rule.action === 'string' && rule.action.trim()) {
+    return [{ ...parseRuleAction(rule.action), ...(rule.color ? { color: rule.color } : {}) }];
+  }
+  return [];
+}
+
+/**
+ * Collects field-level errors for a rule's action list.
+ * @param {Array<Object>} actions - The actions to validate.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateActions(actions) {
+  if (actions.length === 0) {
+    return [{ path: 'actions', message: 'must contain at least one action' }];
+  }
+
+  return actions.flatMap((action, index) => {
+    const path = `actions[${index}]`;
+    if (!Object.values(RULE_ACTION_TYPES).includes(action?.type)) {
+      return [{ path: `${path}.type`, message: `unknown action "${action?.type}"` }];
+    }
+
+    switch (action.type) {
+      case RULE_ACTION_TYPES.TAG:
+      case RULE_ACTION_TYPES.BOOKMARK_CLOSE:
+        try {
+          validateTag(action.value);
+          return [];
+        } catch (error) {
+          return [{ path: `${path}.value`, message: error.message }];
+        }
+      case RULE_ACTION_TYPES.GROUP:
+        return typeof action.value === 'string' && action.value.trim()
+          ? []
+          : [{ path: `${path}.value`, message: 'group name is required' }];
+      case RULE_ACTION_TYPES.SAVE_SESSION:
+      case RULE_ACTION_TYPES.RESTORE_SESSION:
+        return typeof action.value === 'string' && action.value.trim()
+          ? []
+          : [{ path: `${path}.value`, message: 'session name is required' }];
+      case RULE_ACTION_TYPES.DISCARD:
+        return Number.isInteger(action.minutes) && action.minutes >= 0
+          ? []
+          : [{ path: `${path}.minutes`, message: 'must be a whole number of minutes' }];
+      case RULE_ACTION_TYPES.MOVE_TO_WINDOW:
+        return action.value === 'new' || Number.isInteger(action.value)
+          ? []
+          : [{ path: `${path}.value`, message: 'must be a window id or "new"' }];
+      default:
+        return [];
+    }
+  });
+}
+
+const updateRuleMetadata = (tabId, metadata) =>
+  stateManager.dispatch(stateManager.actions.tabManagement.updateMetadata({ tabId, metadata }));
+
+// Metadata only rule actions set; rules that still match set it again on re-evaluation
+const RULE_METADATA_FIELDS = ['neverSuspend', 'discardAfter'];
+
+/**
+ * Performs a single rule action and resolves with details for its result.
+ * Actions that close the tab set `context.closed`.
+ * @param {Object} tab - The matched tab.
+ * @param {Object} action - The action to perform.
+ * @param {Object} context - Shared evaluation context.
+ * @returns {Promise<Object>}
+ */
+async function runRuleAction(tab, action, context) {
+  switch (action.type) {
+    case RULE_ACTION_TYPES.TAG:
+      if (!context.tags.includes(action.value)) {
+        context.tags = [...context.tags, action.value];
+      }
+      if (!context.ruleTags.includes(action.value)) {
+        context.ruleTags = [...context.ruleTags, action.value];
+      }
+      updateRuleMetadata(tab.id, { tags: context.tags, ruleTags: context.ruleTags, lastTagged: Date.now() });
+      return { tag: action.value };
+
+    case RULE_ACTION_TYPES.GROUP: {
+      const record = await moveTabToCategoryGroup(tab, action.value, action.color);
+      return { group: action.value, groupId: record.id };
+    }
+
+    case RULE_ACTION_TYPES.PIN:
+      await browser.tabs.update(tab.id, { pinned: true });
+      return { pinned: true };
+
+    case RULE_ACTION_TYPES.MUTE:
+      await browser.tabs.update(tab.id, { muted: true });
+      return { muted: true };
+
+    case RULE_ACTION_TYPES.DISCARD: {
+      const lastAccessed = context.lastAccessed ?? tab.lastAccessed ?? Date.now();
+      if ((Date.now() - lastAccessed) / 60000 >= action.minutes) {
+        const result = await discardTab(tab.id);
+        if (!result.success) {
+          throw new Error(result.reason || result.error);
+        }
+        return { discarded: true };
+      }
+      // Until then; checkInactiveTabs discards it, regardless of the suspension strategy, once idle that long
+      updateRuleMetadata(tab.id, { discardAfter: action.minutes });
+      return { discarded: false, discardAfter: action.minutes };
+    }
+
+    case RULE_ACTION_TYPES.BOOKMARK_CLOSE:
+      await tagTabAndBookmark(tab.id, action.value);
+      context.closed = true;
+      return { bookmarked: true, closed: true };
+
+    case RULE_ACTION_TYPES.MOVE_TO_WINDOW:
+      if (action.value === 'new') {
+        const win = await browser.windows.create({ tabId: tab.id });
+        return { windowId: win.id };
+      }
+      await browser.tabs.move(tab.id, { windowId: action.value, index: -1 });
+      return { windowId: action.value };
+
+    case RULE_ACTION_TYPES.NEVER_SUSPEND:
+      updateRuleMetadata(tab.id, { neverSuspend: true });
+      return { neverSuspend: true };
+
+    case RULE_ACTION_TYPES.SAVE_SESSION:
+      // The scheduled run saves each session once, then closes its tabs
+      if (!context.sessions) {
+        throw new Error('Session actions only run on a schedule');
+      }
+      context.sessions[action.value] = [...(context.sessions[action.value] || []), tab];
+      context.closed = true;
+      return { session: action.value, closed: true };
+
+    default:
+      throw new Error(`Unknown rule action: ${action.type}`);
+  }
+}
+
+/**
+ * Runs a rule's actions in order. A failing action is reported and the pipeline
+ * continues; actions after one that closes the tab are reported as skipped.
+ * @param {Object} tab - The matched tab.
+ * @param {Array<Object>} actions - Actions from normalizeActions.
+ * @param {Object} context - Shared evaluation context ({ tags, lastAccessed }), updated in place.
+ * @returns {Promise<Array<Object>>} One `{ type, success, ... }` entry per action.
+ */
+export async function executeRuleActions(tab, actions, context) {
+  const results = [];
+  for (const action of actions) {
+    if (context.closed) {
+      results.push({ type: action.type, success: false, skipped: true, reason: 'Tab closed' });
+      continue;
+    }
+
+    try {
+      const details = await runRuleAction(tab, action, context);
+      results.push({ type: action.type, success: true, ...details });
+    } catch (error) {
+      logger.error('Rule action failed', { tabId: tab.id, action: action.type, error: error.message });
+      results.push({ type: action.type, success: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Moves a tab into the native group for a category in the tab's window. Each window
+ * gets at most one group per category, all sharing the category's name and color.
+ * @param {Object} tab - The tab to move.
+ * @param {string} name - Category name, used as the group title.
+ * @param {string} [color] - Group color; defaults to the stored category color.
+ * @returns {Promise<Object>} The stored group record.
+ */
+export async function moveTabToCategoryGroup(tab, name, color) {
+  if (!isTabGroupingAvailable()) {
+    throw new Error('Tab groups API not available');
+  }
+
+  const categories = stateManager.selectors.selectCategories(stateManager.getState());
+  const groupColor = color || categories[name]?.color || getGroupColor(name);
+  if (categories[name]?.color !== groupColor) {
+    stateManager.dispatch(stateManager.actions.categories.upsertCategory({ name, color: groupColor }));
+  }
+
+  return addTabsToGroup({
+    windowId: tab.windowId,
+    key: name,
+    title: name,
+    color: groupColor,
+    source: GROUPING_CONFIG.SOURCES.CATEGORY
+  }, [tab.id]);
+}
+
+/**
+ * Evaluates the stored rules against a tab and runs the actions of every matching
+ * rule, in rule order, until a rule with `stopProcessing` matches.
+ * @param {Object} tab - The tab to evaluate.
+ * @param {Object} browserInstance - Browser API namespace.
+ * @param {Object} stateManager - State manager used for tags and activity.
+ * @param {Object} [options]
+ * @param {boolean} [options.reevaluate] - Drop tags and flags set by earlier rule runs first, e.g. after the tab navigated.
+ * @returns {Promise<Object|null>} `{ tabId, matches: [{ ruleId, results, stopped }] }`, or null when no rule matched.
+ */
+export async function applyRulesToTab(tab, browserInstance, stateManager, { reevaluate = false } = {}) {
+  if (!browserInstance?.declarativeNetRequest) {
+    throw new Error("Declarative Net Request API not available");
+  }
+
+  try {
+    const { rules = [] } = await browserInstance.storage.sync.get("rules");
+    const tabManagement = stateManager.getState().tabManagement || {};
+    const metadata = tabManagement.metadata?.[tab.id] || {};
+    const { tags = [], ruleTags = [] } = metadata;
+    const staleFields = reevaluate ? RULE_METADATA_FIELDS.filter(field => metadata[field] !== undefined) : [];
+    if (staleFields.length > 0) {
+      stateManager.dispatch(stateManager.actions.tabManagement.updateMetadata({
+        tabId: tab.id,
+        metadata: Object.fromEntries(staleFields.map(field => [field, undefined]))
+      }));
+    }
+    const context = {
+      tags: reevaluate ? tags.filter(tag => !ruleTags.includes(tag)) : tags,
+      ruleTags: reevaluate ? [] : ruleTags,
+      lastAccessed: getLastActivity(tab, tabManagement),
+      closed: false
+    };
+    const matches = [];
+    
+    for (const rule of rules) {
+      if (context.closed) break;
+      try {
+        const actions = normalizeActions(rule);
+        // Scheduled rules run from their alarm (see RuleScheduler), not on tab events
+        if (rule.schedule || !rule.condition || actions.length === 0) continue;
+
+        if (!matchesRule(rule, tab, context.tags, { lastAccessed: context.lastAccessed })) continue;
+
+        const results = await executeRuleActions(tab, actions, context);
+        const stopped = Boolean(rule.stopProcessing);
+        matches.push({ ruleId: rule.id, results, stopped });
+        logger.info('Applied rule to tab', { tabId: tab.id, ruleId: rule.id, actions: results.length });
+
+        if (stopped) break;
+      } catch (ruleError) {
+        console.error(`Error processing rule for tab ${tab.id}:`, ruleError);
+      }
+    }
+
+    if (reevaluate && ruleTags.length > 0 && !context.closed) {
+      stateManager.dispatch(stateManager.actions.tabManagement.updateMetadata({
+        tabId: tab.id,
+        metadata: { tags: context.tags, ruleTags: context.ruleTags }
+      }));
+    }
+    return matches.length > 0 ? { tabId: tab.id, matches } : null;
+  } catch (error) {
+    console.error(`Error applying rules to tab (ID: ${tab.id}):`, error);
+    throw error;
+  }
+}
+
+/**
+ * Dry-run counterpart of applyRulesToTab: reports which rules would match a tab and
+ * which actions they would run, without touching the tab or state. Tags added by
+ * earlier rules are visible to later ones, as they are during a real run.
+ * @param {Object} tab - The tab to evaluate.
+ * @param {Array<Object>} rules - Draft rules, in evaluation order.
+ * @param {Object} [context] - { tags, lastAccessed }
+ * @returns {Array<{ruleId, actions: Array<Object>, stopped: boolean}>}
+ */
+export function previewRulesForTab(tab, rules, { tags = [], lastAccessed } = {}) {
+  const matches = [];
+  let simulatedTags = tags;
+  let closed = false;
+
+  for (const rule of rules) {
+    if (closed) break;
+    const actions = normalizeActions(rule);
+    if (rule.schedule || !rule.condition || actions.length === 0) continue;
+    if (!matchesRule(rule, tab, simulatedTags, { lastAccessed })) continue;
+
+    const planned = actions.map(action => {
+      if (closed) {
+        return { ...action, skipped: true };
+      }
+      if (action.type === RULE_ACTION_TYPES.TAG && !simulatedTags.includes(action.value)) {
+        simulatedTags = [...simulatedTags, action.value];
+      }
+      if (action.type === RULE_ACTION_TYPES.BOOKMARK_CLOSE) {
+        closed = true;
+      }
+      return action;
+    });
+    matches.push({ ruleId: rule.id, actions: planned, stopped: Boolean(rule.stopProcessing) });
+
+    if (rule.stopProcessing) break;
+  }
+  return matches;
+}
+
+/**
+ * Converts a rule to the current shape: a condition tree plus an ordered action list.
+ * @param {Object} rule - A current or legacy `{ condition, action, type? }` rule.
+ * @returns {Object} The migrated rule.
+ */
+export function migrateRule(rule) {
+  const { type, action, color, ...rest } = rule;
+  const hasCondition = rule.condition !== undefined && rule.condition !== null && rule.condition !== '';
+  return {
+    ...rest,
+    ...(hasCondition || !rule.schedule ? { condition: normalizeCondition(rule) } : {}),
+    actions: normalizeActions(rule),
+    stopProcessing: Boolean(rule.stopProcessing)
+  };
+}
+
+/**
+ * Builds a rule pack for export.
+ * @param {Array<Object>} rules - Stored rules.
+ * @param {Object} [categories] - Category map from state, name -> { name, color }.
+ * @returns {Object} Versioned rule pack.
+ */
+export function createRulePack(rules, categories = {}) {
+  return {
+    format: RULE_PACK.FORMAT,
+    version: RULE_PACK.VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: rules.map(migrateRule),
+    categories: Object.values(categories).map(({ name, color }) => ({ name, color }))
+  };
+}
+
+/**
+ * Parses and validates a rule pack, migrating older versions.
+ * @param {Object|Array|string} data - Pack object, legacy rule array, or their JSON text.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, rules: Array<Object>, categories: Array<Object>}}
+ */
+export function parseRulePack(data) {
+  const invalid = (path, message) => ({ valid: false, errors: [{ path, message }], rules: [], categories: [] });
+
+  let pack = data;
+  if (typeof data === 'string') {
+    try {
+      pack = JSON.parse(data);
+    } catch (error) {
+      return invalid('file', 'is not valid JSON');
+    }
+  }
+
+  if (Array.isArray(pack)) {
+    pack = { format: RULE_PACK.FORMAT, version: 1, rules: pack, categories: [] };
+  }
+  if (!pack || typeof pack !== 'object' || pack.format !== RULE_PACK.FORMAT) {
+    return invalid('format', 'is not a TabCurator rule pack');
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    return invalid('version', 'is missing');
+  }
+  if (pack.version > RULE_PACK.VERSION) {
+    return invalid('version', `${pack.version} is newer than this version of TabCurator supports`);
+  }
+  if (!Array.isArray(pack.rules)) {
+    return invalid('rules', 'must be an array');
+  }
+
+  const errors = [];
+  const rules = pack.rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      errors.push({ path: `rules[${index}]`, message: 'must be an object' });
+      return null;
+    }
+    const migrated = migrateRule(rule);
+    validateRuleDefinition(migrated).errors.forEach(error =>
+      errors.push({ path: `rules[${index}].${error.path}`, message: error.message })
+    );
+    return migrated;
+  });
+
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    if (!rule) return;
+    if (seen.has(rule.id)) {
+      errors.push({ path: `rules[${index}].id`, message: `duplicates id ${rule.id}` });
+    }
+    seen.add(rule.id);
+  });
+
+  const categories = Array.isArray(pack.categories) ? pack.categories : [];
+  categories.forEach((category, index) => {
+    if (typeof category?.name !== 'string' || !category.name.trim()) {
+      errors.push({ path: `categories[${index}].name`, message: 'is required' });
+    } else if (category.color && !GROUPING_CONFIG.COLORS.includes(category.color)) {
+      errors.push({ path: `categories[${index}].color`, message: `"${category.color}" is not a group color` });
+    }
+  });
+
+  return { valid: errors.length === 0, errors, rules, categories };
+}
+
+/**
+ * Combines stored and imported rules according to an import mode.
+ * @param {Array<Object>} existing - Stored rules.
+ * @param {Array<Object>} incoming - Rules from a parsed pack.
+ * @param {string} mode - One of RULE_PACK.IMPORT_MODES.
+ * @returns {Array<Object>} The resulting rule set.
+ */
+export function mergeRules(existing, incoming, mode) {
+  switch (mode) {
+    case RULE_PACK.IMPORT_MODES.REPLACE:
+      return incoming;
+    case RULE_PACK.IMPORT_MODES.MERGE: {
+      const byId = new Map(incoming.map(rule => [rule.id, rule]));
+      const merged = existing.map(rule => byId.get(rule.id) ?? rule);
+      const existingIds = new Set(existing.map(rule => rule.id));
+      return [...merged, ...incoming.filter(rule => !existingIds.has(rule.id))];
+    }
+    case RULE_PACK.IMPORT_MODES.APPEND: {
+      const usedIds = new Set(existing.map(rule => rule.id));
+      let nextId = Date.now();
+      const appended = incoming.map(rule => {
+        while (usedIds.has(nextId)) nextId += 1;
+        usedIds.add(nextId);
+        return { ...rule, id: nextId };
+      });
+      return [...existing, ...appended];
+    }
+    default:
+      throw new Error(`Unknown import mode: ${mode}`);
+  }
+}
+
+export async function* processRulesBatch(rules, size = 10) {
+  for (let i = 0; i < rules.length; i += size) {
+    yield rules.slice(i, i + size);
+  }
+}
+
+/**
+ * Processes a batch of tab operations with background.js coordination
+ * @param {Array<Object>} operations - Array of tab operations
+ * @returns {Promise<Array>} Results of operations
+ */
+export async function processBatchOperations(operations) {
+  return browser.runtime.sendMessage({
+    type: MESSAGE_TYPES.TAB_ACTION,
+    action: 'batchProcess',
+    payload: { operations }
+  });
+}
+
+// Testing utilities
+export const __testing__ = {
+  validateTabId: (tabId) => {
+    try {
+      validateTabId(tabId);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  },
+  
+  processBatch: async (tabs, processor, options) => {
+    return processTabs(tabs, processor, options);
+  },
+  
+  validateTag: (tag) => {
+    try {
+      validateTag(tag);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  },
+  
+  testTabLifecycle: async (createProps) => {
+    const tab = await createTab(createProps);
+    await updateTab(tab.id, { title: 'Test Update' });
+    await discardTab(tab.id);
+    await removeTab(tab.id);
+    return true;
+  }
+};
+
+/**
+ * Tag the tab with the provided tag, bookmark it under the TabCurator folder, and then close it.
+ * @param {number} tabId - The ID of the tab to tag and bookmark.
+ * @param {string} tag - The tag to apply to the tab.
+ */
+async function getBookmarkFolderId() {
+  // Find or create the "TabCurator" bookmark folder
+  const folders = await browser.bookmarks.search({ title: BOOKMARK_CONFIG.FOLDER_NAME });
+  if (folders.length > 0) {
+    return folders[0].id;
+  }
+  const folder = await browser.bookmarks.create({ title: BOOKMARK_CONFIG.FOLDER_NAME });
+  return folder.id;
+}
+
+/**
+ * Bookmarks a tab in the TabCurator folder and closes it.
+ * @param {Object} tab - The tab.
+ * @returns {Promise<Object>} The bookmark.
+ */
+export async function bookmarkAndCloseTab(tab) {
+  const bookmark = await browser.bookmarks.create({
+    parentId: await getBookmarkFolderId(),
+    title: tab.title,
+    url: tab.url
+  });
+  await browser.tabs.remove(tab.id);
+  logger.info('Tab bookmarked and closed', { tabId: tab.id });
+  return bookmark;
+}
+
+export async function tagTabAndBookmark(tabId, tag) {
+  // Get the tab
+  const tab = await getTab(tabId);
+  
+  // Tag the tab by updating its title
+  const originalTitle = tab.title;
+  const taggedTitle = `[${tag}] ${originalTitle}`;
+  await updateTab(tabId, { title: taggedTitle });
+
+  const folderId = await getBookmarkFolderId();
+
+  // Bookmark the tab under the TabCurator folder
+  await browser.bookmarks.create({
+    parentId: folderId,
+    title: taggedTitle,
+    url: tab.url
+  });
+
+  // Close the tab
+  await removeTab(tabId);
+
+  logger.info('Tab tagged, bookmarked, and closed', { tabId, tag });
+
+  stateManager.dispatch(
+    stateManager.actions.tabManagement.updateMetadata({
+      tabId,
+      metadata: {
+        tags: [tag],
+        lastTagged: Date.now()
+      }
+    })
+  );
+}
+
+/**
+ * Builds the placeholder page URL for a suspended tab.
+ * @param {SuspendedTab} entry - The suspension record.
+ * @returns {string}
+ */
+export function getPlaceholderUrl(entry) {
+  return `${browser.runtime.getURL(SUSPENSION_CONFIG.PLACEHOLDER_PAGE)}?${buildPlaceholderQuery(entry)}`;
+}
+
+export function isPlaceholderUrl(url) {
+  return typeof url === 'string' && url.startsWith(browser.runtime.getURL(SUSPENSION_CONFIG.PLACEHOLDER_PAGE));
+}
+
+/**
+ * Reads the suspension strategy chosen on the options page.
+ * @returns {Promise<string>} One of SUSPENSION_STRATEGIES.
+ */
+export async function getSuspensionStrategy() {
+  const { suspensionStrategy } = await browser.storage.sync.get('suspensionStrategy');
+  return Object.values(SUSPENSION_STRATEGIES).includes(suspensionStrategy)
+    ? suspensionStrategy
+    : SUSPENSION_CONFIG.DEFAULT_STRATEGY;
+}
+
+const getSuspendedEntries = () => stateManager?.getState().tabManagement?.suspended || {};
+
+/**
+ * Reads the never-suspend site list saved on the options page.
+ * @returns {Promise<string[]>} Hostnames without `www.`.
+ */
+export async function getNeverSuspendDomains() {
+  const { neverSuspendDomains } = await browser.storage.sync.get('neverSuspendDomains');
+  return Array.isArray(neverSuspendDomains) ? neverSuspendDomains : [];
+}
+
+const getSiteHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Decides whether a tab has to stay awake. Every suspension goes through this check.
+ * @param {Object} tab - The tab to check.
+ * @param {Object} [context]
+ * @param {Object} [context.metadata] - The tab's metadata: tags, rule flags, unsaved form input.
+ * @param {string[]} [context.neverSuspendDomains] - Sites that are never suspended, subdomains included.
+ * @returns {string|null} One of SUSPENSION_EXEMPTIONS, or null when the tab may be suspended.
+ */
+export function getSuspensionExemption(tab, { metadata = {}, neverSuspendDomains = [] } = {}) {
+  // The active tab of every window is on screen, whether or not its window has focus
+  if (tab.active) return SUSPENSION_EXEMPTIONS.ACTIVE;
+  if (tab.pinned) return SUSPENSION_EXEMPTIONS.PINNED;
+  if (tab.audible) return SUSPENSION_EXEMPTIONS.AUDIBLE;
+
+  // Only Firefox reports camera, microphone and screen sharing per tab
+  const { camera, microphone, screen } = tab.sharingState || {};
+  if (camera || microphone || screen) return SUSPENSION_EXEMPTIONS.MEDIA_CAPTURE;
+
+  if (metadata.unsavedForm) return SUSPENSION_EXEMPTIONS.UNSAVED_FORM;
+
+  const hostname = getSiteHostname(tab.url);
+  if (hostname && neverSuspendDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+    return SUSPENSION_EXEMPTIONS.NEVER_SUSPEND_DOMAIN;
+  }
+
+  const keepTag = SUSPENSION_CONFIG.KEEP_TAG;
+  const tags = [...(metadata.tags || []), ...(metadata.ruleTags || [])];
+  if (tags.some(tag => typeof tag === 'string' && tag.toLowerCase() === keepTag)) {
+    return SUSPENSION_EXEMPTIONS.KEEP_TAG;
+  }
+
+  if (metadata.neverSuspend) return SUSPENSION_EXEMPTIONS.NEVER_SUSPEND_RULE;
+  return null;
+}
+
+// Keeps the popup's list of exempt tabs current; only dispatches when the reason changes
+function recordExemption(tab, reason) {
+  const { recordExemption: record, clearExemption } = stateManager.actions.tabManagement;
+  const existing = stateManager.getState().tabManagement?.exemptions?.[tab.id];
+
+  if (!reason) {
+    if (existing) stateManager.dispatch(clearExemption(tab.id));
+    return;
+  }
+  if (existing?.reason !== reason) {
+    stateManager.dispatch(record({ tabId: tab.id, reason, title: tab.title, url: tab.url, checkedAt: Date.now() }));
+  }
+}
+
+/**
+ * Records whether a tab holds form input that has not been submitted, as reported
+ * by the content script.
+ * @param {number} tabId - The tab.
+ * @param {boolean} dirty - Whether the page has unsaved input.
+ */
+export function setUnsavedForm(tabId, dirty) {
+  const metadata = stateManager?.getState().tabManagement?.metadata?.[tabId];
+  if (Boolean(metadata?.unsavedForm) === Boolean(dirty)) return;
+
+  stateManager.dispatch(stateManager.actions.tabManagement.updateMetadata({
+    tabId,
+    metadata: { unsavedForm: Boolean(dirty) }
+  }));
+  if (!dirty && stateManager.getState().tabManagement?.exemptions?.[tabId]?.reason === SUSPENSION_EXEMPTIONS.UNSAVED_FORM) {
+    stateManager.dispatch(stateManager.actions.tabManagement.clearExemption(tabId));
+  }
+}
+
+const screenshotKey = id => `${SUSPENSION_CONFIG.SCREENSHOT_PREFIX}${id}`;
+
+/**
+ * Stores a screenshot of a tab for its placeholder page. Only the active tab of a
+ * window can be captured, so background tabs are suspended without one.
+ * @param {Object} tab - The tab about to be suspended.
+ * @param {string} id - Screenshot id.
+ * @returns {Promise<string|null>} The id, or null when nothing was captured.
+ */
+async function captureScreenshot(tab, id) {
+  if (!tab.active || typeof browser.tabs.captureVisibleTab !== 'function') return null;
+
+  try {
+    const dataUrl = await browser.tabs.captureVisibleTab(tab.windowId, {
+      format: 'jpeg',
+      quality: SUSPENSION_CONFIG.SCREENSHOT_QUALITY
+    });
+    const { [SUSPENSION_CONFIG.SCREENSHOT_INDEX]: index = [] } =
+      await browser.storage.local.get(SUSPENSION_CONFIG.SCREENSHOT_INDEX);
+    const ids = [...index, id];
+    const expired = ids.slice(0, Math.max(0, ids.length - SUSPENSION_CONFIG.MAX_SCREENSHOTS));
+
+    await browser.storage.local.set({
+      [screenshotKey(id)]: dataUrl,
+      [SUSPENSION_CONFIG.SCREENSHOT_INDEX]: ids.slice(expired.length)
+    });
+    if (expired.length > 0) {
+      await browser.storage.local.remove(expired.map(screenshotKey));
+    }
+    return id;
+  } catch (error) {
+    logger.warn('Could not capture tab screenshot', { tabId: tab.id, error: error.message });
+    return null;
+  }
+}
+
+async function removeScreenshot(id) {
+  if (!id) return;
+  try {
+    const { [SUSPENSION_CONFIG.SCREENSHOT_INDEX]: index = [] } =
+      await browser.storage.local.get(SUSPENSION_CONFIG.SCREENSHOT_INDEX);
+    await browser.storage.local.set({ [SUSPENSION_CONFIG.SCREENSHOT_INDEX]: index.filter(other => other !== id) });
+    await browser.storage.local.remove(screenshotKey(id));
+  } catch (error) {
+    logger.warn('Could not remove tab screenshot', { id, error: error.message });
+  }
+}
+
+// Safari has no tabs.discard
+const canDiscard = () => typeof browser.tabs.discard === 'function';
+
+/**
+ * Suspends a tab with the given strategy and records it in the `suspended` map,
+ * so it can be woken up later with unsuspendTab.
+ * @param {Object} tab - The tab to suspend.
+ * @param {string} [strategy] - One of SUSPENSION_STRATEGIES; defaults to the configured strategy.
+ * @param {Object} [options] - { neverSuspendDomains } already read, for callers suspending many tabs.
+ * @returns {Promise<Object>} `{ success, tabId, strategy }` or `{ success: false, reason|error }`.
+ */
+export async function suspendTab(tab, strategy, { neverSuspendDomains } = {}) {
+  const selected = strategy || await getSuspensionStrategy();
+  if (!Object.values(SUSPENSION_STRATEGIES).includes(selected)) {
+    return { success: false, tabId: tab.id, error: `Unknown suspension strategy: ${selected}` };
+  }
+  if (getSuspendedEntries()[tab.id] || tab.discarded || isPlaceholderUrl(tab.url)) {
+    return { success: false, tabId: tab.id, reason: 'Tab is already suspended' };
+  }
+
+  const exemption = getSuspensionExemption(tab, {
+    metadata: stateManager.getState().tabManagement?.metadata?.[tab.id],
+    neverSuspendDomains: neverSuspendDomains || await getNeverSuspendDomains()
+  });
+  recordExemption(tab, exemption);
+  if (exemption) {
+    return { success: false, tabId: tab.id, reason: 'Tab is exempt from suspension', exemption };
+  }
+
+  const entry = {
+    tabId: tab.id,
+    strategy: selected,
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: Boolean(tab.pinned),
+    suspendedAt: Date.now()
+  };
+  const { markSuspended, clearSuspended } = stateManager.actions.tabManagement;
+
+  if (selected === SUSPENSION_STRATEGIES.DISCARD && !canDiscard()) {
+    return suspendTab(tab, SUSPENSION_STRATEGIES.PLACEHOLDER, { neverSuspendDomains });
+  }
+
+  try {
+    switch (selected) {
+      case SUSPENSION_STRATEGIES.DISCARD: {
+        const result = await discardTab(tab.id);
+        if (result.reason) {
+          return { ...result, tabId: tab.id };
+        }
+        // Some browsers accept the call but keep the page loaded; fall back to a placeholder
+        if (!result.success || !(await browser.tabs.get(tab.id))?.discarded) {
+          logger.warn('Discard did not take effect, using a placeholder', { tabId: tab.id });
+          return suspendTab(tab, SUSPENSION_STRATEGIES.PLACEHOLDER, { neverSuspendDomains });
+        }
+        stateManager.dispatch(markSuspended(entry));
+        break;
+      }
+
+      case SUSPENSION_STRATEGIES.PLACEHOLDER: {
+        const screenshotId = await captureScreenshot(tab, `${tab.id}-${entry.suspendedAt}`);
+        const placeholder = screenshotId ? { ...entry, screenshotId } : entry;
+        // Recorded first so the url change it causes is not mistaken for the tab waking up
+        stateManager.dispatch(markSuspended(placeholder));
+        await browser.tabs.update(tab.id, { url: getPlaceholderUrl(placeholder) });
+        break;
+      }
+
+      case SUSPENSION_STRATEGIES.ARCHIVE: {
+        const bookmark = await browser.bookmarks.create({
+          parentId: await getBookmarkFolderId(),
+          title: tab.title,
+          url: tab.url
+        });
+        stateManager.dispatch(markSuspended({ ...entry, bookmarkId: bookmark.id }));
+        await browser.tabs.remove(tab.id);
+        break;
+      }
+    }
+  } catch (error) {
+    stateManager.dispatch(clearSuspended(tab.id));
+    logger.error('Failed to suspend tab', { tabId: tab.id, strategy: selected, error: error.message });
+    return { success: false, tabId: tab.id, error: error.message };
+  }
+
+  logger.info('Suspended tab', { tabId: tab.id, strategy: selected });
+  return { success: true, tabId: tab.id, strategy: selected };
+}
+
+/**
+ * Wakes a suspended tab: reloads a discarded tab, navigates a placeholder back to
+ * its URL, or reopens an archived tab where it was.
+ * @param {number} tabId - Id recorded in the `suspended` map.
+ * @returns {Promise<Object>} `{ success, tabId, strategy, restoredTabId }`.
+ */
+export async function unsuspendTab(tabId) {
+  const entry = getSuspendedEntries()[tabId];
+  if (!entry) {
+    return { success: false, tabId, error: `Tab ${tabId} is not suspended` };
+  }
+
+  try {
+    let restoredTabId = tabId;
+    switch (entry.strategy) {
+      case SUSPENSION_STRATEGIES.DISCARD:
+        await browser.tabs.reload(tabId);
+        break;
+      case SUSPENSION_STRATEGIES.PLACEHOLDER:
+        await browser.tabs.update(tabId, { url: entry.url });
+        break;
+      case SUSPENSION_STRATEGIES.ARCHIVE: {
+        const properties = { url: entry.url, pinned: entry.pinned, active: false };
+        const restored = await withoutTabLimit(async () => {
+          try {
+            return await browser.tabs.create({ ...properties, windowId: entry.windowId, index: entry.index });
+          } catch (error) {
+            // The original window is gone
+            return browser.tabs.create(properties);
+          }
+        });
+        restoredTabId = restored.id;
+        break;
+      }
+    }
+
+    stateManager.dispatch(stateManager.actions.tabManagement.clearSuspended(tabId));
+    await removeScreenshot(entry.screenshotId);
+    return { success: true, tabId, strategy: entry.strategy, restoredTabId };
+  } catch (error) {
+    logger.error('Failed to unsuspend tab', { tabId, strategy: entry.strategy, error: error.message });
+    return { success: false, tabId, error: error.message };
+  }
+}
+
+/**
+ * Drops the record of a suspended tab that woke up on its own, e.g. a discarded tab
+ * the user focused or a placeholder that navigated back to its page.
+ * @param {number} tabId - The updated tab.
+ * @param {Object} changeInfo - tabs.onUpdated change info.
+ */
+export function clearSuspendedOnWake(tabId, changeInfo) {
+  const entry = getSuspendedEntries()[tabId];
+  if (!entry || !changeInfo) return;
+
+  const woke = entry.strategy === SUSPENSION_STRATEGIES.DISCARD
+    ? changeInfo.discarded === false
+    : entry.strategy === SUSPENSION_STRATEGIES.PLACEHOLDER && Boolean(changeInfo.url) && !isPlaceholderUrl(changeInfo.url);
+  if (woke) {
+    stateManager.dispatch(stateManager.actions.tabManagement.clearSuspended(tabId));
+    removeScreenshot(entry.screenshotId);
+  }
+}
+
+/**
+ * Records a tab showing the placeholder page that the `suspended` map does not know,
+ * e.g. after a browser restart (new tab ids) or a session restore. The placeholder
+ * URL carries everything needed to restore the tab.
+ * @param {Object} tab - The tab to check.
+ * @returns {boolean} Whether the tab was recorded.
+ */
+export function adoptPlaceholderTab(tab) {
+  if (!isPlaceholderUrl(tab?.url)) return false;
+
+  const parsed = parsePlaceholderQuery(new URL(tab.url).search);
+  const existing = getSuspendedEntries()[tab.id];
+  if (!parsed.url || (existing?.strategy === SUSPENSION_STRATEGIES.PLACEHOLDER && existing.url === parsed.url)) {
+    return false;
+  }
+
+  stateManager.dispatch(stateManager.actions.tabManagement.markSuspended({
+    tabId: tab.id,
+    strategy: SUSPENSION_STRATEGIES.PLACEHOLDER,
+    url: parsed.url,
+    title: parsed.title,
+    ...(parsed.favIconUrl ? { favIconUrl: parsed.favIconUrl } : {}),
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: Boolean(tab.pinned),
+    suspendedAt: parsed.suspendedAt ?? Date.now(),
+    ...(parsed.screenshotId ? { screenshotId: parsed.screenshotId } : {})
+  }));
+  return true;
+}
+
+/**
+ * Brings the persisted `suspended` map in line with the open tabs: drops records of
+ * tabs that are gone or awake and adopts placeholder tabs. Archived records are kept.
+ * @returns {Promise<{removed: number, adopted: number}>}
+ */
+export async function reconcileSuspendedTabs() {
+  const tabs = await browser.tabs.query({});
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+  let removed = 0;
+
+  for (const entry of Object.values(getSuspendedEntries())) {
+    if (entry.strategy === SUSPENSION_STRATEGIES.ARCHIVE) continue;
+    const tab = tabsById.get(entry.tabId);
+    const awake = !tab || (entry.strategy === SUSPENSION_STRATEGIES.DISCARD
+      ? !tab.discarded
+      : !isPlaceholderUrl(tab.url));
+    if (awake) {
+      stateManager.dispatch(stateManager.actions.tabManagement.clearSuspended(entry.tabId));
+      removed++;
+    }
+  }
+
+  const adopted = tabs.filter(adoptPlaceholderTab).length;
+  return { removed, adopted };
+}
+
+/**
+ * Resolves the registrable domain (eTLD+1) of a URL, e.g. `docs.google.com` -> `google.com`.
+ * Uses GROUPING_CONFIG.MULTI_PART_SUFFIXES instead of the full public suffix list.
+ * @param {string} url - The URL to inspect.
+ * @returns {string|null} The registrable domain, or null for non-web URLs.
+ */
+export function getRegistrableDomain(url) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  } catch (error) {
+    return null;
+  }
+
+  if (!hostname) return null;
+
+  // IP addresses and single-label hosts (localhost, intranet names) group as-is
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[') || !hostname.includes('.')) {
+    return hostname;
+  }
+
+  const suffix = GROUPING_CONFIG.MULTI_PART_SUFFIXES.find(
+    candidate => hostname === candidate || hostname.endsWith(`.${candidate}`)
+  );
+  const suffixLabels = suffix ? suffix.split('.').length : 1;
+  return hostname.split('.').slice(-(suffixLabels + 1)).join('.');
+}
+
+/**
+ * Picks a stable tab group color for a grouping key.
+ * @param {string} key - Group key (domain or category name).
+ * @returns {string} One of GROUPING_CONFIG.COLORS.
+ */
+export function getGroupColor(key) {
+  let hash = 0;
+  for (const char of String(key)) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return GROUPING_CONFIG.COLORS[Math.abs(hash) % GROUPING_CONFIG.COLORS.length];
+}
+
+const isTabGroupingAvailable = () => Boolean(browser.tabGroups && browser.tabs?.group);
+
+const findGroupRecord = (groups, { source, key, windowId }) =>
+  Object.values(groups).find(group =>
+    group.source === source && group.key === key && group.windowId === windowId
+  );
+
+/**
+ * Moves tabs into the native group tracked for `descriptor`, creating the group if it
+ * does not exist (or was closed by the user), and records the assignment in state.
+ * @param {Object} descriptor - { windowId, key, title, color, source }
+ * @param {number[]} tabIds - Tabs to add to the group.
+ * @returns {Promise<Object>} The stored group record.
+ */
+async function addTabsToGroup(descriptor, tabIds) {
+  const { windowId, key, title, color, source } = descriptor;
+  const groups = stateManager.selectors.selectTabGroups(stateManager.getState());
+  const existing = findGroupRecord(groups, descriptor);
+
+  let groupId = existing?.id;
+  if (groupId !== undefined) {
+    try {
+      await browser.tabGroups.get(groupId);
+    } catch (error) {
+      // Group was closed or ungrouped outside the extension
+      stateManager.dispatch(stateManager.actions.tabManagement.removeGroup(groupId));
+      groupId = undefined;
+    }
+  }
+
+  if (groupId === undefined) {
+    // Reuse a same-titled group, e.g. one restored by the browser after a restart
+    const [nativeGroup] = await browser.tabGroups.query({ windowId, title });
+    groupId = nativeGroup?.id;
+  }
+
+  groupId = await browser.tabs.group(
+    groupId !== undefined
+      ? { groupId, tabIds }
+      : { tabIds, createProperties: { windowId } }
+  );
+  await browser.tabGroups.update(groupId, { title, color });
+
+  const record = {
+    id: groupId,
+    windowId,
+    key,
+    title,
+    color,
+    source,
+    tabIds: [...new Set([...(groupId === existing?.id ? existing.tabIds : []), ...tabIds])]
+  };
+  stateManager.dispatch(stateManager.actions.tabManagement.upsertGroup(record));
+  return record;
+}
+
+/**
+ * Clusters the tabs of a window by registrable domain and places each cluster of
+ * GROUPING_CONFIG.MIN_TABS_PER_GROUP or more tabs into a named, colored tab group.
+ * Pinned tabs and tabs in groups the extension did not create are left alone.
+ * @param {number} windowId - The window to group.
+ * @returns {Promise<Object>} Result with the group records that were created or updated.
+ */
+export async function groupTabsByDomain(windowId) {
+  if (!isTabGroupingAvailable()) {
+    logger.warn('Tab groups API not available', { type: 'TAB_GROUP_UNAVAILABLE' });
+    return { success: false, error: 'Tab groups API not available' };
+  }
+
+  const startTime = performance.now();
+  const groups = stateManager.selectors.selectTabGroups(stateManager.getState());
+  const tabs = await browser.tabs.query({ windowId });
+  const clusters = new Map();
+
+  for (const tab of tabs) {
+    if (tab.pinned) continue;
+    const inForeignGroup = tab.groupId !== undefined && tab.groupId !== -1 &&
+      groups[tab.groupId]?.source !== GROUPING_CONFIG.SOURCES.DOMAIN;
+    if (inForeignGroup) continue;
+
+    const domain = getRegistrableDomain(tab.url);
+    if (!domain) continue;
+
+    if (!clusters.has(domain)) {
+      clusters.set(domain, []);
+    }
+    clusters.get(domain).push(tab.id);
+  }
+
+  const results = [];
+  for (const [domain, tabIds] of clusters) {
+    if (tabIds.length < GROUPING_CONFIG.MIN_TABS_PER_GROUP) continue;
+    try {
+      results.push(await addTabsToGroup({
+        windowId,
+        key: domain,
+        title: domain,
+        color: getGroupColor(domain),
+        source: GROUPING_CONFIG.SOURCES.DOMAIN
+      }, tabIds));
+    } catch (error) {
+      logger.error('Failed to group tabs by domain', {
+        windowId,
+        domain,
+        error: error.message,
+        type: 'TAB_GROUP_ERROR'
+      });
+    }
+  }
+
+  logger.logPerformance('tabGroupByDomain', performance.now() - startTime, {
+    windowId,
+    groupCount: results.length
+  });
+
+  return { success: true, groups: results };
+}
+
+/**
+ * Re-evaluates the domain group of a single tab after it was created or navigated.
+ * A tab that left the domain of its extension-created group is ungrouped first.
+ * @param {Object} tab - The tab to place.
+ * @returns {Promise<Object>} Result of regrouping the tab's window.
+ */
+export async function assignTabToDomainGroup(tab) {
+  if (!isTabGroupingAvailable() || !tab || tab.pinned) {
+    return { success: false, skipped: true };
+  }
+
+  const groups = stateManager.selectors.selectTabGroups(stateManager.getState());
+  const currentGroup = groups[tab.groupId];
+  const domain = getRegistrableDomain(tab.url);
+
+  if (currentGroup?.source === GROUPING_CONFIG.SOURCES.DOMAIN && currentGroup.key !== domain) {
+    await browser.tabs.ungroup(tab.id);
+    stateManager.dispatch(stateManager.actions.tabManagement.upsertGroup({
+      ...currentGroup,
+      tabIds: currentGroup.tabIds.filter(id => id !== tab.id)
+    }));
+  }
+
+  if (!domain) {
+    return { success: true, groups: [] };
+  }
+
+  return groupTabsByDomain(tab.windowId);
+}
+
+/**
+ * Removes a tab from the category group it was placed in by a rule, if any.
+ * @param {Object} tab - The tab, with a current `groupId`.
+ * @returns {Promise<boolean>} Whether the tab was ungrouped.
+ */
+export async function releaseCategoryGroup(tab) {
+  if (!isTabGroupingAvailable()) return false;
+
+  const groups = stateManager.selectors.selectTabGroups(stateManager.getState());
+  const currentGroup = groups[tab.groupId];
+  if (currentGroup?.source !== GROUPING_CONFIG.SOURCES.CATEGORY) return false;
+
+  await browser.tabs.ungroup(tab.id);
+  stateManager.dispatch(stateManager.actions.tabManagement.upsertGroup({
+    ...currentGroup,
+    tabIds: currentGroup.tabIds.filter(id => id !== tab.id)
+  }));
+  return true;
+}
+
+/**
+ * Refactored TabManager as a class
+ */
+export class TabManager {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+    this.ruleEvaluationTimers = new Map();
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
     
-    if (allTabs.length <= maxTabs) return;
+    this.stateManager = stateManagerInstance;
+    stateManager = stateManagerInstance; // Set the module-level stateManager
+    
+    this.initialized = true;
+    logger.info('Tab manager initialized', { time: Date.now() });
+  }
+
+  async handleTabUpdate(tabId, changeInfo, tab) {
+    try {
+      clearSuspendedOnWake(tabId, changeInfo);
+      // A new page starts without form input; the content script reports it again if needed
+      if (changeInfo?.status === 'loading') {
+        setUnsavedForm(tabId, false);
+      }
+      if (changeInfo?.title) {
+        this.scheduleRuleEvaluation(tabId);
+      }
+      const updatedTab = await browser.tabs.get(tabId);
+      if (isPlaceholderUrl(changeInfo?.url)) {
+        adoptPlaceholderTab(updatedTab);
+      }
+      if (changeInfo?.url && this._isAutoGroupEnabled()) {
+        await assignTabToDomainGroup(updatedTab);
+      }
+    } catch (error) {
+      logger.error('handleTabUpdate failed', { error: error.message, tabId });
+    }
+  }
+
+  async handleTabCreated(tab) {
+    try {
+      const limit = await handleTabCreation(tab);
+      if (limit.closedTabId === tab.id) return;
+
+      adoptPlaceholderTab(tab);
+      // New tabs usually start on about:blank; the onUpdated url change groups those
+      if (tab?.url && this._isAutoGroupEnabled()) {
+        await assignTabToDomainGroup(tab);
+      }
+    } catch (error) {
+      logger.error('handleTabCreated failed', { error: error.message, tabId: tab?.id });
+    }
+  }
+
+  /**
+   * Handles webNavigation.onCommitted and onHistoryStateUpdated. Only top-level
+   * navigations affect rules; subframe events are ignored.
+   * @param {Object} details - webNavigation event details.
+   */
+  handleNavigation(details) {
+    if (details?.frameId !== 0 || details.tabId < 0) return;
+    this.scheduleRuleEvaluation(details.tabId);
+  }
+
+  /**
+   * Re-evaluates rules for a tab once its navigation and title events settle.
+   * @param {number} tabId - The tab to evaluate.
+   */
+  scheduleRuleEvaluation(tabId) {
+    this.cancelRuleEvaluation(tabId);
+    this.ruleEvaluationTimers.set(tabId, setTimeout(() => {
+      this.ruleEvaluationTimers.delete(tabId);
+      this.evaluateRulesForTab(tabId);
+    }, CONFIG.TIMEOUTS.RULE_EVALUATION_DEBOUNCE));
+  }
+
+  cancelRuleEvaluation(tabId) {
+    clearTimeout(this.ruleEvaluationTimers.get(tabId));
+    this.ruleEvaluationTimers.delete(tabId);
+  }
+
+  /**
+   * Applies rules to a tab after it navigated, replacing tags and the category group
+   * that earlier rule runs gave it.
+   * @param {number} tabId - The tab to evaluate.
+   * @returns {Promise<Object|null>} Result of applyRulesToTab.
+   */
+  async evaluateRulesForTab(tabId) {
+    try {
+      const tab = await browser.tabs.get(tabId);
+      const result = await applyRulesToTab(tab, browser, this.stateManager, { reevaluate: true });
+      if (result?.matches.some(match => match.results.some(entry => entry.closed))) {
+        return result;
+      }
+
+      const grouped = result?.matches.some(match =>
+        match.results.some(entry => entry.type === RULE_ACTION_TYPES.GROUP && entry.success)
+      );
+      if (!grouped && await releaseCategoryGroup(tab) && this._isAutoGroupEnabled()) {
+        await assignTabToDomainGroup(await browser.tabs.get(tabId));
+      }
+      return result;
+    } catch (error) {
+      logger.error('Rule evaluation failed', { error: error.message, tabId });
+      return null;
+    }
+  }
 
-    const activity = stateManager.selectors.selectTabActivity(stateManager.getState());
-    const sortedTabs = this._getSortedTabsByActivity(allTabs, activity);
-    const oldestTab = sortedTabs[0];
+  /**
+   * Groups every normal window by domain.
+   * @returns {Promise<Object>} Result with the group records per window.
+   */
+  async groupAllWindows() {
+    try {
+      const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+      const groups = [];
+      for (const win of windows) {
+        const result = await groupTabsByDomain(win.id);
+        if (!result.success) return result;
+        groups.push(...result.groups);
+      }
+      return { success: true, groups };
+    } catch (error) {
+      logger.error('Error grouping windows:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Applies the stored rules to every open tab.
+   * @returns {Promise<Object>} Counts of tabs processed and matched, plus per-tab action results.
+   */
+  async applyRulesToAllTabs() {
+    try {
+      const tabs = await browser.tabs.query({});
+      const { results, errors } = await processTabs(
+        tabs,
+        tab => applyRulesToTab(tab, browser, this.stateManager),
+        { retryFailures: false }
+      );
+      return { success: true, processed: tabs.length, matched: results.length, failed: errors.length, results };
+    } catch (error) {
+      logger.error('Error applying rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Evaluates draft rules against every open tab without side effects.
+   * @param {Array<Object>} rules - The unsaved rule set.
+   * @returns {Promise<Object>} `{ success, tabs: [{ tabId, title, url, matches }] }`, or the
+   * validation errors per rule when the draft is invalid.
+   */
+  async previewRules(rules) {
+    if (!Array.isArray(rules)) {
+      return { success: false, error: 'Rules must be an array' };
+    }
+
+    const invalid = rules
+      .map(rule => ({ ruleId: rule?.id, errors: validateRuleDefinition(rule).errors }))
+      .filter(({ errors }) => errors.length > 0);
+    if (invalid.length > 0) {
+      return { success: false, error: 'Invalid rules', invalid };
+    }
+
+    try {
+      const tabs = await browser.tabs.query({});
+      const tabManagement = this.stateManager.getState().tabManagement || {};
+      return {
+        success: true,
+        tabs: tabs.map(tab => ({
+          tabId: tab.id,
+          title: tab.title,
+          url: tab.url,
+          matches: previewRulesForTab(tab, rules, {
+            tags: tabManagement.metadata?.[tab.id]?.tags || [],
+            lastAccessed: getLastActivity(tab, tabManagement)
+          })
+        }))
+      };
+    } catch (error) {
+      logger.error('Error previewing rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Exports the stored rules and categories as a rule pack.
+   * @returns {Promise<Object>} `{ success, pack }`.
+   */
+  async exportRules() {
+    try {
+      const { rules = [] } = await browser.storage.sync.get('rules');
+      const categories = this.stateManager.selectors.selectCategories(this.stateManager.getState());
+      return { success: true, pack: createRulePack(rules, categories) };
+    } catch (error) {
+      logger.error('Error exporting rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Imports a rule pack, stores the combined rule set and re-applies it to open tabs.
+   * @param {Object} payload - { data, mode } where mode is one of RULE_PACK.IMPORT_MODES.
+   * @returns {Promise<Object>} `{ success, imported, total }`, or `{ success: false, errors }`.
+   */
+  async importRules({ data, mode = RULE_PACK.IMPORT_MODES.MERGE } = {}) {
+    const { valid, errors, rules, categories } = parseRulePack(data);
+    if (!valid) {
+      return { success: false, error: 'Invalid rule pack', errors };
+    }
+
+    try {
+      const { rules: stored = [] } = await browser.storage.sync.get('rules');
+      const combined = mergeRules(stored.map(migrateRule), rules, mode);
+      await browser.storage.sync.set({ rules: combined });
+
+      categories.forEach(({ name, color }) => {
+        this.stateManager.dispatch(this.stateManager.actions.categories.upsertCategory({
+          name,
+          color: color || getGroupColor(name)
+        }));
+      });
+
+      await this.applyRulesToAllTabs();
+      return { success: true, imported: rules.length, total: combined.length };
+    } catch (error) {
+      logger.error('Error importing rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Installs the declarative rules held in state as the browser's dynamic rules.
+   * @returns {Promise<Object>} Sync report from syncDynamicRules.
+   */
+  async syncDeclarativeRules() {
+    try {
+      const rules = this.stateManager.selectors.selectDeclarativeRules(this.stateManager.getState());
+      return await syncDynamicRules(rules);
+    } catch (error) {
+      logger.error('Error syncing declarative rules:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  _isAutoGroupEnabled() {
+    const settings = this.stateManager?.selectors.selectSettings(this.stateManager.getState());
+    return settings?.autoGroupByDomain !== false;
+  }
+
+  async handleTabRemove(tabId) {
+    try {
+      const removedTab = await browser.tabs.get(tabId);
+      // ...handle the removed tab...
+    } catch (error) {
+      logger.error('Failed to handle tab removal', { error: error.message, tabId });
+    }
+  }
+
+  async cleanupInactiveTabs() {
+    // Utilize checkInactiveTabs to clean up
+    await checkInactiveTabs();
+  }
+
+  /**
+   * Records the best tab to close while over the global limit, for the popup.
+   * @returns {Promise<TabCandidate|null>} The top candidate, or null under the limit.
+   */
+  async enforceTabLimits() {
+    const { globalLimit } = await getTabLimitSettings();
+    const allTabs = await browser.tabs.query({});
+
+    if (allTabs.length <= globalLimit) return null;
+
+    const context = await getRankingContext(stateManager.getState().tabManagement);
+    const [candidate] = rankTabs(allTabs, context);
+    if (!candidate) return null;
 
     logger.info('Tab limit exceeded, oldest tab identified', {
       currentCount: allTabs.length,
-      maxTabs,
-      oldestTab: oldestTab.id
+      maxTabs: globalLimit,
+      oldestTab: candidate.tab.id,
+      reasons: candidate.reasons
     });
 
-    stateManager.dispatch(stateManager.actions.tabManagement.updateOldestTab(oldestTab));
+    stateManager.dispatch(stateManager.actions.tabManagement.updateOldestTab(candidate.tab));
+    return candidate;
   }
 
   async cleanup() {
@@ -830,18 +2685,44 @@ export class TabManager {
   }
 
   /**
-   * Gets the oldest inactive tab.
-   * @returns {Promise<Object>} The oldest inactive tab.
+   * @param {Object} [options] - { windowId } of the window to report on; defaults to the last focused one.
+   * @returns {Promise<Object>} `{ success, status, candidates }` for the tab limit prompt.
+   */
+  async getTabLimitInfo({ windowId } = {}) {
+    try {
+      const tabs = await browser.tabs.query({});
+      const targetWindowId = windowId ?? (await browser.windows?.getLastFocused())?.id;
+      const status = getTabLimitStatus(tabs, targetWindowId, await getTabLimitSettings());
+      const context = await getRankingContext(stateManager.getState().tabManagement);
+      const candidates = rankTabs(tabs, context, {
+        windowId: status.exceeded === 'window' ? targetWindowId : undefined
+      }).slice(0, RANKING_CONFIG.DEFAULT_CANDIDATES);
+      return { success: true, status, candidates };
+    } catch (error) {
+      logger.error('Error reading tab limit status', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async resolveTabLimit(tabId, tag) {
+    try {
+      return await resolveTabLimit(tabId, tag);
+    } catch (error) {
+      logger.error('Error closing tab for the tab limit', { tabId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Gets the tab the ranker would close first.
+   * @returns {Promise<Object|null>} The tab, or null when no tab can be closed.
    */
   async getOldestTab() {
     try {
       const tabs = await browser.tabs.query({});
-      if (tabs.length === 0) return null;
-      // Assuming tabs are sorted by creation time
-      const oldestTab = tabs.reduce((oldest, current) => {
-        return (current.index < oldest.index) ? current : oldest;
-      }, tabs[0]);
-      return oldestTab;
+      const context = await getRankingContext(stateManager.getState().tabManagement);
+      const [candidate] = rankTabs(tabs, context);
+      return candidate?.tab || null;
     } catch (error) {
       logger.error('Error retrieving oldest tab:', error);
       return { error: error.message || 'Failed to retrieve oldest tab' };
@@ -849,58 +2730,27 @@ export class TabManager {
   }
 
   /**
-   * Suspends inactive tabs by bookmarking them and discarding.
-   * @returns {Promise<Object>} Result of the suspension process.
+   * Suspends every inactive tab with one strategy.
+   * @param {Object} [options] - { strategy } overriding the configured strategy.
+   * @returns {Promise<Object>} `{ success, suspendedCount, results }`.
    */
-  async suspendInactiveTabs() {
+  async suspendInactiveTabs({ strategy } = {}) {
     try {
-      const inactiveTabs = await this.getInactiveTabs();
-
-      // Get or create TabCurator folder
-      let folder = null;
-      const folders = await browser.bookmarks.search({ title: BOOKMARK_CONFIG.FOLDER_NAME });
-      
-      if (folders.length === 0) {
-        folder = await browser.bookmarks.create({ title: BOOKMARK_CONFIG.FOLDER_NAME });
-      } else {
-        folder = folders[0];
+      const selected = strategy || await getSuspensionStrategy();
+      const suspended = getSuspendedEntries();
+      const inactiveTabs = (await this.getInactiveTabs())
+        .filter(tab => !suspended[tab.id] && !tab.discarded && !isPlaceholderUrl(tab.url));
+
+      // Sequential: archiving shares the bookmark folder lookup
+      const results = [];
+      for (const tab of inactiveTabs) {
+        results.push(await suspendTab(tab, selected));
       }
 
-      // Process each inactive tab
-      const results = await Promise.allSettled(
-        inactiveTabs.map(async (tab) => {
-          try {
-            // Create bookmark first
-            await browser.bookmarks.create({
-              parentId: folder.id,
-              title: tab.title,
-              url: tab.url
-            });
-
-            // Remove the tab after bookmarking
-            await browser.tabs.remove(tab.id);
-
-            logger.info(`Suspended and bookmarked tab: ${tab.id}`);
-            return { success: true, tabId: tab.id };
-          } catch (error) {
-            logger.error('Failed to suspend tab:', { 
-              tabId: tab.id, 
-              error: error.message 
-            });
-            return { success: false, error: error.message };
-          }
-        })
-      );
-
-      const successCount = results.filter(r => r.value?.success).length;
-      
       return {
         success: true,
-        suspendedCount: successCount,
-        results: results.map(r => r.status === 'fulfilled' ? r.value : { 
-          success: false, 
-          error: r.reason?.message 
-        })
+        suspendedCount: results.filter(result => result.success).length,
+        results
       };
     } catch (error) {
       logger.error('Error suspending inactive tabs:', error);
@@ -908,10 +2758,51 @@ export class TabManager {
     }
   }
 
+  async suspendTabById(tabId, strategy) {
+    validateTabId(tabId);
+    const tab = await browser.tabs.get(tabId);
+    return suspendTab(tab, strategy);
+  }
+
+  async unsuspendTab(tabId) {
+    return unsuspendTab(tabId);
+  }
+
+  async reportFormState(tabId, dirty) {
+    validateTabId(tabId);
+    setUnsavedForm(tabId, dirty);
+    return { success: true, tabId };
+  }
+
+  async reconcileSuspendedTabs() {
+    try {
+      return await reconcileSuspendedTabs();
+    } catch (error) {
+      logger.error('Error reconciling suspended tabs:', error);
+      return { removed: 0, adopted: 0 };
+    }
+  }
+
+  /**
+   * Wakes every suspended tab, including archived ones.
+   * @returns {Promise<Object>} `{ success, restoredCount, results }`.
+   */
+  async unsuspendAll() {
+    const results = [];
+    for (const tabId of Object.keys(getSuspendedEntries())) {
+      results.push(await unsuspendTab(Number(tabId)));
+    }
+    return {
+      success: results.every(result => result.success),
+      restoredCount: results.filter(result => result.success).length,
+      results
+    };
+  }
+
   async getInactiveTabs() {
-    // filter out active or pinned tabs
+    // Pinned tabs are left to the exemption policy so the popup can show why they stay awake
     const allTabs = await browser.tabs.query({});
-    return allTabs.filter(tab => !tab.active && !tab.pinned);
+    return allTabs.filter(tab => !tab.active);
   }
 }
 
@@ -929,7 +2820,8 @@ export async function initialize() {
 const tabManager = new TabManager();
 export { tabManager };
 
-// Only exporting TAB_STATES to avoid confusion since we rely on store/actions for everything else
+// Only exporting TAB_STATES and RULE_TYPES to avoid confusion since we rely on store/actions for everything else
 export {
-  TAB_STATES
+  TAB_STATES,
+  RULE_TYPES
 };
\ No newline at end of file
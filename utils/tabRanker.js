@@ -0,0 +1,125 @@
+// utils/tabRanker.js
+/**
+ * @fileoverview Tab Ranker Module - Ranks open tabs by how safely they can be closed:
+ * long unused and rarely in the foreground first, with pinned, grouped and exempt tabs
+ * held back. Each candidate carries the reasons for its place, shown to the user.
+ */
+
+import browser from 'webextension-polyfill';
+import { logger } from './logger.js';
+import { RANKING_CONFIG, SUSPENSION_EXEMPTION_LABELS } from './constants.js';
+import { getInactiveTime, getSuspensionExemption, getNeverSuspendDomains } from './tabManager.js';
+
+/**
+ * @param {number} ms - A duration.
+ * @returns {string} The duration rounded to days, hours or minutes, e.g. "3 h".
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes >= 2880) return `${Math.floor(minutes / 1440)} d`;
+  if (minutes >= 120) return `${Math.floor(minutes / 60)} h`;
+  return `${minutes} min`;
+}
+
+/**
+ * Scores one tab; the higher the score, the better a candidate for closing.
+ * @param {Object} tab - The tab.
+ * @param {Object} context - { tabManagement, neverSuspendDomains, pauseWhenIdle }
+ * @param {number} [now] - Reference timestamp.
+ * @returns {TabCandidate}
+ */
+export function scoreTab(tab, { tabManagement = {}, neverSuspendDomains = [], pauseWhenIdle = true } = {}, now = Date.now()) {
+  const idleTime = getInactiveTime(tab, tabManagement, now, { pauseWhenIdle });
+  const foregroundTime = tabManagement.activity?.[tab.id]?.foregroundTime || 0;
+  const exemption = getSuspensionExemption(tab, {
+    metadata: tabManagement.metadata?.[tab.id],
+    neverSuspendDomains
+  });
+  const grouped = tab.groupId !== undefined && tab.groupId !== -1;
+
+  const reasons = [`Unused for ${formatDuration(idleTime)}`];
+  let score = idleTime / 60000;
+
+  score /= 1 + foregroundTime / (RANKING_CONFIG.FOREGROUND_HALF_MINUTES * 60000);
+  reasons.push(foregroundTime < 60000
+    ? 'Hardly ever in the foreground'
+    : `${formatDuration(foregroundTime)} in the foreground`);
+
+  if (grouped) {
+    score *= RANKING_CONFIG.GROUPED_FACTOR;
+    reasons.push('In a tab group');
+  }
+  // Pinned is also an exemption; it is only counted once
+  if (tab.pinned) {
+    score *= RANKING_CONFIG.PINNED_FACTOR;
+    reasons.push('Pinned');
+  } else if (exemption) {
+    score *= RANKING_CONFIG.EXEMPT_FACTOR;
+    reasons.push(`Kept awake: ${SUSPENSION_EXEMPTION_LABELS[exemption] || exemption}`);
+  }
+
+  return { tab, score, idleTime, foregroundTime, exemption, reasons };
+}
+
+/**
+ * Ranks tabs for closing, best candidate first. Active tabs are never candidates.
+ * @param {Array<Object>} tabs - Open tabs.
+ * @param {Object} context - See scoreTab.
+ * @param {Object} [options] - { windowId } to rank one window, { excludeTabId }
+ * @param {number} [now] - Reference timestamp.
+ * @returns {TabCandidate[]}
+ */
+export function rankTabs(tabs, context, { windowId, excludeTabId } = {}, now = Date.now()) {
+  return tabs
+    .filter(tab => !tab.active && tab.id !== excludeTabId)
+    .filter(tab => windowId === undefined || tab.windowId === windowId)
+    .map(tab => scoreTab(tab, context, now))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reads what ranking needs besides the tabs.
+ * @param {Object} tabManagement - The tabManagement state.
+ * @returns {Promise<Object>} Ranking context for scoreTab.
+ */
+export async function getRankingContext(tabManagement) {
+  const { pauseInactivityWhenIdle } = await browser.storage.sync.get('pauseInactivityWhenIdle');
+  return {
+    tabManagement: tabManagement || {},
+    neverSuspendDomains: await getNeverSuspendDomains(),
+    pauseWhenIdle: pauseInactivityWhenIdle !== false
+  };
+}
+
+export class TabRanker {
+  constructor() {
+    this.initialized = false;
+    this.stateManager = null;
+  }
+
+  async initialize(stateManagerInstance) {
+    if (this.initialized) return;
+    if (!stateManagerInstance || !stateManagerInstance.store) {
+      throw new Error('Valid StateManager instance required');
+    }
+
+    this.stateManager = stateManagerInstance;
+    this.initialized = true;
+    logger.info('Tab ranker initialized', { time: Date.now() });
+  }
+
+  /**
+   * The best `count` tabs to close.
+   * @param {number} [count] - How many candidates to return.
+   * @param {Object} [options] - { windowId, excludeTabId }, see rankTabs.
+   * @returns {Promise<TabCandidate[]>}
+   */
+  async getCandidates(count = RANKING_CONFIG.DEFAULT_CANDIDATES, options = {}) {
+    const tabs = await browser.tabs.query({});
+    const context = await getRankingContext(this.stateManager.getState().tabManagement);
+    return rankTabs(tabs, context, options).slice(0, count);
+  }
+}
+
+const tabRanker = new TabRanker();
+export { tabRanker };
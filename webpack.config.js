@@ -21,6 +21,10 @@ export default (env) => {
       background: './background/background.js',
       popup: './popup/popup.jsx',
       options: './options/options.jsx',
+      blocked: './blocked/blocked.jsx',
+      suspended: './suspended/suspended.jsx',
+      reminder: './reminder/reminder.jsx',
+      tablimit: './tablimit/tablimit.jsx',
       content: './content/content.js',
     },
 
@@ -94,6 +98,34 @@ export default (env) => {
         inject: 'body',
       }),
 
+      new HtmlWebpackPlugin({
+        filename: 'blocked/blocked.html',
+        chunks: ['blocked'],
+        template: './blocked/blocked.html',
+        inject: 'body',
+      }),
+
+      new HtmlWebpackPlugin({
+        filename: 'suspended/suspended.html',
+        chunks: ['suspended'],
+        template: './suspended/suspended.html',
+        inject: 'body',
+      }),
+
+      new HtmlWebpackPlugin({
+        filename: 'reminder/reminder.html',
+        chunks: ['reminder'],
+        template: './reminder/reminder.html',
+        inject: 'body',
+      }),
+
+      new HtmlWebpackPlugin({
+        filename: 'tablimit/tablimit.html',
+        chunks: ['tablimit'],
+        template: './tablimit/tablimit.html',
+        inject: 'body',
+      }),
+
       new webpack.ProvidePlugin({
         browser: require.resolve('webextension-polyfill')
       }),